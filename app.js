@@ -1,49 +1,168 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { resolveSceneManifest } from './sceneManifest.js';
+import { PlacementStore } from './placementStore.js';
+import { PerformerLibrary } from './performerLibrary.js';
+import { Stage, PLATFORM_RADIUS } from './stage.js';
+import { StageManipulator } from './manipulation.js';
+import { HandTracker } from './handTracking.js';
+import { InteractionStateMachine, ButtonEdges } from './interactionState.js';
+import { RoomLighting } from './roomLighting.js';
+import { DepthOcclusion, DEPTH_SENSING_INIT } from './depthOcclusion.js';
+import { PlacementSurfaces, SURFACE_FEATURES } from './placementSurfaces.js';
+import { PlacementAim } from './placementAim.js';
+import { ControlPanel } from './controlPanel.js';
+import { RoomReverb, REVERB_PRESETS } from './roomReverb.js';
+import { VISUAL_PRESETS } from './lightShow.js';
+import { PerformanceGovernor } from './performanceGovernor.js';
+import { PerformanceOverlay } from './performanceOverlay.js';
+import { ControllerRay, RAY_STYLES } from './controllerRay.js';
+import { Capture, CaptureIndicator, formatDuration } from './capture.js';
+import { DesktopPreview } from './desktopPreview.js';
+
+const RETICLE_COLOR = 0x00ff00;
+const RETICLE_INVALID_COLOR = 0xff3b30;
+const DANCE_SPEEDS = [0.5, 0.75, 1, 1.25, 1.5];
+const VOLUME_STEP = 0.1;
+const SEEK_STEP = 10; // Seconds the panel's seek buttons jump the soundtrack
+const REVERB_MIXES = [0.1, 0.2, 0.35, 0.5, 0.7]; // Wet levels the panel steps through
+const CALM_INTENSITY = 0.3; // Light show cap for reduced motion, from the system setting or the panel
+const MAX_OFFERED_CAPTURES = 5; // Clips and snapshots kept on the page for download, newest first
+
+// How the audio status line words a soundtrack's state, and the holds that pause it
+const AUDIO_STATE_LABELS = {
+    stopped: 'stopped',
+    playing: 'playing',
+    paused: 'paused',
+    locked: 'waiting for a tap or click to start'
+};
+const AUDIO_HOLD_LABELS = {
+    paused: 'paused from the menu',
+    hidden: 'tab hidden',
+    session: 'no VR session',
+    placement: 'being moved'
+};
+
+// The record button's label for each capture state, on the page and on the control panel
+const RECORD_LABELS = {
+    idle: 'Record clip',
+    countdown: 'Cancel recording',
+    recording: 'Stop recording',
+    saving: 'Saving clip…'
+};
+const RECORD_PANEL_LABELS = { idle: 'Record', countdown: 'Cancel', recording: 'Stop', saving: 'Saving' };
 
 class VRPassthroughDancer {
-    constructor() {
+    constructor(options = {}) {
+        // { manifest } or { manifestUrl }; falls back to ?scene= and the built-in assets.
+        // { maxStages } overrides the manifest's stage limit.
+        // { showHandJoints } starts with the hand joint spheres visible.
+        // { xr } replaces navigator.xr, e.g. with an XREmulator's runtime.
+        // { occlusion: false } skips depth sensing, so real objects never hide the dancer.
+        // { aimMode: 'gaze' } aims the placement reticle with the head instead of controllers.
+        // { offline: true } leaves the animation loop stopped, for offlineRender.js to step frames.
+        // { placementScope } saves placements apart from the real room's, e.g. for emulated sessions.
+        // { rayStyle } draws controller rays 'straight', as an 'arc' (the default) or 'parabolic';
+        // also ?ray=<style>.
+        this.options = options;
+        this.xr = null; // navigator.xr, or the emulated runtime passed in options
+        this.manifest = null;
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.xrSession = null;
         this.xrRefSpace = null;
-        this.hitTestSource = null;
-        this.hitTestSourceRequested = false;
+        this.aim = new PlacementAim(options.aimMode); // Hit-test sources the reticle is aimed with
+        this.aimingInput = null; // The input the reticle is aimed along this frame; null for gaze
+        this.controlPanel = null; // In-session menu over the left controller or palm
+        this.panelHovers = new Map(); // XRInputSource -> { button, point, ray } while it points at the panel
         this.reticle = null;
-        this.platform = null;
-        this.dancer = null;
-        this.mixer = null;
+        this.performerLibrary = null;
+        this.stages = []; // Placed performances, each with its own platform, dancer, audio and placard
+        this.maxStages = 1;
+        this.nextStageId = 1;
+        this.selectedStage = null; // Picked with the controller; X and Y act on it
+        this.hoveredStage = null; // Currently under a controller ray
+        this.repositioningStage = null; // Moved by the next placement select
+        this.thumbstickSkipArmed = true; // Thumbstick must return to centre between clip and track skips
+        this.manipulator = null; // Squeeze (or pinch) a stage to drag, turn and scale it
+        this.handTracker = null; // Pinch gestures, pinch ray and joint spheres for tracked hands
         this.clock = new THREE.Clock();
-        this.isPlaced = false;
+        this.interaction = new InteractionStateMachine(); // idle/searching/previewing/placed/repositioning
+        this.buttonEdges = new ButtonEdges(); // X/Y presses, one action per push
+        // Where a select would put a stage: the checked and snapped { position, orientation } under
+        // the reticle, or null while the reticle is on a surface that can't take one
+        this.placementTarget = null;
+        this.placementRefusal = null; // Why the reticle's surface was refused, for the status line
+        this.placementSurfaces = new PlacementSurfaces(); // Detected planes and meshes
+        this.placementStore = null;
         this.controls = null;
+        this.preview = null; // Desktop view: framing, camera presets, mouse pointing and keys
+        this.previewAudio = false; // Soundtracks heard in the desktop preview, not only in sessions
+        this.placardPinned = false; // Desktop preview shows every placard, pointed at or not
+        this.lighting = null; // Fixed light rig, replaced by room light estimates where available
+        this.occlusion = null; // Hides the dancer behind real objects, where depth sensing is available
         this.preferredMode = 'immersive-vr'; // Will be updated based on device capabilities
-        this.xButtonPressed = false; // Track X button state
         this.audioListener = null;
-        this.positionalAudio = null;
-        this.audioLoaded = false;
-        this.placard = null;
-        this.placardFadeStartTime = null;
+        this.reverb = null; // Room reverb shared by every stage's soundtrack
+        this.visuals = null; // Light show settings, shared by every stage: { preset, maxIntensity, particles }
         this.raycaster = new THREE.Raycaster();
         this.controllerRay = null;
-
-        this.init();
+        this.governor = null; // Steps rendering quality down under load and back up with headroom
+        this.performanceOverlay = null;
+        this.capture = null; // Records clips and takes snapshots of the canvas
+        this.captureIndicator = null; // Countdown and recording time, in the headset
+        this.mirrorCamera = new THREE.PerspectiveCamera(75, 1, 0.01, 100); // The wearer's view, for recordings
+        this.mirrorSize = new THREE.Vector2();
+        this.cameraPosition = new THREE.Vector3();
+        // Per-frame scratch, so the XR loop allocates nothing
+        this.inputRays = new WeakMap(); // XRInputSource -> { origin, direction }, rewritten each call
+        this.inputGrips = new WeakMap(); // XRInputSource -> Vector3
+        this.manipulationPoses = new Map();
+        this.headPosition = new THREE.Vector3();
+        this.wristMatrix = new THREE.Matrix4();
+        this.fingertip = new THREE.Vector3();
+        this.scratchQuaternion = new THREE.Quaternion();
+
+        this.ready = this.init(); // Resolves once assets are loaded and the start button is live
     }
 
     async init() {
+        this.xr = this.options.xr || navigator.xr;
+
+        try {
+            this.manifest = await resolveSceneManifest(this.options);
+            console.log('Scene manifest loaded:', this.manifest.name);
+        } catch (error) {
+            console.error('Invalid scene manifest:', error);
+            document.getElementById('status').textContent = error.message;
+            document.getElementById('startButton').disabled = true;
+            return;
+        }
+
+        this.maxStages = this.options.maxStages || this.manifest.maxStages;
+        this.placementStore = new PlacementStore(this.manifest.name, this.options.placementScope);
+        this.performerLibrary = new PerformerLibrary(this.manifest.performers, { budgets: this.manifest.budgets });
+        this.manipulator = new StageManipulator(this.manifest.manipulation, this.placementSurfaces);
+        this.visuals = { ...this.manifest.visuals, density: 1 };
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.visuals.maxIntensity = Math.min(this.visuals.maxIntensity, CALM_INTENSITY);
+        }
+
         this.setupScene();
         this.setupLights();
         this.createReticle();
-        this.createPlatform();
         this.createControllerRay();
-        this.setupSpatialAudio();
-        this.loadPlacard();
-        await this.loadDancer();
-        this.setupRenderer();
+        this.setupHandTracking();
+        this.setupControlPanel();
+        this.setupRenderer(); // Before loading: compressed textures are transcoded for its GPU
+        this.setupPerformance();
+        this.setupCapture();
+        await this.loadPerformers();
         this.checkXRSupport();
         this.setupEventListeners();
-        this.animate();
+        this.setupAudioLifecycle();
+        if (!this.options.offline) this.animate();
     }
 
     setupScene() {
@@ -63,27 +182,24 @@ class VRPassthroughDancer {
         // Add audio listener to camera for spatial audio
         this.audioListener = new THREE.AudioListener();
         this.camera.add(this.audioListener);
+        this.reverb = new RoomReverb(this.audioListener);
     }
 
     setupLights() {
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
-        this.scene.add(ambientLight);
-
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(1, 2, 1);
-        directionalLight.castShadow = true;
-        this.scene.add(directionalLight);
-
-        const fillLight = new THREE.DirectionalLight(0xffffff, 0.3);
-        fillLight.position.set(-1, 1, -1);
-        this.scene.add(fillLight);
+        this.lighting = new RoomLighting(this.scene);
+        this.lighting.onEnvironmentChange = (texture) => {
+            for (const stage of this.stages) {
+                stage.setEnvironmentMap(texture);
+            }
+        };
     }
 
     createReticle() {
         // Make a much larger, more visible reticle (scaled to match smaller objects)
-        const geometry = new THREE.RingGeometry(0.075, 0.1, 32);
+        // Laid flat in the geometry, so the surface's orientation (Y up) can be copied straight on
+        const geometry = new THREE.RingGeometry(0.075, 0.1, 32).rotateX(-Math.PI / 2);
         const material = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
+            color: RETICLE_COLOR,
             side: THREE.DoubleSide,
             transparent: true,
             opacity: 0.8,
@@ -91,12 +207,11 @@ class VRPassthroughDancer {
             depthWrite: true
         });
         this.reticle = new THREE.Mesh(geometry, material);
-        this.reticle.rotation.x = -Math.PI / 2;
         this.reticle.visible = false;
         this.reticle.renderOrder = 1;
 
         // Add a center dot to make it more visible
-        const dotGeometry = new THREE.CircleGeometry(0.025, 32);
+        const dotGeometry = new THREE.CircleGeometry(0.025, 32).rotateX(-Math.PI / 2);
         const dotMaterial = new THREE.MeshBasicMaterial({
             color: 0xffff00,
             side: THREE.DoubleSide,
@@ -106,274 +221,160 @@ class VRPassthroughDancer {
             depthWrite: true
         });
         const dot = new THREE.Mesh(dotGeometry, dotMaterial);
-        dot.rotation.x = -Math.PI / 2;
         this.reticle.add(dot);
 
         this.scene.add(this.reticle);
         console.log('Reticle created');
     }
 
-    createPlatform() {
-        const group = new THREE.Group();
-
-        // Main platform cylinder (half size)
-        const platformGeometry = new THREE.CylinderGeometry(0.075, 0.09, 0.025, 32);
-        const platformMaterial = new THREE.MeshStandardMaterial({
-            color: 0x2c3e50,
-            metalness: 0.6,
-            roughness: 0.4
-        });
-        const platformMesh = new THREE.Mesh(platformGeometry, platformMaterial);
-        platformMesh.castShadow = true;
-        platformMesh.receiveShadow = true;
-        group.add(platformMesh);
-
-        // Top surface with different color (half size)
-        const topGeometry = new THREE.CylinderGeometry(0.075, 0.075, 0.005, 32);
-        const topMaterial = new THREE.MeshStandardMaterial({
-            color: 0x34495e,
-            metalness: 0.7,
-            roughness: 0.3
-        });
-        const topMesh = new THREE.Mesh(topGeometry, topMaterial);
-        topMesh.position.y = 0.015;
-        group.add(topMesh);
-
-        // Edge ring decoration (half size)
-        const ringGeometry = new THREE.TorusGeometry(0.075, 0.005, 16, 32);
-        const ringMaterial = new THREE.MeshStandardMaterial({
-            color: 0x3498db,
-            metalness: 0.8,
-            roughness: 0.2,
-            emissive: 0x3498db,
-            emissiveIntensity: 0.2
-        });
-        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-        ring.rotation.x = Math.PI / 2;
-        ring.position.y = 0.0175;
-        group.add(ring);
-
-        group.visible = false;
-        this.platform = group;
-        this.scene.add(this.platform);
-        console.log('Platform created and added to scene');
-    }
-
     createControllerRay() {
-        // Create a curved ray that will be updated each frame
-        // Start with a simple curve - will be updated dynamically
-        const curve = new THREE.QuadraticBezierCurve3(
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(0, -0.5, -1),
-            new THREE.Vector3(0, -1, -2)
-        );
-
-        // Create tube geometry with tapering (custom radius function)
-        const tubeGeometry = new THREE.TubeGeometry(
-            curve,
-            20, // segments
-            0.002, // radius - will make it taper by scaling
-            8, // radial segments
-            false // closed
-        );
-
-        // Apply tapering by modifying vertices
-        const positions = tubeGeometry.attributes.position;
-        for (let i = 0; i < positions.count; i++) {
-            const segmentIndex = Math.floor(i / 8);
-            const t = segmentIndex / 20; // normalized position along curve
-            const scale = 1 - t * 0.7; // Taper from 100% to 30% thickness
-
-            const x = positions.getX(i);
-            const y = positions.getY(i);
-            const z = positions.getZ(i);
-
-            // Get distance from center axis
-            const centerX = 0;
-            const centerY = curve.getPoint(t).y;
-            const centerZ = curve.getPoint(t).z;
-
-            const dx = x - centerX;
-            const dy = y - centerY;
-
-            positions.setXY(i, centerX + dx * scale, centerY + dy * scale);
+        const requested = this.options.rayStyle || new URLSearchParams(window.location.search).get('ray');
+        const style = RAY_STYLES.includes(requested) ? requested : 'arc';
+        if (requested && requested !== style) {
+            console.warn(`Unknown ray style '${requested}', using '${style}'. Styles: ${RAY_STYLES.join(', ')}`);
         }
-
-        const rayMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffffff,
-            transparent: true,
-            opacity: 0.6
-        });
-
-        this.controllerRay = new THREE.Mesh(tubeGeometry, rayMaterial);
-        this.controllerRay.visible = false;
-        this.scene.add(this.controllerRay);
-
-        console.log('Controller ray created');
+        this.controllerRay = new ControllerRay(this.scene, { style });
     }
 
-    setupSpatialAudio() {
-        // Create positional audio that will emanate from the platform
-        this.positionalAudio = new THREE.PositionalAudio(this.audioListener);
-
-        // Set up the audio properties for realistic spatial sound
-        this.positionalAudio.setRefDistance(0.5); // Distance at which volume is at max
-        this.positionalAudio.setRolloffFactor(2); // How quickly sound fades with distance
-        this.positionalAudio.setDistanceModel('exponential');
-        this.positionalAudio.setVolume(1.0);
-
-        // Load the audio file
-        const audioLoader = new THREE.AudioLoader();
-        audioLoader.load(
-            'soundtrack.mp4', // You can name your mp4 file this, or change the filename
-            (buffer) => {
-                this.positionalAudio.setBuffer(buffer);
-                this.positionalAudio.setLoop(true);
-                this.audioLoaded = true;
-                console.log('Spatial audio loaded successfully');
-            },
-            (progress) => {
-                console.log('Audio loading:', (progress.loaded / progress.total * 100).toFixed(2) + '%');
-            },
-            (error) => {
-                console.warn('Error loading audio:', error);
-                console.warn('Make sure soundtrack.mp4 is in the same directory as index.html');
-            }
-        );
-
-        // Add the audio to the platform so it moves with it
-        this.platform.add(this.positionalAudio);
-        console.log('Positional audio created and attached to platform');
-    }
-
-    loadPlacard() {
-        // Load the placard texture
-        const textureLoader = new THREE.TextureLoader();
-        textureLoader.load(
-            'Placard.png',
-            (texture) => {
-                // Flip the texture horizontally to invert the image
-                texture.repeat.x = -1;
-                texture.offset.x = 1;
-
-                // Create a plane geometry sized based on the texture aspect ratio
-                const aspectRatio = texture.image.width / texture.image.height;
-                const placardHeight = 0.024; // Reduced by 60% (was 0.06, now 40% of original)
-                const placardWidth = placardHeight * aspectRatio;
-
-                const geometry = new THREE.PlaneGeometry(placardWidth, placardHeight);
-                const material = new THREE.MeshBasicMaterial({
-                    map: texture,
-                    transparent: true,
-                    opacity: 0, // Start invisible for fade-in
-                    side: THREE.DoubleSide
-                });
-
-                this.placard = new THREE.Mesh(geometry, material);
-
-                // Position in front of platform, slightly elevated (original position)
-                this.placard.position.set(0, 0.04, 0.08); // Back to original position
-                // Don't set rotation here - it will be calculated dynamically to face camera
+    // 'straight', 'arc' or 'parabolic'
+    setRayStyle(style) {
+        this.controllerRay.setStyle(style);
+    }
 
-                this.placard.visible = false; // Hidden until placement
-                this.platform.add(this.placard);
+    // Hands stand in for controllers: a pinch selects or grabs, a still pinch-and-hold
+    // repositions like the X button
+    setupHandTracking() {
+        this.handTracker = new HandTracker(this.scene, { showJoints: Boolean(this.options.showHandJoints) });
+        this.handTracker.onPinchStart = (inputSource, frame) => this.onGrabStart({ inputSource, frame });
+        this.handTracker.onPinchHold = (inputSource) => this.onPinchHold(inputSource);
+        this.handTracker.onPinchEnd = (inputSource, frame, gesture) => this.onPinchEnd(inputSource, frame, gesture);
+    }
 
-                console.log('Placard loaded successfully (60% smaller, texture flipped)');
-            },
-            undefined,
-            (error) => {
-                console.warn('Error loading placard:', error);
-                console.warn('Make sure Placard.png is in the same directory as index.html');
-            }
-        );
+    setupControlPanel() {
+        this.controlPanel = new ControlPanel(this.scene);
+        this.controlPanel.onAction = (action) => this.onPanelAction(action);
     }
 
-    async loadDancer() {
-        const loader = new GLTFLoader();
+    async loadPerformers() {
         const statusDiv = document.getElementById('status');
 
-        try {
-            statusDiv.textContent = 'Loading dancer model...';
-
-            // Try to load riggedhuman1.glb first
-            const gltf = await loader.loadAsync('riggedhuman1.glb');
-
-            this.dancer = gltf.scene;
-
-            // Scale the dancer to fit on the platform (half size)
-            this.dancer.scale.set(0.075, 0.075, 0.075);
-            this.dancer.position.y = 0.025;
+        await this.performerLibrary.preload((message) => {
+            statusDiv.textContent = message;
+        });
 
-            // Setup animations if available
-            if (gltf.animations && gltf.animations.length > 0) {
-                this.mixer = new THREE.AnimationMixer(this.dancer);
+        // Whatever failed, the stages make do without it; say what they're missing, and which
+        // models may not keep up, under the status line so it stays up
+        statusDiv.textContent = 'Ready to enter VR!';
+        const failures = this.performerLibrary.failures;
+        if (failures.length > 0) {
+            console.warn('Some assets could not be loaded:\n' + failures.join('\n'));
+        }
+        const notices = [...failures, ...this.performerLibrary.warnings];
+        if (notices.length > 0) {
+            document.getElementById('assetStatus').textContent = `${notices.join('. ')}.`;
+        }
+    }
 
-                // Play all animations (or you can choose specific ones)
-                gltf.animations.forEach((clip) => {
-                    const action = this.mixer.clipAction(clip);
-                    action.play();
-                });
+    // Next performer with the fewest stages, so a troupe fills out before anyone repeats
+    pickPerformerIndex() {
+        const counts = new Array(this.performerLibrary.count).fill(0);
+        for (const stage of this.stages) {
+            counts[stage.performerIndex]++;
+        }
 
-                statusDiv.textContent = `Loaded with ${gltf.animations.length} animation(s)`;
-            } else {
-                // Add a simple rotation animation if no animations exist
-                this.dancer.userData.rotate = true;
-                statusDiv.textContent = 'Loaded (no animations found, will rotate)';
+        let best = 0;
+        for (let i = 1; i < counts.length; i++) {
+            if (counts[i] < counts[best]) {
+                best = i;
             }
+        }
+        return best;
+    }
 
-            this.dancer.visible = false;
-            this.platform.add(this.dancer);
-
-            console.log('Dancer loaded successfully and added to platform');
-            console.log('Dancer children count:', this.dancer.children.length);
+    addStage(position, performerIndex = this.pickPerformerIndex()) {
+        if (this.stages.length >= this.maxStages) {
+            document.getElementById('status').textContent =
+                `Stage limit reached (${this.maxStages}). Select a stage and press Y to remove it.`;
+            return null;
+        }
 
-            statusDiv.textContent = 'Ready to enter VR!';
+        const stage = new Stage({
+            id: this.nextStageId++,
+            performerIndex,
+            assets: this.performerLibrary.get(performerIndex),
+            audioListener: this.audioListener,
+            reverb: this.reverb,
+            visuals: this.visuals
+        });
+        this.scene.add(stage.platform);
+        stage.setEnvironmentMap(this.lighting.environment);
+        stage.placeAt(position);
+        this.stages.push(stage);
+        this.attachSoundtrack(stage);
+
+        console.log(`Stage ${stage.id} (${stage.performer.name}) added at:`, position);
+        return stage;
+    }
 
-        } catch (error) {
-            console.error('Error loading dancer model:', error);
-            statusDiv.textContent = 'Error loading model: ' + error.message;
+    // persist: false when clearing the room without touching what was saved (e.g. before a restore)
+    removeStage(stage, { persist = true } = {}) {
+        if (stage === this.selectedStage) this.selectStage(null);
+        if (stage === this.hoveredStage) this.hoveredStage = null;
+        const wasRepositioning = stage === this.repositioningStage;
+        if (wasRepositioning) this.repositioningStage = null;
+        this.manipulator.cancel(stage);
+
+        this.stages.splice(this.stages.indexOf(stage), 1);
+        stage.dispose();
+        if (persist) {
+            this.deletePersistentAnchor(stage.anchorUuid);
+            this.savePlacements();
+        }
 
-            // Create a simple placeholder if model fails to load
-            this.createPlaceholderDancer();
+        if (this.xrSession) {
+            this.interaction.send('stageRemoved', { ...this.getRoom(), wasRepositioning });
         }
+        console.log(`Stage ${stage.id} removed`);
     }
 
-    createPlaceholderDancer() {
-        // Create a simple humanoid shape as fallback
-        const group = new THREE.Group();
-
-        // Body
-        const bodyGeom = new THREE.CapsuleGeometry(0.03, 0.08, 8, 16);
-        const bodyMat = new THREE.MeshStandardMaterial({ color: 0xff6b6b });
-        const body = new THREE.Mesh(bodyGeom, bodyMat);
-        body.position.y = 0.08;
-        group.add(body);
-
-        // Head
-        const headGeom = new THREE.SphereGeometry(0.025, 16, 16);
-        const head = new THREE.Mesh(headGeom, bodyMat);
-        head.position.y = 0.15;
-        group.add(head);
+    removeAllStages(options) {
+        for (const stage of this.stages.slice()) {
+            this.removeStage(stage, options);
+        }
+    }
 
-        // Arms
-        const armGeom = new THREE.CapsuleGeometry(0.01, 0.05, 8, 16);
-        const leftArm = new THREE.Mesh(armGeom, bodyMat);
-        leftArm.position.set(-0.04, 0.1, 0);
-        leftArm.rotation.z = Math.PI / 4;
-        group.add(leftArm);
+    selectStage(stage) {
+        if (this.selectedStage) {
+            this.selectedStage.setSelected(false);
+        }
+        this.selectedStage = stage;
+        if (stage) {
+            stage.setSelected(true);
+        }
+    }
 
-        const rightArm = new THREE.Mesh(armGeom, bodyMat);
-        rightArm.position.set(0.04, 0.1, 0);
-        rightArm.rotation.z = -Math.PI / 4;
-        group.add(rightArm);
+    // Resolve a raycast hit on any part of a stage (platform, dancer, placard) to the stage
+    stageFromObject(object) {
+        while (object) {
+            if (object.userData.stage) return object.userData.stage;
+            object = object.parent;
+        }
+        return null;
+    }
 
-        group.scale.set(0.075, 0.075, 0.075);
-        group.position.y = 0.025;
-        group.userData.rotate = true;
-        group.visible = false;
+    // Stages that can be pointed at: placed by the user and not currently being moved
+    getPointableStages() {
+        return this.stages.filter((stage) =>
+            stage.platform.visible && !stage.provisional && stage !== this.repositioningStage);
+    }
 
-        this.dancer = group;
-        this.platform.add(this.dancer);
+    // What the interaction state needs to settle after a stage comes or goes: whether another
+    // stage fits, and whether one is still waiting at the default spot
+    getRoom() {
+        return {
+            full: this.stages.length >= this.maxStages,
+            hasPreview: this.stages.some((stage) => stage.provisional)
+        };
     }
 
     setupRenderer() {
@@ -386,6 +387,7 @@ class VRPassthroughDancer {
         this.renderer.setPixelRatio(window.devicePixelRatio);
         this.renderer.xr.enabled = true;
         this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
         // Ensure proper rendering with passthrough
         this.renderer.autoClear = true;
@@ -393,19 +395,139 @@ class VRPassthroughDancer {
 
         document.body.appendChild(this.renderer.domElement);
 
-        // Add orbit controls for desktop preview
+        // Add orbit controls for desktop preview, which frames the stage for them
         this.controls = new OrbitControls(this.camera, this.renderer.domElement);
-        this.controls.target.set(0, 1, -1);
-        this.controls.update();
+        this.preview = new DesktopPreview(this.scene, this.camera, this.controls, this.renderer.domElement);
+        this.preview.onAction = (action) => this.onPreviewAction(action);
+
+        // Room light estimates arrive through the renderer's XR session
+        this.lighting.enableEstimation(this.renderer);
+        this.occlusion = new DepthOcclusion(this.scene, this.renderer);
+        this.performerLibrary.loader.detectSupport(this.renderer);
 
         console.log('Renderer setup complete');
     }
 
+    // The governor watches the XR frame rate and sets the quality tier; ?perf shows its overlay
+    setupPerformance() {
+        this.governor = new PerformanceGovernor();
+        this.governor.onTierChange = (tier) => this.applyQualityTier(tier);
+        this.applyQualityTier(this.governor.tier);
+
+        this.performanceOverlay = new PerformanceOverlay(this.camera);
+        this.performanceOverlay.setVisible(new URLSearchParams(window.location.search).has('perf'));
+        // The overlay rides on the camera, whose children are only drawn when it's in the scene
+        this.scene.add(this.camera);
+    }
+
+    // Recordings and snapshots of the canvas; finished ones are offered on the page
+    setupCapture() {
+        this.capture = new Capture(this.renderer.domElement, this.audioListener, this.manifest.capture);
+        this.capture.onStateChange = () => {
+            document.getElementById('captureStatus').textContent = this.capture.describe();
+            this.updateCaptureLabels();
+            this.refreshControlPanel();
+        };
+        this.capture.onCapture = (capture) => this.offerCapture(capture);
+        this.capture.onError = (error) => {
+            document.getElementById('captureStatus').textContent = `Could not record: ${error.message}`;
+        };
+        this.captureIndicator = new CaptureIndicator(this.camera);
+    }
+
+    updateCaptureLabels() {
+        const recordButton = document.getElementById('recordButton');
+        recordButton.textContent = RECORD_LABELS[this.capture.state];
+        recordButton.disabled = !this.capture.canRecord || this.capture.state === 'saving';
+    }
+
+    // List a finished clip or snapshot on the page, to download or share. In a session that's
+    // there to come back to once it ends.
+    offerCapture(capture) {
+        const url = URL.createObjectURL(capture.blob);
+        const description = capture.kind === 'video'
+            ? `Clip (${formatDuration(capture.duration)})`
+            : 'Snapshot';
+
+        const item = document.createElement('div');
+        item.className = 'capture';
+        item.dataset.url = url;
+        const download = document.createElement('a');
+        download.href = url;
+        download.download = capture.filename;
+        download.textContent = `Download ${description.toLowerCase()}`;
+        item.appendChild(download);
+
+        // Phones and headsets can hand the file to another app instead
+        const file = new File([capture.blob], capture.filename, { type: capture.blob.type });
+        if (navigator.canShare && navigator.canShare({ files: [file] })) {
+            const share = document.createElement('a');
+            share.href = '#';
+            share.textContent = 'Share';
+            share.addEventListener('click', (event) => {
+                event.preventDefault();
+                navigator.share({ files: [file], title: 'VR Passthrough Dancer' }).catch((error) => {
+                    if (error.name !== 'AbortError') console.warn('Could not share the capture:', error);
+                });
+            });
+            item.appendChild(share);
+        }
+
+        const list = document.getElementById('captures');
+        list.prepend(item);
+        while (list.children.length > MAX_OFFERED_CAPTURES) {
+            URL.revokeObjectURL(list.lastElementChild.dataset.url);
+            list.lastElementChild.remove();
+        }
+        document.getElementById('captureStatus').textContent = this.xrSession
+            ? `${description} saved; it can be downloaded once you leave VR.`
+            : `${description} saved.`;
+    }
+
+    // In a session the canvas shows nothing of its own: while recording, draw the wearer's view
+    // into it again, without the cards riding on the camera. It costs a second render of the
+    // scene, which the governor answers by stepping quality down if it has to.
+    renderCaptureMirror() {
+        const xrCamera = this.renderer.xr.getCamera();
+        xrCamera.matrixWorld.decompose(this.mirrorCamera.position, this.mirrorCamera.quaternion, this.mirrorCamera.scale);
+        const size = this.renderer.getDrawingBufferSize(this.mirrorSize);
+        this.mirrorCamera.aspect = size.x / size.y;
+        this.mirrorCamera.updateProjectionMatrix();
+
+        const target = this.renderer.getRenderTarget();
+        this.renderer.xr.enabled = false;
+        this.camera.visible = false;
+        this.renderer.setRenderTarget(null);
+        this.renderer.render(this.scene, this.mirrorCamera);
+        this.camera.visible = true;
+        this.renderer.xr.enabled = true;
+        this.renderer.setRenderTarget(target);
+    }
+
+    // Everything a tier sets but the framebuffer scale, which waits for the next session (see
+    // startXRSession), and the dancers' detail, which also depends on distance (see
+    // updateStageDetail)
+    applyQualityTier(tier) {
+        this.renderer.xr.setFoveation(tier.foveation);
+        this.lighting.setShadowMapSize(tier.shadowMapSize);
+        this.visuals.density = tier.effects;
+    }
+
+    // Dancers beyond the tier's LOD distance drop a level of detail, and another at twice it
+    updateStageDetail() {
+        const lodDistance = this.governor.tier.lodDistance;
+        this.camera.getWorldPosition(this.cameraPosition);
+        for (const stage of this.stages) {
+            const distance = stage.platform.position.distanceTo(this.cameraPosition);
+            stage.setDetail(distance > lodDistance * 2 ? 2 : distance > lodDistance ? 1 : 0);
+        }
+    }
+
     async checkXRSupport() {
         const startButton = document.getElementById('startButton');
         const statusDiv = document.getElementById('status');
 
-        if (!navigator.xr) {
+        if (!this.xr) {
             statusDiv.textContent = 'WebXR not supported';
             startButton.disabled = true;
             return;
@@ -413,8 +535,8 @@ class VRPassthroughDancer {
 
         try {
             // Check for immersive-ar (MR/passthrough mode) first, then fall back to VR
-            const arSupported = await navigator.xr.isSessionSupported('immersive-ar');
-            const vrSupported = await navigator.xr.isSessionSupported('immersive-vr');
+            const arSupported = await this.xr.isSessionSupported('immersive-ar');
+            const vrSupported = await this.xr.isSessionSupported('immersive-vr');
 
             if (arSupported) {
                 statusDiv.textContent = 'Ready! MR/Passthrough mode available.';
@@ -439,6 +561,45 @@ class VRPassthroughDancer {
         const startButton = document.getElementById('startButton');
         startButton.addEventListener('click', () => this.startXRSession());
 
+        const forgetButton = document.getElementById('forgetPlacementButton');
+        forgetButton.disabled = !this.placementStore.hasSaved();
+        forgetButton.addEventListener('click', () => this.forgetSavedPlacement());
+
+        const aimModeButton = document.getElementById('aimModeButton');
+        this.updateAimModeLabel();
+        aimModeButton.addEventListener('click', () => this.toggleAimMode());
+
+        const performanceButton = document.getElementById('performanceButton');
+        const updatePerformanceLabel = () => {
+            performanceButton.textContent = this.performanceOverlay.visible ? 'Hide performance' : 'Show performance';
+        };
+        updatePerformanceLabel();
+        performanceButton.addEventListener('click', () => {
+            this.performanceOverlay.setVisible(!this.performanceOverlay.visible);
+            updatePerformanceLabel();
+        });
+
+        const recordButton = document.getElementById('recordButton');
+        this.updateCaptureLabels();
+        recordButton.addEventListener('click', () => this.capture.toggle());
+
+        const snapshotButton = document.getElementById('snapshotButton');
+        snapshotButton.addEventListener('click', () => {
+            this.capture.snapshot().catch((error) => {
+                document.getElementById('captureStatus').textContent = error.message;
+            });
+        });
+
+        const handJointsButton = document.getElementById('handJointsButton');
+        const updateHandJointsLabel = () => {
+            handJointsButton.textContent = this.handTracker.showJoints ? 'Hide hand joints' : 'Show hand joints';
+        };
+        updateHandJointsLabel();
+        handJointsButton.addEventListener('click', () => {
+            this.handTracker.setJointsVisible(!this.handTracker.showJoints);
+            updateHandJointsLabel();
+        });
+
         window.addEventListener('resize', () => {
             this.camera.aspect = window.innerWidth / window.innerHeight;
             this.camera.updateProjectionMatrix();
@@ -446,10 +607,75 @@ class VRPassthroughDancer {
         });
     }
 
+    // Soundtracks follow the page and the session: every stage's track is held while the tab is
+    // hidden or no session is running. Browsers start the AudioContext suspended until the user
+    // interacts, so it is resumed on the first gesture and the tracks waiting on it start then.
+    setupAudioLifecycle() {
+        const context = this.audioListener.context;
+        for (const type of ['pointerdown', 'keydown', 'touchend']) {
+            window.addEventListener(type, () => this.unlockAudio(), { capture: true });
+        }
+        context.addEventListener('statechange', () => {
+            console.log(`Audio context ${context.state}`);
+            for (const stage of this.stages) {
+                if (stage.soundtrack) stage.soundtrack.refresh(`context ${context.state}`);
+            }
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            for (const stage of this.stages) {
+                if (document.hidden) {
+                    stage.holdAudio('hidden');
+                } else {
+                    stage.releaseAudio('hidden');
+                }
+            }
+        });
+    }
+
+    unlockAudio() {
+        const context = this.audioListener.context;
+        if (context.state !== 'suspended') return;
+        context.resume().catch((error) => {
+            console.warn('Could not resume the audio context:', error);
+        });
+    }
+
+    // Give a stage joining the room the holds every other soundtrack is under, and report its
+    // state changes on the audio status line
+    attachSoundtrack(stage) {
+        if (!stage.soundtrack) return;
+        if (document.hidden) stage.holdAudio('hidden');
+        if (!this.xrSession && !this.previewAudio) stage.holdAudio('session');
+        if (stage === this.repositioningStage) stage.holdAudio('placement');
+        stage.soundtrack.addEventListener('statechange', ({ state, reason }) => {
+            console.log(`Stage ${stage.id} audio ${state} (${reason})`);
+            this.updateAudioStatus(stage);
+        });
+        stage.soundtrack.addEventListener('trackchange', () => {
+            this.updateAudioStatus(stage);
+            this.refreshControlPanel();
+        });
+        if (!this.xrSession && this.previewAudio) stage.playAudio();
+    }
+
+    updateAudioStatus(stage) {
+        const { state, holds } = stage.soundtrack;
+        let label = AUDIO_STATE_LABELS[state];
+        if (state === 'paused' && holds.size > 0) {
+            label += ` (${Array.from(holds, (hold) => AUDIO_HOLD_LABELS[hold] || hold).join(', ')})`;
+        }
+        document.getElementById('audioStatus').textContent =
+            `"${stage.trackTitle}" for ${stage.performer.name}: ${label}`;
+    }
+
     async startXRSession() {
         const statusDiv = document.getElementById('status');
         const startButton = document.getElementById('startButton');
 
+        // Entering VR is a user gesture, so this is a chance to let the soundtrack play
+        this.unlockAudio();
+
         // Disable button to prevent double-clicks
         startButton.disabled = true;
         statusDiv.textContent = 'Starting VR session...';
@@ -469,7 +695,7 @@ class VRPassthroughDancer {
 
             const sessionInit = {
                 requiredFeatures: ['local-floor'],
-                optionalFeatures: ['hit-test', 'hand-tracking', 'dom-overlay'],
+                optionalFeatures: ['hit-test', 'anchors', 'hand-tracking', 'light-estimation', ...SURFACE_FEATURES, 'dom-overlay'],
             };
 
             // Add DOM overlay if available
@@ -477,30 +703,55 @@ class VRPassthroughDancer {
                 sessionInit.domOverlay = { root: document.body };
             }
 
+            if (this.options.occlusion !== false) {
+                sessionInit.optionalFeatures.push('depth-sensing');
+                sessionInit.depthSensing = DEPTH_SENSING_INIT;
+            }
+
             console.log(`Requesting ${sessionMode} session...`);
-            this.xrSession = await navigator.xr.requestSession(sessionMode, sessionInit);
+            this.xrSession = await this.xr.requestSession(sessionMode, sessionInit);
             console.log(`${sessionMode} session started successfully`);
+            this.governor.reset(this.xrSession.frameRate);
+
+            if (!this.xrSession.emulated) {
+                // Setup WebGL layer with alpha for transparency
+                const gl = this.renderer.getContext();
+                const baseLayer = new XRWebGLLayer(this.xrSession, gl, {
+                    alpha: true,
+                    antialias: true
+                });
 
-            // Setup WebGL layer with alpha for transparency
-            const gl = this.renderer.getContext();
-            const baseLayer = new XRWebGLLayer(this.xrSession, gl, {
-                alpha: true,
-                antialias: true
-            });
-
-            await this.xrSession.updateRenderState({
-                baseLayer: baseLayer
-            });
+                await this.xrSession.updateRenderState({
+                    baseLayer: baseLayer
+                });
+            }
 
             this.xrRefSpace = await this.xrSession.requestReferenceSpace('local-floor');
 
             this.xrSession.addEventListener('end', () => this.onSessionEnded());
-            this.xrSession.addEventListener('select', (event) => this.onSelect(event));
+            // Tracked hands are read from their joints instead (see setupHandTracking), so the
+            // runtime's own pinch-to-select doesn't fire twice
+            this.xrSession.addEventListener('select', (event) => {
+                if (!event.inputSource.hand) this.onSelect(event);
+            });
+            this.xrSession.addEventListener('squeezestart', (event) => this.onGrabStart(event));
+            this.xrSession.addEventListener('squeezeend', (event) => this.onGrabEnd(event));
+            this.xrSession.addEventListener('inputsourceschange', (event) => {
+                for (const inputSource of event.removed) {
+                    this.onGrabEnd({ inputSource, frame: null });
+                }
+            });
 
-            this.renderer.xr.setSession(this.xrSession);
+            if (this.xrSession.emulated) {
+                this.runEmulatedSession(this.xrSession);
+            } else {
+                this.renderer.xr.setFramebufferScaleFactor(this.governor.tier.framebufferScale);
+                this.renderer.xr.setSession(this.xrSession);
+                this.occlusion.start(this.xrSession);
+            }
 
-            // Ensure scene background is transparent for passthrough
-            this.scene.background = null;
+            // No preview grid, backdrop or background over passthrough
+            this.preview.setActive(false);
 
             // Keep info panel visible for DOM overlay
             // If DOM overlay is not supported, hide it
@@ -508,19 +759,36 @@ class VRPassthroughDancer {
                 document.getElementById('info').style.display = 'none';
             }
 
-            // Auto-place dancer in front of user for immediate visibility
-            // User can reposition by pointing and clicking
+            this.interaction.send('sessionStarted');
+            // Preview audio ends with the preview: a stage put in front of the user plays once placed
+            if (this.previewAudio) {
+                this.previewAudio = false;
+                for (const stage of this.stages) {
+                    if (stage.provisional) stage.stopAudio();
+                }
+            }
+            for (const stage of this.stages) {
+                stage.releaseAudio('session');
+            }
+
+            // Put the stages back where they were last time, otherwise auto-place one in front
+            // of the user for immediate visibility. User can reposition by pointing and clicking
             console.log('XR session started, placing dancer...');
             console.log('Scene children before placement:', this.scene.children.length);
-            this.placeAtDefaultPosition();
+            const restored = await this.restoreSavedPlacement();
+            if (!restored) {
+                this.placeAtDefaultPosition();
+            }
 
             console.log('Session mode:', sessionMode);
             console.log('Renderer info:', this.renderer.info);
 
-            if (sessionMode === 'immersive-ar') {
-                statusDiv.textContent = 'Passthrough active! Point and click to place. Press X to reposition.';
+            if (restored) {
+                statusDiv.textContent = 'Dancers restored to their saved spots. Select one and press X to reposition.';
+            } else if (sessionMode === 'immersive-ar') {
+                statusDiv.textContent = 'Passthrough active! Point and click (or pinch) to place. Squeeze a stage to move it. Left thumbstick click or left palm up for the menu.';
             } else {
-                statusDiv.textContent = 'VR Mode - Point and click to place. Press X to reposition.';
+                statusDiv.textContent = 'VR Mode - Point and click (or pinch) to place. Squeeze a stage to move it. Left thumbstick click or left palm up for the menu.';
             }
 
         } catch (error) {
@@ -539,23 +807,63 @@ class VRPassthroughDancer {
         }
     }
 
+    // An emulated session has no XRWebGLLayer for three's WebXRManager, so its frames drive
+    // render() directly and the desktop camera follows the emulated head
+    runEmulatedSession(session) {
+        this.renderer.setAnimationLoop(null);
+
+        const onFrame = (time, frame) => {
+            if (session !== this.xrSession) return;
+            session.requestAnimationFrame(onFrame);
+
+            const viewerPose = frame.getViewerPose(this.xrRefSpace);
+            if (viewerPose) {
+                this.camera.position.copy(viewerPose.transform.position);
+                this.camera.quaternion.copy(viewerPose.transform.orientation);
+            }
+            this.render(time, frame);
+        };
+        session.requestAnimationFrame(onFrame);
+    }
+
     onSessionEnded() {
-        this.xrSession = null;
-        this.hitTestSource = null;
-        this.hitTestSourceRequested = false;
-        this.isPlaced = false;
+        if (this.xrSession && this.xrSession.emulated) {
+            // Hand the camera back to the desktop preview
+            this.camera.position.set(0, 1.6, 0);
+            this.controls.update();
+            this.animate();
+        }
 
-        // Hide placard
-        if (this.placard) {
-            this.placard.visible = false;
-            this.placard.material.opacity = 0;
-            this.placardFadeStartTime = null;
+        this.xrSession = null;
+        this.aim.stop();
+        this.aimingInput = null;
+        this.controlPanel.hide();
+        this.panelHovers.clear();
+        this.occlusion.stop();
+        this.interaction.send('sessionEnded');
+        this.buttonEdges.reset();
+        this.placementTarget = null;
+        this.placementSurfaces.clear();
+        this.hoveredStage = null;
+        if (this.repositioningStage) this.repositioningStage.releaseAudio('placement');
+        this.repositioningStage = null;
+        this.selectStage(null);
+        this.manipulator.cancel();
+        this.handTracker.reset();
+
+        for (const stage of this.stages) {
+            // Anchors don't outlive their session; the placement store keeps the spots
+            stage.anchor = null;
+            stage.hidePlacard();
+            stage.holdAudio('session');
         }
 
         // Hide controller ray
-        if (this.controllerRay) {
-            this.controllerRay.visible = false;
-        }
+        this.controllerRay.hide();
+
+        // A recording made in the session ends with it, and is offered on the page
+        this.capture.stop();
+        this.captureIndicator.update('');
 
         // Re-enable the button and show UI
         const startButton = document.getElementById('startButton');
@@ -564,136 +872,490 @@ class VRPassthroughDancer {
         }
 
         document.getElementById('info').style.display = 'block';
+        document.getElementById('forgetPlacementButton').disabled = !this.placementStore.hasSaved();
         document.getElementById('status').textContent = 'Session ended. Click Enter VR to restart.';
 
         console.log('XR session ended');
     }
 
     async onSelect(event) {
-        if (this.reticle.visible) {
-            // Place or reposition the platform at the reticle position
-            this.platform.position.copy(this.reticle.position);
-            this.platform.visible = true;
-            this.dancer.visible = true;
-            this.isPlaced = true;
+        // The end of a drag, turn or scale isn't a click
+        if (this.manipulator.hasManipulated(event.inputSource)) return;
+
+        // A click on the control panel is for the panel alone, never a placement
+        const panelHover = this.panelHovers.get(event.inputSource);
+        if (panelHover) {
+            this.controlPanel.press(panelHover.button);
+            return;
+        }
+
+        // Whichever controller or hand clicked aims the reticle from now on
+        this.aim.prefer(event.inputSource);
+
+        if (this.hoveredStage) {
+            // Pointing at a stage picks it (or drops the pick) for X/Y and thumbstick control
+            const stage = this.hoveredStage === this.selectedStage ? null : this.hoveredStage;
+            this.selectStage(stage);
+            document.getElementById('status').textContent = stage
+                ? `${stage.performer.name} selected. X to reposition, Y to remove, squeeze to grab.`
+                : 'Selection cleared.';
+            return;
+        }
+
+        if (this.reticle.visible && !this.placementTarget) {
+            // Red reticle: the surface under it was refused, say why rather than placing
+            document.getElementById('status').textContent = `Can't place here: ${this.placementRefusal}.`;
+        } else if (this.reticle.visible) {
+            // Place the stage being moved (or the auto-placed one) at the reticle, or add a new one.
+            // The target is rewritten every frame, so it's copied before anchoring waits on anything.
+            const position = this.placementTarget.position.clone();
+            const orientation = this.placementTarget.orientation.clone();
+            let stage = this.repositioningStage || this.stages.find((s) => s.provisional);
+            if (stage) {
+                stage.placeAt(position);
+            } else {
+                stage = this.addStage(position);
+                if (!stage) return;
+            }
+
+            stage.provisional = false;
+            stage.alignToSurface(orientation);
+            stage.releaseAudio('placement');
+            this.repositioningStage = null;
+            this.interaction.send('stagePlaced', this.getRoom());
             this.reticle.visible = false; // Hide reticle after placement
-            console.log('Dancer placed at:', this.reticle.position);
+            console.log(`Stage ${stage.id} placed at:`, position);
 
             // Play spatial audio once placed
-            this.playAudio();
-        } else if (!this.isPlaced) {
-            // If no reticle but not placed, place at default position
+            stage.playAudio();
+
+            await this.anchorPlacement(stage, event.frame, { position, orientation });
+        } else if (this.interaction.isHunting) {
+            // If no reticle but still placing, place at default position
             this.placeAtDefaultPosition();
         }
     }
 
-    playAudio() {
-        if (this.audioLoaded && this.positionalAudio && !this.positionalAudio.isPlaying) {
-            this.positionalAudio.play();
-            console.log('Spatial audio started playing');
-        } else if (!this.audioLoaded) {
-            console.log('Audio not loaded yet');
+    // Squeeze (or pinch) on a stage grabs it. A second input joins the grab already in progress,
+    // which turns the drag into a two-handed twist and scale.
+    onGrabStart(event) {
+        const inputSource = event.inputSource;
+        if (this.manipulator.grabs.has(inputSource) || this.panelHovers.has(inputSource)) return;
+
+        const ray = this.getInputRay(event.frame, inputSource);
+        if (!ray) return;
+
+        let stage = this.manipulator.getGrabbedStage();
+        if (!stage) {
+            const platforms = this.getPointableStages().map((s) => s.platform);
+            this.raycaster.set(ray.origin, ray.direction);
+            const intersects = this.raycaster.intersectObjects(platforms, true);
+            if (intersects.length === 0) return;
+            stage = this.stageFromObject(intersects[0].object);
         }
+
+        // Any anchor still being created is for the spot the stage is about to leave
+        stage.placementVersion++;
+        this.manipulator.beginGrab(inputSource, stage, ray.origin, ray.direction);
     }
 
-    showPlacard() {
-        if (this.placard && !this.placard.visible) {
-            this.placard.visible = true;
-            this.placardFadeStartTime = performance.now();
-            console.log('Starting placard fade-in');
+    onGrabEnd(event) {
+        const grab = this.manipulator.endGrab(event.inputSource);
+        if (!grab || !grab.changed || this.manipulator.isGrabbed(grab.stage)) return;
+
+        // Re-anchor where the stage was let go, keeping its new turn and size
+        const platform = grab.stage.platform;
+        console.log(`Stage ${grab.stage.id} moved to:`, platform.position);
+        this.anchorPlacement(grab.stage, event.frame, { position: platform.position, orientation: platform.quaternion });
+    }
+
+    // A pinch released without moving anything is a click; a held or dragged one isn't
+    onPinchEnd(inputSource, frame, { held, cancelled }) {
+        if (!held && !cancelled && !this.manipulator.hasManipulated(inputSource)) {
+            this.onSelect({ inputSource, frame });
         }
+        this.onGrabEnd({ inputSource, frame });
     }
 
-    hidePlacard() {
-        if (this.placard && this.placard.visible) {
-            this.placard.visible = false;
-            this.placard.material.opacity = 0;
-            this.placardFadeStartTime = null;
-            console.log('Hiding placard');
+    // Pinch-and-hold on a stage repositions that stage; anywhere else it acts like X
+    onPinchHold(inputSource) {
+        // A hold that already moved a stage is a drag, not a button press; one on the panel is
+        // the panel's
+        if (this.manipulator.hasManipulated(inputSource) || this.panelHovers.has(inputSource)) return;
+
+        const grab = this.manipulator.endGrab(inputSource);
+        if (grab) {
+            this.selectStage(grab.stage);
         }
+        console.log('Pinch held - enabling repositioning');
+        this.onRepositionButton();
     }
 
-    updateControllerRay(origin, direction, hitPoint) {
-        if (!this.controllerRay) return;
+    // Pin a stage to a real-world pose ({ position, orientation } in the reference space) and
+    // remember it for next time. The anchor is created from the select event's frame: the
+    // hit-test result itself belongs to an earlier animation frame, which is no longer active by
+    // the time select fires.
+    async anchorPlacement(stage, frame, pose) {
+        const session = this.xrSession;
+        const placementVersion = stage.placementVersion;
+        await this.releaseStageAnchor(stage);
+
+        let anchor = null;
+        if (frame && frame.createAnchor && pose) {
+            try {
+                anchor = await frame.createAnchor(new XRRigidTransform(pose.position, pose.orientation), this.xrRefSpace);
+            } catch (error) {
+                console.warn('Could not create anchor, placement will not track the surface:', error);
+            }
+        }
+
+        // The session may have ended, or the stage been moved or removed, while we waited
+        if (session !== this.xrSession || !this.stages.includes(stage) || stage.placementVersion !== placementVersion) {
+            if (anchor) anchor.delete();
+            return;
+        }
 
-        // Calculate end point
-        const rayLength = hitPoint ? origin.distanceTo(hitPoint) : 2.0;
-        const endPoint = hitPoint || origin.clone().add(direction.clone().multiplyScalar(rayLength));
+        if (anchor) {
+            stage.anchor = anchor;
+            // Whatever turn the user gave the stage rides on top of the anchor's orientation
+            stage.anchorTurn = new THREE.Quaternion().copy(pose.orientation).invert().multiply(stage.platform.quaternion);
+            if (anchor.requestPersistentHandle && session.persistentAnchors) {
+                try {
+                    stage.anchorUuid = await anchor.requestPersistentHandle();
+                } catch (error) {
+                    console.warn('Could not persist anchor, saving pose only:', error);
+                }
+            }
+        }
 
-        // Create curved path - control point pulls up slightly for arc
-        const midPoint = new THREE.Vector3().lerpVectors(origin, endPoint, 0.5);
-        midPoint.y += rayLength * 0.1; // Slight upward curve
+        this.savePlacements();
+        console.log(`Stage ${stage.id} placement saved`, stage.anchorUuid ? `with persistent anchor ${stage.anchorUuid}` : 'as a pose');
+    }
 
-        // Create new curve
-        const curve = new THREE.QuadraticBezierCurve3(origin, midPoint, endPoint);
+    // Drop a stage's anchor, and its persistent handle, ahead of a new placement
+    async releaseStageAnchor(stage) {
+        const anchorUuid = stage.anchorUuid;
+        if (stage.anchor) {
+            stage.anchor.delete();
+        }
+        stage.anchor = null;
+        stage.anchorUuid = null;
+        stage.anchorTurn = null;
+        await this.deletePersistentAnchor(anchorUuid);
+    }
 
-        // Create new tube geometry with tapering
-        const points = curve.getPoints(20);
-        const tubeGeometry = new THREE.TubeGeometry(
-            curve,
-            20,
-            0.002,
-            8,
-            false
-        );
+    async deletePersistentAnchor(anchorUuid) {
+        const session = this.xrSession;
+        if (!anchorUuid || !session || !session.deletePersistentAnchor) return;
 
-        // Apply tapering
-        const positions = tubeGeometry.attributes.position;
-        for (let i = 0; i < positions.count; i++) {
-            const segmentIndex = Math.floor(i / 8);
-            const t = segmentIndex / 20;
-            const scale = 1 - t * 0.7; // Taper from thick to thin
+        try {
+            await session.deletePersistentAnchor(anchorUuid);
+        } catch (error) {
+            console.warn('Could not delete persistent anchor:', error);
+        }
+    }
+
+    savePlacements() {
+        const placements = this.stages
+            .filter((stage) => !stage.provisional)
+            .map((stage) => stage.toPlacement());
+        this.placementStore.save(placements);
+        document.getElementById('forgetPlacementButton').disabled = placements.length === 0;
+    }
 
-            // Get point on curve for this segment
-            const curvePoint = curve.getPoint(t);
+    // Put the stages back where the last session left them. Returns true if any were restored.
+    async restoreSavedPlacement() {
+        const saved = this.placementStore.load().slice(0, this.maxStages);
+        if (saved.length === 0) return false;
+
+        // Clear out the desktop preview stage; the saved ones replace it
+        this.removeAllStages({ persist: false });
+
+        const session = this.xrSession;
+        for (const placement of saved) {
+            const performerIndex = placement.performerIndex < this.performerLibrary.count
+                ? placement.performerIndex
+                : this.pickPerformerIndex();
+            const stage = this.addStage(new THREE.Vector3().fromArray(placement.position), performerIndex);
+            stage.platform.quaternion.fromArray(placement.quaternion);
+            stage.platform.scale.setScalar(placement.scale);
+
+            if (placement.anchorUuid && session.persistentAnchors && session.persistentAnchors.includes(placement.anchorUuid)) {
+                try {
+                    // Start from the saved pose; the anchor takes over once it is tracked
+                    stage.anchor = await session.restorePersistentAnchor(placement.anchorUuid);
+                    stage.anchorUuid = placement.anchorUuid;
+                    stage.anchorTurn = placement.anchorTurn ? new THREE.Quaternion().fromArray(placement.anchorTurn) : null;
+                    console.log('Restored persistent anchor', placement.anchorUuid);
+                } catch (error) {
+                    console.warn('Could not restore persistent anchor, using saved pose:', error);
+                }
+            }
 
-            // Get current position
-            const x = positions.getX(i);
-            const y = positions.getY(i);
-            const z = positions.getZ(i);
+            stage.playAudio();
+            console.log(`Stage ${stage.id} restored at:`, stage.platform.position);
+        }
 
-            // Calculate offset from curve center
-            const dx = x - curvePoint.x;
-            const dy = y - curvePoint.y;
-            const dz = z - curvePoint.z;
+        this.interaction.send('restored', this.getRoom());
+        return true;
+    }
 
-            // Apply scaling to create taper
-            positions.setXYZ(
-                i,
-                curvePoint.x + dx * scale,
-                curvePoint.y + dy * scale,
-                curvePoint.z + dz * scale
-            );
+    async forgetSavedPlacement() {
+        for (const placement of this.placementStore.load()) {
+            await this.deletePersistentAnchor(placement.anchorUuid);
         }
+        this.placementStore.clear();
+        document.getElementById('forgetPlacementButton').disabled = true;
+        document.getElementById('status').textContent = 'Saved spots forgotten. The dancer will start in front of you next time.';
+        console.log('Saved placement cleared');
+    }
 
-        // Update geometry
-        this.controllerRay.geometry.dispose();
-        this.controllerRay.geometry = tubeGeometry;
-        this.controllerRay.visible = true;
+    // Keep each platform glued to its anchor as tracking refines the anchor's pose: at the
+    // anchor's position, and turned with it, on top of the turn the stage had when anchored
+    updateAnchoredPlacements(frame) {
+        if (!frame.trackedAnchors) return;
+
+        for (const stage of this.stages) {
+            if (!stage.anchor || stage === this.repositioningStage || this.manipulator.isGrabbed(stage) ||
+                !frame.trackedAnchors.has(stage.anchor)) continue;
+
+            const anchorPose = frame.getPose(stage.anchor.anchorSpace, this.xrRefSpace);
+            if (anchorPose) {
+                const platform = stage.platform;
+                const orientation = this.scratchQuaternion.copy(anchorPose.transform.orientation);
+                if (!stage.anchorTurn) {
+                    // Restored from a save that predates turns: keep the turn it was restored with
+                    stage.anchorTurn = orientation.clone().invert().multiply(platform.quaternion);
+                }
+                platform.position.copy(anchorPose.transform.position);
+                platform.quaternion.copy(orientation).multiply(stage.anchorTurn);
+            }
+        }
     }
 
-    enableRepositioning() {
+    // An input's pointing ray in the reference space, or null if it isn't tracked this frame
+    getInputRay(frame, inputSource) {
+        if (inputSource.hand) {
+            const handRay = this.handTracker.getRay(inputSource);
+            if (handRay) return handRay;
+        }
+        if (!frame || !inputSource.targetRaySpace) return null;
+
+        const rayPose = frame.getPose(inputSource.targetRaySpace, this.xrRefSpace);
+        if (!rayPose) return null;
+
+        let ray = this.inputRays.get(inputSource);
+        if (!ray) {
+            ray = { origin: new THREE.Vector3(), direction: new THREE.Vector3() };
+            this.inputRays.set(inputSource, ray);
+        }
+        const transform = rayPose.transform;
+        ray.origin.copy(transform.position);
+        ray.direction.set(0, 0, -1).applyQuaternion(this.scratchQuaternion.copy(transform.orientation));
+        return ray;
+    }
+
+    // Where an input's grip is this frame, or null if it has none
+    getInputGrip(frame, inputSource) {
+        const gripPose = inputSource.gripSpace ? frame.getPose(inputSource.gripSpace, this.xrRefSpace) : null;
+        if (!gripPose) return null;
+
+        let grip = this.inputGrips.get(inputSource);
+        if (!grip) {
+            grip = new THREE.Vector3();
+            this.inputGrips.set(inputSource, grip);
+        }
+        return grip.copy(gripPose.transform.position);
+    }
+
+    // Feed the current pose of every grabbing input to the manipulator
+    updateManipulation(frame, delta) {
+        if (!this.manipulator.isManipulating) return;
+
+        const poses = this.manipulationPoses;
+        poses.clear();
+        for (const inputSource of this.manipulator.grabs.keys()) {
+            const ray = this.getInputRay(frame, inputSource);
+            if (!ray) continue;
+
+            // Two-handed gestures measure between grips; hands (and some controllers) have none
+            const grip = this.getInputGrip(frame, inputSource) || ray.origin;
+            poses.set(inputSource, { origin: ray.origin, direction: ray.direction, grip });
+        }
+        // Held stages are kept on the surfaces as detected now, not as when last aimed at
+        this.placementSurfaces.update(frame, this.xrRefSpace);
+        this.manipulator.update(delta, poses);
+    }
+
+    // state: idle, hover, valid or invalid, for the ray's colour
+    updateControllerRay(origin, direction, hitPoint, state) {
+        this.controllerRay.setState(state);
+        this.controllerRay.update(origin, direction, hitPoint);
+    }
+
+    // Stages a controller command applies to: the selected one, else the one pointed at, else all
+    getTargetStages() {
+        if (this.selectedStage) return [this.selectedStage];
+        if (this.hoveredStage) return [this.hoveredStage];
+        return this.stages;
+    }
+
+    // Flick a thumbstick left/right for the previous/next clip, down/up for the previous/next
+    // track of the playlist
+    handleThumbstickSkip(inputSources) {
+        let stickX = 0;
+        let stickY = 0;
+        for (const inputSource of inputSources) {
+            // xr-standard mapping puts the thumbstick on axes 2/3
+            if (inputSource.gamepad && inputSource.gamepad.axes.length >= 4) {
+                const x = inputSource.gamepad.axes[2];
+                const y = inputSource.gamepad.axes[3];
+                if (Math.abs(x) > Math.abs(stickX)) {
+                    stickX = x;
+                }
+                if (Math.abs(y) > Math.abs(stickY)) {
+                    stickY = y;
+                }
+            }
+        }
+
+        if (this.thumbstickSkipArmed && Math.max(Math.abs(stickX), Math.abs(stickY)) > 0.8) {
+            this.thumbstickSkipArmed = false;
+            if (Math.abs(stickX) >= Math.abs(stickY)) {
+                for (const stage of this.getTargetStages()) {
+                    if (!stage.choreography) continue;
+                    if (stickX > 0) {
+                        stage.choreography.next();
+                    } else {
+                        stage.choreography.previous();
+                    }
+                }
+            } else {
+                // Pushing the stick forward reads as negative Y
+                this.skipTrack(stickY < 0 ? 1 : -1);
+            }
+        } else if (Math.abs(stickX) < 0.3 && Math.abs(stickY) < 0.3) {
+            this.thumbstickSkipArmed = true;
+        }
+    }
+
+    skipTrack(direction) {
+        const stages = this.getTargetStages().filter((stage) => stage.soundtrack);
+        if (stages.length === 0) {
+            document.getElementById('status').textContent = 'No soundtrack to skip.';
+            return;
+        }
+        const skipped = stages.filter((stage) => stage.skipTrack(direction));
+        document.getElementById('status').textContent = skipped.length > 0
+            ? `Now playing "${skipped[0].trackTitle}".`
+            : `No ${direction > 0 ? 'next' : 'previous'} track in the playlist.`;
+    }
+
+    // Runtime spatial audio settings, for the stages the controller buttons act on:
+    //   model: any of { distanceModel, refDistance, maxDistance, rolloffFactor }
+    setSpatialAudio(model) {
+        for (const stage of this.getTargetStages()) stage.setSpatialModel(model);
+    }
+
+    // cone: { innerAngle, outerAngle, outerGain }, or null for sound all ways
+    setAudioCone(cone) {
+        for (const stage of this.getTargetStages()) stage.setCone(cone);
+    }
+
+    // reverb: any of { preset, url, mix }; a preset replaces a url and the other way round
+    setReverb(reverb) {
+        for (const stage of this.getTargetStages()) {
+            const current = stage.reverb;
+            if (!current) continue;
+            const impulse = reverb.preset !== undefined || reverb.url !== undefined
+                ? { preset: reverb.preset || null, url: reverb.url || null }
+                : { preset: current.preset, url: current.url };
+            stage.setReverb({ ...impulse, mix: reverb.mix === undefined ? current.mix : reverb.mix });
+        }
+    }
+
+    // Light show settings for every stage: any of { preset, maxIntensity, particles }
+    setVisuals(visuals) {
+        if (visuals.preset !== undefined && !VISUAL_PRESETS[visuals.preset]) {
+            throw new Error(`Unknown light show preset '${visuals.preset}'. Presets: ${Object.keys(VISUAL_PRESETS).join(', ')}`);
+        }
+        Object.assign(this.visuals, visuals);
+        this.refreshControlPanel();
+    }
+
+    // X: reposition the selected stage (or the only one); otherwise explain how to add or pick one
+    onRepositionButton() {
+        const stage = this.selectedStage || (this.stages.length === 1 ? this.stages[0] : null);
+        const statusDiv = document.getElementById('status');
+
+        if (stage) {
+            this.enableRepositioning(stage);
+            statusDiv.textContent = `Point at a surface and click to move ${stage.performer.name}.`;
+        } else if (this.stages.length < this.maxStages) {
+            statusDiv.textContent = 'Point at a surface and click to add a dancer.';
+        } else {
+            statusDiv.textContent = 'Point at a stage and click to select it, then press X to move it.';
+        }
+    }
+
+    // Y: remove the selected stage, or the one being pointed at
+    onRemoveButton() {
+        const stage = this.selectedStage || this.hoveredStage;
+        if (!stage) {
+            document.getElementById('status').textContent = 'Point at a stage and press Y to remove it.';
+            return;
+        }
+
+        this.removeStage(stage);
+        document.getElementById('status').textContent =
+            `${stage.performer.name} removed. Point at a surface and click to add a dancer.`;
+    }
+
+    enableRepositioning(stage) {
         // Allow user to reposition the dancer
-        this.isPlaced = false;
+        this.repositioningStage = stage;
+        this.interaction.send('repositionRequested');
+
+        // The soundtrack waits for the stage to land
+        stage.holdAudio('placement');
 
         // Hide placard during repositioning
-        if (this.placard && this.placard.visible) {
-            this.hidePlacard();
-        }
+        stage.hidePlacard();
 
-        console.log('Repositioning enabled');
+        console.log(`Repositioning enabled for stage ${stage.id}`);
+    }
+
+    // Switch the reticle between following the controller ray and following the head. The
+    // right thumbstick click and the control panel do this in the headset.
+    toggleAimMode() {
+        const mode = this.aim.toggleMode();
+        this.updateAimModeLabel();
+        document.getElementById('status').textContent = mode === 'gaze'
+            ? 'Aiming with your head: look where the dancer should go.'
+            : 'Aiming with the controller: point where the dancer should go.';
+        console.log(`Aim mode: ${mode}`);
+    }
+
+    updateAimModeLabel() {
+        document.getElementById('aimModeButton').textContent =
+            this.aim.mode === 'gaze' ? 'Aim with controller' : 'Aim with head';
     }
 
     async requestHitTestSource() {
-        if (this.hitTestSourceRequested) return;
-        this.hitTestSourceRequested = true;
+        if (!this.interaction.needsHitTestSource) return;
+        this.interaction.hitTestRequested();
 
+        const session = this.xrSession;
         try {
-            const session = this.renderer.xr.getSession();
-            const viewerSpace = await session.requestReferenceSpace('viewer');
-            this.hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
+            await this.aim.start(session);
+            if (session !== this.xrSession) return; // Ended while we waited
+
+            this.interaction.hitTestReady();
         } catch (error) {
+            if (session !== this.xrSession) return;
+
             console.warn('Hit test not supported:', error);
+            this.interaction.hitTestFailed();
             // If hit-test fails, place at a default position
             this.placeAtDefaultPosition();
         }
@@ -701,20 +1363,22 @@ class VRPassthroughDancer {
 
     placeAtDefaultPosition() {
         // Place 1 meter in front and at table height (lower)
-        this.platform.position.set(0, 0.3, -1);
-        this.platform.visible = true;
+        const position = new THREE.Vector3(0, 0.3, -1);
 
-        if (this.dancer) {
-            this.dancer.visible = true;
-            console.log('Dancer visible:', this.dancer.visible, 'at position:', this.platform.position);
-        } else {
-            console.warn('Dancer not loaded yet!');
+        // Reuse the auto-placed stage if there is one; never stack extras in front of the user
+        let stage = this.stages.find((s) => s.provisional);
+        if (!stage && this.stages.length === 0) {
+            stage = this.addStage(position);
         }
+        if (!stage) return;
+
+        stage.provisional = true;
+        stage.placeAt(position);
 
-        // Don't set isPlaced yet - allow user to reposition with hit-test
-        console.log('Platform placed at:', this.platform.position);
-        console.log('Platform visible:', this.platform.visible);
-        console.log('Platform children count:', this.platform.children.length);
+        // Shown, but not placed: the reticle keeps hunting so the user can put it on a surface
+        this.interaction.send('previewShown');
+        console.log('Platform placed at:', stage.platform.position);
+        console.log('Platform children count:', stage.platform.children.length);
     }
 
     animate() {
@@ -722,16 +1386,13 @@ class VRPassthroughDancer {
     }
 
     render(time, frame) {
+        const frameStart = performance.now();
         const delta = this.clock.getDelta();
 
-        // Update animation mixer
-        if (this.mixer) {
-            this.mixer.update(delta);
-        }
-
-        // Simple rotation animation for models without animations
-        if (this.dancer && this.dancer.userData.rotate && this.dancer.visible) {
-            this.dancer.rotation.y += delta * 0.5;
+        // Animate every stage: mixer, choreography, placard fade and facing
+        this.updateStageDetail();
+        for (const stage of this.stages) {
+            stage.update(delta, this.camera);
         }
 
         // Pulse the reticle to make it more visible
@@ -741,200 +1402,557 @@ class VRPassthroughDancer {
             this.reticle.scale.set(scale, scale, scale);
         }
 
-        // Fade in the placard
-        if (this.placard && this.placard.visible && this.placardFadeStartTime !== null) {
-            const fadeInDuration = 1500; // 1.5 seconds fade in
-            const elapsed = performance.now() - this.placardFadeStartTime;
-            const progress = Math.min(elapsed / fadeInDuration, 1.0);
-
-            // Smooth easing function
-            const easeProgress = progress * (2 - progress); // ease-out
+        if (frame && this.xrSession) {
+            this.updateXRFrame(frame, delta);
+        } else {
+            this.updateDesktopPreview(delta);
+        }
 
-            this.placard.material.opacity = easeProgress;
+        this.renderer.render(this.scene, this.camera);
+        this.capture.update(delta);
+        this.captureIndicator.update(this.xrSession ? this.capture.describe() : '');
+        if (this.capture.state === 'recording' && this.renderer.xr.isPresenting) {
+            this.renderCaptureMirror();
+        }
 
-            if (progress >= 1.0) {
-                this.placardFadeStartTime = null; // Stop animating once complete
-            }
+        // Only XR frames are held to the headset's budget
+        if (frame && this.xrSession) {
+            this.governor.update(delta, performance.now() - frameStart);
         }
+        this.performanceOverlay.update(delta, this.governor, this.renderer.info);
+    }
 
-        // Make placard always face the camera
-        if (this.placard && this.placard.visible) {
-            // Get camera position in world space
-            const cameraWorldPos = new THREE.Vector3();
-            this.camera.getWorldPosition(cameraWorldPos);
+    updateXRFrame(frame, delta) {
+        const pose = frame.getViewerPose(this.xrRefSpace);
 
-            // Convert camera position to platform's local space
-            const cameraLocalPos = this.platform.worldToLocal(cameraWorldPos.clone());
+        this.updateAnchoredPlacements(frame);
+        this.occlusion.update(frame, pose);
 
-            // Calculate direction from placard to camera in local space
-            const direction = new THREE.Vector3();
-            direction.subVectors(cameraLocalPos, this.placard.position);
-            direction.y = 0; // Keep placard upright
-            direction.normalize();
+        // Read hand joints first so pinches and hand rays are current for everything below
+        const inputSources = this.xrSession.inputSources;
+        this.handTracker.update(frame, this.xrRefSpace, inputSources, delta);
+        this.updateManipulation(frame, delta);
+        this.updateControlPanel(frame, pose, inputSources, delta);
 
-            // Calculate rotation angle in local space
-            const angle = Math.atan2(direction.x, direction.z);
+        this.handleButtons(inputSources);
 
-            // Apply rotation with 180 degree offset around center
-            this.placard.rotation.y = angle + Math.PI;
+        // Flick the thumbstick to skip clips and tracks, unless it is turning a held stage
+        if (!this.manipulator.isManipulating) {
+            this.handleThumbstickSkip(inputSources);
         }
 
-        if (frame && this.xrSession) {
-            // VR rendering
-            const pose = frame.getViewerPose(this.xrRefSpace);
-
-            // Check for X button press on controllers
-            const inputSources = this.xrSession.inputSources;
-            let xButtonCurrentlyPressed = false;
+        // The reticle first, so a ray aiming it can be drawn to where it landed
+        this.updateReticle(frame, pose, inputSources);
+        this.updatePointing(frame, inputSources);
+    }
 
-            for (const inputSource of inputSources) {
-                if (inputSource.gamepad) {
-                    // Button 4 is typically X on left controller or A on right controller
-                    // Button 5 is typically Y on left controller or B on right controller
-                    if (inputSource.gamepad.buttons[4] && inputSource.gamepad.buttons[4].pressed) {
-                        xButtonCurrentlyPressed = true;
-                        break;
-                    }
-                    if (inputSource.gamepad.buttons[5] && inputSource.gamepad.buttons[5].pressed) {
-                        xButtonCurrentlyPressed = true;
-                        break;
-                    }
+    // X (reposition), Y (remove), B (record) and the thumbstick clicks (panel, aim mode), once per
+    // press
+    handleButtons(inputSources) {
+        const held = [];
+        for (const inputSource of inputSources) {
+            if (inputSource.gamepad) {
+                // Button 4 is typically X on left controller or A on right controller
+                // Button 5 is typically Y on left controller or B on right controller; B records
+                const buttons = inputSource.gamepad.buttons;
+                if (buttons[4] && buttons[4].pressed) held.push('x');
+                if (buttons[5] && buttons[5].pressed) {
+                    held.push(inputSource.handedness === 'right' ? 'record' : 'y');
+                }
+                // The left thumbstick click opens the panel, the right one switches aim mode
+                if (buttons[3] && buttons[3].pressed) {
+                    held.push(inputSource.handedness === 'left' ? 'menu' : 'thumbstick');
                 }
             }
+        }
 
-            // Detect button press (not held) and enable repositioning
-            if (xButtonCurrentlyPressed && !this.xButtonPressed) {
-                console.log('X button pressed - enabling repositioning');
-                this.enableRepositioning();
-            }
-            this.xButtonPressed = xButtonCurrentlyPressed;
-
-            // Check if controller is pointing at platform and show/hide placard
-            // Also update controller ray visual
-            let controllerFound = false;
-            if (this.isPlaced && this.platform.visible) {
-                let pointingAtPlatform = false;
-
-                for (const inputSource of inputSources) {
-                    if (inputSource.targetRayMode === 'tracked-pointer' && inputSource.targetRaySpace) {
-                        // Get the controller pose
-                        const controllerPose = frame.getPose(inputSource.targetRaySpace, this.xrRefSpace);
-
-                        if (controllerPose) {
-                            controllerFound = true;
-
-                            // Get controller position and direction
-                            const transform = controllerPose.transform;
-                            const origin = new THREE.Vector3(
-                                transform.position.x,
-                                transform.position.y,
-                                transform.position.z
-                            );
-
-                            // Calculate direction from orientation
-                            const orientation = transform.orientation;
-                            const direction = new THREE.Vector3(0, 0, -1);
-                            direction.applyQuaternion(new THREE.Quaternion(
-                                orientation.x,
-                                orientation.y,
-                                orientation.z,
-                                orientation.w
-                            ));
-
-                            // Set up raycaster
-                            this.raycaster.set(origin, direction);
-
-                            // Check intersection with platform and its children
-                            const intersects = this.raycaster.intersectObjects(this.platform.children, true);
-
-                            // Update controller ray visual
-                            this.updateControllerRay(origin, direction, intersects.length > 0 ? intersects[0].point : null);
-
-                            if (intersects.length > 0) {
-                                pointingAtPlatform = true;
-                                break;
-                            }
-                        }
-                    }
-                }
+        const pressed = this.buttonEdges.update(held);
+        if (pressed.has('x')) {
+            console.log('X button pressed - enabling repositioning');
+            this.onRepositionButton();
+        }
+        if (pressed.has('y')) {
+            console.log('Y button pressed - removing stage');
+            this.onRemoveButton();
+        }
+        if (pressed.has('record')) {
+            this.capture.toggle();
+        }
+        if (pressed.has('thumbstick')) {
+            this.toggleAimMode();
+        }
+        if (pressed.has('menu')) {
+            this.controlPanel.toggle();
+        }
+    }
 
-                // Show/hide placard based on pointing
-                if (pointingAtPlatform) {
-                    if (!this.placard.visible) {
-                        this.showPlacard();
-                    }
-                } else {
-                    if (this.placard.visible) {
-                        this.hidePlacard();
-                    }
-                }
+    // Float the control panel over the left controller or palm, and work out which of the other
+    // inputs point at it or poke it this frame
+    updateControlPanel(frame, viewerPose, inputSources, delta) {
+        this.panelHovers.clear();
+        if (!viewerPose) return;
+
+        let holder = null;
+        let holderPose = null;
+        for (const inputSource of inputSources) {
+            if (inputSource.handedness !== 'left') continue;
+            holder = inputSource;
+            if (inputSource.hand) {
+                const wrist = this.handTracker.getWristMatrix(inputSource, this.wristMatrix);
+                holderPose = wrist ? { wrist } : null;
+            } else if (inputSource.gripSpace) {
+                const grip = this.getInputGrip(frame, inputSource);
+                holderPose = grip ? { grip } : null;
             }
+        }
+
+        const head = this.headPosition.copy(viewerPose.transform.position);
+        this.controlPanel.update(holder, holderPose, head, delta);
+        if (!this.controlPanel.visible) return;
+
+        for (const inputSource of inputSources) {
+            if (inputSource === holder || inputSource.targetRayMode !== 'tracked-pointer') continue;
 
-            // Hide ray if no controller or not placed
-            if (!controllerFound || !this.isPlaced) {
-                this.controllerRay.visible = false;
+            if (inputSource.hand) {
+                const tip = this.handTracker.getIndexTip(inputSource, this.fingertip);
+                if (tip) this.controlPanel.poke(inputSource, tip);
             }
 
-            // Debug logging every 60 frames (approx once per second at 60fps)
-            if (Math.floor(time / 1000) % 1 === 0 && Math.floor(time) % 1000 < 20) {
-                console.log('VR frame - Platform visible:', this.platform.visible,
-                           'Dancer visible:', this.dancer ? this.dancer.visible : 'no dancer',
-                           'Platform pos:', this.platform.position);
+            const ray = this.getInputRay(frame, inputSource);
+            const hit = ray ? this.controlPanel.intersect(ray.origin, ray.direction) : null;
+            if (hit) {
+                this.panelHovers.set(inputSource, { ...hit, ray });
             }
+        }
+        this.controlPanel.setHovered(Array.from(this.panelHovers.values(), (hover) => hover.button));
+        this.refreshControlPanel();
+    }
 
-            // Show hit-test reticle only when not placed
-            if (!this.isPlaced) {
-                // Request hit test source if not already requested
-                if (!this.hitTestSource && !this.hitTestSourceRequested) {
-                    this.requestHitTestSource();
+    // Labels and the info line follow the stage the panel's commands apply to
+    refreshControlPanel() {
+        const panel = this.controlPanel;
+        panel.setLabel('aimMode', this.aim.mode === 'gaze' ? 'Aim: head' : 'Aim: ray');
+        panel.setLabel('lights', `Lights: ${this.visuals.preset}`);
+        panel.setLabel('calm', this.visuals.maxIntensity <= CALM_INTENSITY ? 'Calm: on' : 'Calm: off');
+        panel.setLabel('sparks', this.visuals.particles ? 'Sparks: on' : 'Sparks: off');
+        panel.setLabel('record', RECORD_PANEL_LABELS[this.capture.state]);
+
+        const stage = this.getTargetStages()[0];
+        if (!stage) {
+            panel.setInfo('No dancer placed');
+            return;
+        }
+        panel.setLabel('playPause', stage.paused ? 'Play' : 'Pause');
+        panel.setLabel('mute', stage.muted ? 'Unmute' : 'Mute');
+        panel.setLabel('shuffle', stage.shuffle ? 'Shuffle: on' : 'Shuffle: off');
+        const reverb = stage.reverb;
+        const room = reverb && (reverb.preset || reverb.url) ? (reverb.preset || 'file').replace('-room', '') : 'off';
+        panel.setLabel('reverb', `Room: ${room}`);
+        panel.setLabel('reverbMix', `Wet ${Math.round((reverb ? reverb.mix : 0) * 100)}%`);
+        panel.setLabel('audioCone', stage.coneEnabled ? 'Cone: on' : 'Cone: off');
+
+        const clip = stage.choreography ? stage.choreography.currentClipName : null;
+        const volume = stage.muted ? 'muted' : `vol ${Math.round(stage.volume * 100)}%`;
+        panel.setInfo([stage.performer.name, stage.trackTitle, clip, `${stage.speed}x`, volume].filter(Boolean).join('  ·  '));
+    }
+
+    // Panel buttons act on the same stages as the controller buttons: the selected one, else all
+    onPanelAction(action) {
+        const stages = this.getTargetStages().slice(); // Switching performers replaces entries
+        const first = stages[0];
+        const stepSpeed = (direction) => {
+            const index = DANCE_SPEEDS.indexOf(first.speed);
+            const speed = DANCE_SPEEDS[THREE.MathUtils.clamp(index + direction, 0, DANCE_SPEEDS.length - 1)];
+            for (const stage of stages) stage.setSpeed(speed);
+        };
+
+        const handlers = {
+            playPause: () => {
+                const paused = !first.paused;
+                for (const stage of stages) stage.setPaused(paused);
+            },
+            clipPrevious: () => {
+                for (const stage of stages) if (stage.choreography) stage.choreography.previous();
+            },
+            clipNext: () => {
+                for (const stage of stages) if (stage.choreography) stage.choreography.next();
+            },
+            trackPrevious: () => this.skipTrack(-1),
+            trackNext: () => this.skipTrack(1),
+            shuffle: () => {
+                const shuffle = !first.shuffle;
+                for (const stage of stages) stage.setShuffle(shuffle);
+            },
+            reverb: () => {
+                // Off, then each bundled preset in turn
+                const names = [null, ...Object.keys(REVERB_PRESETS)];
+                const current = first.reverb ? names.indexOf(first.reverb.preset) : 0;
+                const preset = names[(current + 1) % names.length];
+                this.setReverb({ preset, url: null });
+            },
+            reverbMix: () => {
+                const mix = first.reverb ? first.reverb.mix : 0;
+                const next = REVERB_MIXES.find((candidate) => candidate > mix + 1e-6) || REVERB_MIXES[0];
+                this.setReverb({ mix: next });
+            },
+            audioCone: () => {
+                const enabled = !first.coneEnabled;
+                for (const stage of stages) stage.setConeEnabled(enabled);
+            },
+            seekBack: () => {
+                for (const stage of stages) stage.seekAudio(stage.audioTime - SEEK_STEP);
+            },
+            seekForward: () => {
+                for (const stage of stages) stage.seekAudio(stage.audioTime + SEEK_STEP);
+            },
+            restart: () => {
+                for (const stage of stages) {
+                    stage.seekAudio(0);
+                    stage.restartDanceWithAudio(0);
                 }
+            },
+            speedDown: () => stepSpeed(-1),
+            speedUp: () => stepSpeed(1),
+            volumeDown: () => {
+                for (const stage of stages) stage.setVolume(stage.volume - VOLUME_STEP);
+            },
+            volumeUp: () => {
+                for (const stage of stages) stage.setVolume(stage.volume + VOLUME_STEP);
+            },
+            mute: () => {
+                const muted = !first.muted;
+                for (const stage of stages) stage.setMuted(muted);
+            },
+            modelPrevious: () => {
+                for (const stage of stages) this.switchPerformer(stage, -1);
+            },
+            modelNext: () => {
+                for (const stage of stages) this.switchPerformer(stage, 1);
+            }
+        };
+
+        // These act on the whole scene, so need no dancer placed
+        const sceneHandlers = {
+            aimMode: () => this.toggleAimMode(),
+            resetPlacement: () => this.resetPlacement(),
+            lights: () => {
+                const presets = Object.keys(VISUAL_PRESETS);
+                this.visuals.preset = presets[(presets.indexOf(this.visuals.preset) + 1) % presets.length];
+            },
+            calm: () => {
+                const cap = this.manifest.visuals.maxIntensity;
+                this.visuals.maxIntensity = this.visuals.maxIntensity <= CALM_INTENSITY ? cap : Math.min(cap, CALM_INTENSITY);
+            },
+            sparks: () => {
+                this.visuals.particles = !this.visuals.particles;
+            },
+            record: () => this.capture.toggle()
+        };
+
+        if (sceneHandlers[action]) {
+            sceneHandlers[action]();
+        } else if (!first) {
+            document.getElementById('status').textContent = 'Place a dancer first.';
+        } else {
+            handlers[action]();
+        }
+        this.refreshControlPanel();
+    }
+
+    // Swap a stage's dancer for the next (or previous) performer in the manifest, keeping the
+    // spot, turn, size, anchor and playback settings
+    switchPerformer(stage, direction) {
+        const count = this.performerLibrary.count;
+        if (count < 2) {
+            document.getElementById('status').textContent = 'There is only one dancer in this show.';
+            return;
+        }
+
+        const performerIndex = (stage.performerIndex + direction + count) % count;
+        const replacement = new Stage({
+            id: stage.id,
+            performerIndex,
+            assets: this.performerLibrary.get(performerIndex),
+            audioListener: this.audioListener,
+            reverb: this.reverb,
+            visuals: this.visuals
+        });
+        replacement.platform.position.copy(stage.platform.position);
+        replacement.platform.quaternion.copy(stage.platform.quaternion);
+        replacement.platform.scale.copy(stage.platform.scale);
+        replacement.platform.visible = stage.platform.visible;
+        replacement.ground.quaternion.copy(stage.ground.quaternion);
+        replacement.provisional = stage.provisional;
+        replacement.setEnvironmentMap(this.lighting.environment);
+        replacement.setVolume(stage.volume);
+        replacement.setMuted(stage.muted);
+        replacement.setSpeed(stage.speed);
+        replacement.setPaused(stage.paused);
+
+        // Hand the anchor over, so disposing the old stage doesn't delete it
+        replacement.anchor = stage.anchor;
+        replacement.anchorUuid = stage.anchorUuid;
+        replacement.anchorTurn = stage.anchorTurn;
+        stage.anchor = null;
+
+        this.manipulator.cancel(stage);
+        if (stage === this.hoveredStage) this.hoveredStage = null;
+        if (stage === this.repositioningStage) this.repositioningStage = replacement;
+        const selected = stage === this.selectedStage;
+        if (selected) this.selectStage(null);
+
+        this.stages[this.stages.indexOf(stage)] = replacement;
+        this.attachSoundtrack(replacement);
+        stage.dispose();
+        this.scene.add(replacement.platform);
+        if (selected) this.selectStage(replacement);
+        if (!replacement.provisional) replacement.playAudio();
+
+        this.savePlacements();
+        document.getElementById('status').textContent = `${replacement.performer.name} is dancing now.`;
+        console.log(`Stage ${stage.id} switched to performer ${performerIndex} (${replacement.performer.name})`);
+    }
+
+    // Start placement over: forget the saved spots and bring one dancer back in front of the user
+    async resetPlacement() {
+        this.removeAllStages({ persist: false });
+        await this.forgetSavedPlacement();
+        if (this.xrSession) {
+            this.placeAtDefaultPosition();
+        }
+        document.getElementById('status').textContent = 'Placement reset. Point at a surface and click to place the dancer.';
+    }
 
-                // Perform hit testing
-                if (this.hitTestSource && pose) {
-                    const hitTestResults = frame.getHitTestResults(this.hitTestSource);
-
-                    if (hitTestResults.length > 0) {
-                        const hit = hitTestResults[0];
-                        const hitPose = hit.getPose(this.xrRefSpace);
-
-                        if (hitPose) {
-                            this.reticle.visible = true;
-                            this.reticle.position.copy(hitPose.transform.position);
-
-                            // Orient reticle to surface
-                            const orientation = hitPose.transform.orientation;
-                            this.reticle.quaternion.set(
-                                orientation.x,
-                                orientation.y,
-                                orientation.z,
-                                orientation.w
-                            );
+    // Resolve which stage each controller is pointing at, show that stage's placard
+    // and update the controller ray visual
+    updatePointing(frame, inputSources) {
+        let controllerFound = false;
+        let pointedStage = null;
+        const pointableStages = this.getPointableStages();
+
+        // A ray on the control panel ends there and points at no stage behind it
+        const [panelHover] = this.panelHovers.values();
+        if (panelHover) {
+            controllerFound = true;
+            this.updateControllerRay(panelHover.ray.origin, panelHover.ray.direction, panelHover.point, 'hover');
+        } else if (pointableStages.length > 0) {
+            const platforms = pointableStages.map((stage) => stage.platform);
+
+            for (const inputSource of inputSources) {
+                if (inputSource.targetRayMode === 'tracked-pointer') {
+                    // Get controller position and direction
+                    const ray = this.getInputRay(frame, inputSource);
+
+                    if (ray) {
+                        controllerFound = true;
+                        const { origin, direction } = ray;
+
+                        // Set up raycaster
+                        this.raycaster.set(origin, direction);
+
+                        // Nearest hit across all stages (platforms and their children)
+                        const intersects = this.raycaster.intersectObjects(platforms, true);
+
+                        // Update controller ray visual
+                        const hit = intersects.length > 0 ? intersects[0].point : null;
+                        this.updateControllerRay(origin, direction, hit, hit ? 'hover' : 'idle');
+
+                        if (intersects.length > 0) {
+                            pointedStage = this.stageFromObject(intersects[0].object);
+                            break;
                         }
-                    } else {
-                        this.reticle.visible = false;
                     }
                 }
+            }
+        }
+        this.hoveredStage = pointedStage;
+
+        // While a controller aims the reticle, its ray ends on the reticle (or reaches out past
+        // nothing)
+        if (!pointedStage && !panelHover && this.aimingInput && this.interaction.isHunting) {
+            const ray = this.getInputRay(frame, this.aimingInput);
+            if (ray) {
+                controllerFound = true;
+                const state = this.placementTarget ? 'valid' : this.reticle.visible ? 'invalid' : 'idle';
+                this.updateControllerRay(ray.origin, ray.direction, this.reticle.visible ? this.reticle.position : null, state);
+            }
+        }
+
+        // Show the placard of the stage being pointed at, hide the rest
+        for (const stage of this.stages) {
+            if (stage === pointedStage) {
+                stage.showPlacard();
+            } else {
+                stage.hidePlacard();
+            }
+        }
+
+        // Hide ray if no controller or nothing to point at
+        if (!controllerFound) {
+            this.controllerRay.hide();
+        }
+    }
+
+    // Show the hit-test reticle only while the interaction state is hunting for a surface
+    updateReticle(frame, pose, inputSources) {
+        this.aimingInput = null;
+        if (!this.interaction.isHunting) {
+            this.reticle.visible = false;
+            return;
+        }
+
+        if (this.interaction.needsHitTestSource) {
+            this.requestHitTestSource();
+        }
+
+        if (!this.aim.session || !pose) return;
+
+        this.aim.syncInputSources(inputSources);
+        const { results: hitTestResults, inputSource } = this.aim.getResults(frame, inputSources);
+        this.aimingInput = inputSource;
+
+        // Aiming at the control panel, not at the room
+        if (inputSource && this.panelHovers.has(inputSource)) {
+            this.reticle.visible = false;
+            this.placementTarget = null;
+            return;
+        }
+        if (hitTestResults.length === 0) {
+            this.reticle.visible = false;
+            this.placementTarget = null;
+            return;
+        }
+
+        const hitPose = hitTestResults[0].getPose(this.xrRefSpace);
+        if (hitPose) {
+            // Only level surfaces with room for the whole platform; snapped to their centre or edge
+            this.placementSurfaces.update(frame, this.xrRefSpace);
+            const placement = this.placementSurfaces.evaluate(hitPose.transform, this.getPlacementRadius());
+            this.placementTarget = placement.valid ? placement : null;
+            this.placementRefusal = placement.reason;
+
+            this.reticle.visible = true;
+            this.reticle.position.copy(placement.position);
+            this.reticle.quaternion.copy(placement.orientation);
+            this.reticle.material.color.setHex(placement.valid ? RETICLE_COLOR : RETICLE_INVALID_COLOR);
+        }
+    }
+
+    // Footprint of the stage a select would put down: the one being moved keeps its size
+    getPlacementRadius() {
+        const stage = this.repositioningStage || this.stages.find((s) => s.provisional);
+        return PLATFORM_RADIUS * (stage ? stage.platform.scale.x : 1);
+    }
+
+    updateDesktopPreview(delta) {
+        this.preview.setActive(true);
+
+        // Show a stage in preview mode
+        if (this.stages.length === 0) {
+            const stage = this.addStage(new THREE.Vector3(0, 0, 0));
+            stage.provisional = true;
+        }
+
+        // The mouse points like a controller: the stage under it shows its placard
+        this.hoveredStage = this.preview.update(delta, this.stages);
+        for (const stage of this.stages) {
+            if (stage === this.hoveredStage || this.placardPinned) {
+                stage.showPlacard();
             } else {
-                // Hide reticle when already placed
-                this.reticle.visible = false;
+                stage.hidePlacard();
+            }
+        }
+    }
+
+    // Keys in the desktop preview: the panel's actions, plus preview audio and the placard pin
+    onPreviewAction(action) {
+        const previewHandlers = {
+            audio: () => this.setPreviewAudio(!this.previewAudio),
+            placard: () => {
+                this.placardPinned = !this.placardPinned;
+                document.getElementById('status').textContent = this.placardPinned
+                    ? 'Placards pinned.'
+                    : 'Placards show when pointed at.';
             }
+        };
+
+        if (previewHandlers[action]) {
+            previewHandlers[action]();
         } else {
-            // Non-VR rendering (desktop preview)
-            this.controls.update();
+            this.onPanelAction(action);
+        }
+    }
 
-            // Show platform in preview mode
-            if (!this.platform.visible) {
-                this.platform.position.set(0, 0, -1);
-                this.platform.visible = true;
-                this.dancer.visible = true;
+    // Soundtracks otherwise wait for a session; this lets them play in the preview
+    setPreviewAudio(enabled) {
+        this.previewAudio = enabled;
+        for (const stage of this.stages) {
+            if (enabled) {
+                stage.releaseAudio('session');
+                stage.playAudio();
+            } else {
+                stage.holdAudio('session');
             }
         }
+        document.getElementById('status').textContent = enabled ? 'Preview audio on.' : 'Preview audio off.';
+    }
+}
 
-        this.renderer.render(this.scene, this.camera);
+// Run against the scripted XR runtime instead of a headset: ?xr=emulate for a live session
+// driven from the console (window.xrEmulator), ?scenario=<name>|all to replay recorded
+// scenarios and check them (results land in window.xrScenarioResults)
+async function startEmulated(params) {
+    const { XREmulator } = await import('./xrEmulator.js');
+    const scenarioNames = params.get('scenario');
+    const emulator = new XREmulator({ autoStep: !scenarioNames });
+    window.xrEmulator = emulator;
+
+    // Placements in the emulated room are saved apart from the real room's
+    const app = new VRPassthroughDancer({ xr: emulator.xr, placementScope: 'emulated' });
+    if (scenarioNames) {
+        const { runScenarios } = await import('./xrScenarios.js');
+        try {
+            await app.ready;
+            window.xrScenarioResults = await runScenarios(app, emulator, scenarioNames);
+        } catch (error) {
+            console.error('Scenarios failed:', error);
+            document.getElementById('status').textContent = `Scenarios failed: ${error.message}`;
+            window.xrScenarioResults = { error: error.message };
+        }
+    }
+}
+
+// Render turntables or stills at a fixed timestep instead of running live: ?render=turntable|still
+// (see offlineRender.js for its options); results land in window.offlineRenderResults
+async function startOfflineRender(params) {
+    try {
+        const { runOfflineRender, readRenderOptions } = await import('./offlineRender.js');
+        const app = new VRPassthroughDancer({ offline: true });
+        await app.ready;
+        if (!app.manifest) {
+            throw new Error(document.getElementById('status').textContent); // Init gave up on the manifest
+        }
+        window.offlineRenderResults = await runOfflineRender(app, readRenderOptions(params));
+    } catch (error) {
+        console.error('Offline render failed:', error);
+        document.getElementById('status').textContent = `Offline render failed: ${error.message}`;
+        window.offlineRenderResults = { error: error.message };
     }
 }
 
 // Initialize the app when DOM is ready
 window.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('xr') || params.has('scenario')) {
+        startEmulated(params);
+        return;
+    }
+    if (params.has('render')) {
+        startOfflineRender(params);
+        return;
+    }
+
+    // Pass { manifest } or { manifestUrl } here to stage a different performer,
+    // or load one at runtime with ?scene=path/to/manifest.json
     new VRPassthroughDancer();
 });
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from './decoders/meshopt_decoder.module.js';
+
+// Every asset the app fetches goes through one of these: models, soundtracks and textures share
+// a LoadingManager, so progress can be reported for the whole lot rather than file by file.
+//
+// Progress counts files, as the manager does, with the files still in flight credited with the
+// share of their bytes received so far (where the server says how many there are). Files a model
+// pulls in (buffers, textures) join the count as the model reaches them. A retried file counts
+// once, not once per attempt.
+//
+// A failed load is retried after a pause that doubles each time, for flaky connections and busy
+// servers; the last failure is thrown for the caller to degrade around.
+//
+// Models may be compressed: Draco or meshopt geometry, KTX2 (Basis Universal) textures. The
+// decoders are hosted with the app, under decoders/. KTX2 textures are transcoded to a format the
+// GPU takes, so detectSupport(renderer) has to be called before a model that has them loads.
+
+const DRACO_PATH = 'decoders/draco/';
+const BASIS_PATH = 'decoders/basis/';
+const RETRIES = 2; // After the first attempt
+const RETRY_DELAY = 500; // Milliseconds before the first retry
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export class AssetLoader {
+    constructor({ retries = RETRIES, retryDelay = RETRY_DELAY } = {}) {
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.inFlight = new Map(); // URL -> fraction of its bytes received
+        this.itemsLoaded = 0;
+        this.itemsTotal = 0;
+        this.retried = 0; // Failed attempts that are being tried again, left out of the counts
+
+        this.manager = new THREE.LoadingManager();
+        this.manager.onStart = (url, loaded, total) => this.onItems(loaded, total);
+        this.manager.onProgress = (url, loaded, total) => {
+            this.inFlight.delete(url);
+            this.onItems(loaded, total);
+        };
+        // A failed item still ends, and is counted as done; the retry starts a new one
+        this.manager.onError = (url) => this.inFlight.delete(url);
+
+        this.dracoLoader = new DRACOLoader(this.manager).setDecoderPath(DRACO_PATH);
+        this.ktx2Loader = new KTX2Loader(this.manager).setTranscoderPath(BASIS_PATH);
+        this.loaders = {
+            model: new GLTFLoader(this.manager)
+                .setDRACOLoader(this.dracoLoader)
+                .setKTX2Loader(this.ktx2Loader)
+                .setMeshoptDecoder(MeshoptDecoder),
+            audio: new THREE.AudioLoader(this.manager),
+            texture: new THREE.TextureLoader(this.manager)
+        };
+
+        // Callbacks
+        this.onProgress = null; // (fraction, itemsLoaded, itemsTotal)
+        this.onRetry = null; // (url, attempt, attempts, error), before each retry
+    }
+
+    // Which compressed texture formats the GPU takes, for KTX2 transcoding
+    detectSupport(renderer) {
+        this.ktx2Loader.detectSupport(renderer);
+    }
+
+    // Overall progress, 0..1
+    get progress() {
+        if (this.itemsTotal === 0) return 0;
+        let partial = 0;
+        for (const fraction of this.inFlight.values()) {
+            partial += fraction;
+        }
+        return Math.min((this.itemsLoaded + partial) / this.itemsTotal, 1);
+    }
+
+    onItems(loaded, total) {
+        this.itemsLoaded = loaded - this.retried;
+        this.itemsTotal = total - this.retried;
+        this.reportProgress();
+    }
+
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress(this.progress, this.itemsLoaded, this.itemsTotal);
+        }
+    }
+
+    loadModel(url) {
+        return this.load('model', url);
+    }
+
+    loadAudio(url) {
+        return this.load('audio', url);
+    }
+
+    loadTexture(url) {
+        return this.load('texture', url);
+    }
+
+    async load(kind, url) {
+        const attempts = this.retries + 1;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.loaders[kind].loadAsync(url, (event) => {
+                    // Without a length (a compressed or chunked response) the file counts once done
+                    if (event.lengthComputable && event.total > 0) {
+                        this.inFlight.set(url, event.loaded / event.total);
+                        this.reportProgress();
+                    }
+                });
+            } catch (error) {
+                if (attempt >= attempts) throw error;
+                this.retried++;
+                if (this.onRetry) {
+                    this.onRetry(url, attempt + 1, attempts, error);
+                }
+                await wait(this.retryDelay * 2 ** (attempt - 1));
+            }
+        }
+    }
+}
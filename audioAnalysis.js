@@ -0,0 +1,79 @@
+// Listens to a stage's soundtrack for the light show: band levels and beats, once per frame.
+//
+// Each PositionalAudio deck gets a tap, a pass-through gain inserted as its filter (between the
+// buffer source and the panner) that also feeds one shared AnalyserNode. The tap is before the
+// volume and the distance falloff, so the lights follow the music itself whether the user has
+// turned it down or walked away; a paused or stopped track is silence and lets them settle.
+//
+// Levels are 0..1 averages of the analyser's byte spectrum over each band. A beat is the bass
+// jumping well over its own recent average, at most once per MIN_BEAT_INTERVAL.
+
+export const BANDS = {
+    bass: [20, 150],
+    mid: [150, 2000],
+    treble: [2000, 8000]
+};
+
+const AVERAGE_TIME = 1; // Seconds the bass average reaches back over
+const BEAT_RATIO = 1.3; // How far over its average the bass has to jump to count as a beat
+const BEAT_FLOOR = 0.05; // And by at least this much, so quiet noise doesn't beat
+const MIN_BEAT_INTERVAL = 0.3; // Seconds; no track's beat is faster than 200 BPM
+
+export class AudioAnalysis {
+    constructor(context, { fftSize = 1024, smoothing = 0.6 } = {}) {
+        this.context = context;
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = fftSize;
+        this.analyser.smoothingTimeConstant = smoothing;
+        this.bins = new Uint8Array(this.analyser.frequencyBinCount);
+        this.taps = [];
+
+        // Bin ranges for each band at this context's sample rate
+        const binWidth = context.sampleRate / fftSize;
+        this.bandBins = Object.entries(BANDS).map(([name, [low, high]]) => ({
+            name,
+            start: Math.max(1, Math.floor(low / binWidth)),
+            end: Math.min(this.bins.length, Math.ceil(high / binWidth))
+        }));
+
+        this.levels = { bass: 0, mid: 0, treble: 0 };
+        this.bassAverage = 0;
+        this.beat = false; // True on the frame a beat lands
+        this.sinceBeat = Infinity;
+    }
+
+    // A pass-through node for one deck; see the header
+    createTap() {
+        const tap = this.context.createGain();
+        tap.connect(this.analyser);
+        this.taps.push(tap);
+        return tap;
+    }
+
+    update(delta) {
+        this.analyser.getByteFrequencyData(this.bins);
+        for (const { name, start, end } of this.bandBins) {
+            let sum = 0;
+            for (let i = start; i < end; i++) {
+                sum += this.bins[i];
+            }
+            this.levels[name] = end > start ? sum / ((end - start) * 255) : 0;
+        }
+
+        const bass = this.levels.bass;
+        this.sinceBeat += delta;
+        this.beat = this.sinceBeat >= MIN_BEAT_INTERVAL &&
+            bass > this.bassAverage * BEAT_RATIO && bass > this.bassAverage + BEAT_FLOOR;
+        if (this.beat) {
+            this.sinceBeat = 0;
+        }
+        this.bassAverage += (bass - this.bassAverage) * Math.min(1, delta / AVERAGE_TIME);
+    }
+
+    dispose() {
+        for (const tap of this.taps) {
+            tap.disconnect();
+        }
+        this.analyser.disconnect();
+    }
+}
@@ -0,0 +1,366 @@
+import * as THREE from 'three';
+import { getAudioPlaybackTime } from './beatSync.js';
+import { Playlist } from './playlist.js';
+
+// Playback of one stage's soundtrack: a playlist of tracks through its THREE.PositionalAudio.
+//
+// Whether the track is heard comes from two things: whether it is wanted (play, pause, stop)
+// and whether anything is holding it back. Holds are named by whoever takes them: the app
+// holds every track while the tab is hidden or no session is running, a stage holds its own
+// while it is being moved or paused from the panel. The track plays only when it is wanted and
+// nothing holds it, so the tab coming back never restarts a track that was paused on purpose.
+// A wanted, unheld track whose AudioContext is still suspended (the browser's autoplay policy)
+// is "locked" until the app resumes the context on a user gesture and calls refresh().
+//
+// A playlist of more than one track needs two PositionalAudio "decks". Shortly before the
+// playing track ends the next one is started on the other deck, timed on the AudioContext
+// clock to begin as the first ends ('gapless') or to overlap it while the two gains ramp across
+// ('crossfade'). update() has to be called every frame to queue and hand over tracks. Anything
+// that touches playback mid-handover (a pause, a seek, a skip) first settles it: a queued track
+// is called off, one fading out is cut.
+//
+// Starting, pausing and volume changes ramp the gain rather than jumping, so nothing clicks.
+// Every change of state is dispatched as { type: 'statechange', state, reason }, where reason is
+// the call or hold that caused it, and every change of track as { type: 'trackchange', index,
+// track }.
+
+export const AUDIO_STATES = Object.freeze({
+    STOPPED: 'stopped', // Never started since the last stop; play() starts from the top
+    PLAYING: 'playing',
+    PAUSED: 'paused', // Position kept: paused, or held
+    LOCKED: 'locked' // Would be playing, but the AudioContext is suspended
+});
+
+const FADE_TIME = 0.15; // Seconds of gain ramp when starting, pausing or changing volume
+const QUEUE_AHEAD = 1; // Seconds before a handover that the next track is started on the other deck
+
+export class AudioController extends THREE.EventDispatcher {
+    //   decks: one THREE.Audio, or two for a playlist that changes tracks
+    //   tracks: [{ buffer }, ...] in manifest order; anything else on them is the caller's
+    constructor(decks, { tracks, volume = 1, loop = true, shuffle = false, transition = 'gapless', crossfade = 2 }) {
+        super();
+        this.decks = decks;
+        this.audio = decks[0]; // The deck playing the current track
+        this.tracks = tracks;
+        this.playlist = new Playlist(tracks.length, { shuffle, loop });
+        this.transition = transition;
+        this.crossfade = crossfade;
+        this.volume = volume;
+        this.wanted = false;
+        this.started = false; // Played since the last stop, so play() carries on rather than restarts
+        this.holds = new Set();
+        this.state = AUDIO_STATES.STOPPED;
+        this.fadeTimer = null; // Pending pause at the end of a fade-out
+        this.incoming = null; // { deck, index, startsAt } queued to take over
+        this.outgoing = null; // The previous track's deck, still fading out
+
+        for (const deck of decks) {
+            deck.gain.gain.value = 0;
+        }
+        // A lone track loops by itself; a playlist loops by coming back round to the first
+        this.audio.setLoop(loop && tracks.length === 1);
+        this.audio.setBuffer(this.track.buffer);
+        this.audio.gain.gain.value = volume;
+    }
+
+    get context() {
+        return this.audio.context;
+    }
+
+    get track() {
+        return this.tracks[this.playlist.index];
+    }
+
+    get trackIndex() {
+        return this.playlist.index;
+    }
+
+    // Seconds into the current track, looped tracks wrapping at their end
+    get currentTime() {
+        return getAudioPlaybackTime(this.audio);
+    }
+
+    get duration() {
+        return this.audio.buffer ? this.audio.buffer.duration : 0;
+    }
+
+    get isPlaying() {
+        return this.audio.isPlaying;
+    }
+
+    play() {
+        this.wanted = true;
+        this.apply('play');
+    }
+
+    pause() {
+        this.wanted = false;
+        this.apply('pause');
+    }
+
+    // Carry on after pause(); a stopped track stays stopped
+    resume() {
+        if (this.started) this.play();
+    }
+
+    // Back to the top of the current track, silent; the next play() starts over
+    stop(reason = 'stop') {
+        this.settle();
+        this.wanted = false;
+        this.started = false;
+        this.cancelFade();
+        if (this.audio.isPlaying) {
+            this.audio.stop();
+        }
+        this.audio._progress = 0;
+        this.setState(AUDIO_STATES.STOPPED, reason);
+    }
+
+    hold(reason) {
+        if (this.holds.has(reason)) return;
+        this.holds.add(reason);
+        this.apply(reason);
+    }
+
+    release(reason) {
+        if (!this.holds.delete(reason)) return;
+        this.apply(reason);
+    }
+
+    // Re-evaluate after the AudioContext changed state, e.g. once a gesture unlocked it
+    refresh(reason) {
+        this.apply(reason);
+    }
+
+    // Jump to a time in seconds within the current track: wrapped for looped tracks, clamped
+    // otherwise
+    seek(seconds) {
+        const duration = this.duration;
+        if (duration === 0) return;
+        this.settle();
+        const time = this.audio.loop
+            ? THREE.MathUtils.euclideanModulo(seconds, duration)
+            : THREE.MathUtils.clamp(seconds, 0, duration);
+
+        // THREE.Audio restarts its source from offset + _progress, the same bookkeeping
+        // getAudioPlaybackTime reads, so seeking is a pause, a new position and a play
+        const playing = this.audio.isPlaying;
+        if (playing) this.audio.pause();
+        this.audio.offset = 0;
+        this.audio._progress = time;
+        if (playing) this.audio.play();
+    }
+
+    // Previous (-1) or next (1) track in the playlist, from its start. Returns false at either
+    // end of a playlist that doesn't loop.
+    skip(direction) {
+        this.settle();
+        const index = this.playlist.peek(direction);
+        if (index < 0) return false;
+
+        if (this.transition === 'crossfade' && this.audio.isPlaying && this.decks.length > 1) {
+            // Fade across to the new track starting now, on the other deck
+            this.queue(index, 0, this.crossfade);
+            this.handOver(direction);
+            return true;
+        }
+
+        const playing = this.audio.isPlaying;
+        if (playing) this.audio.stop();
+        this.playlist.step(direction);
+        this.audio.setBuffer(this.track.buffer);
+        this.audio.offset = 0;
+        this.audio._progress = 0;
+        if (playing) this.audio.play();
+        this.dispatchEvent({ type: 'trackchange', index, track: this.track });
+        return true;
+    }
+
+    setShuffle(shuffle) {
+        this.settle(); // The queued track may not be the one that follows any more
+        this.playlist.setShuffle(shuffle);
+    }
+
+    // THREE.Audio only banks its playback position on pause, so change the rate between a
+    // pause and a play to keep currentTime right
+    setPlaybackRate(rate) {
+        this.settle();
+        const playing = this.audio.isPlaying;
+        if (playing) this.audio.pause();
+        this.audio.setPlaybackRate(rate);
+        if (playing) this.audio.play();
+    }
+
+    setVolume(volume) {
+        this.volume = THREE.MathUtils.clamp(volume, 0, 1);
+        if (this.state === AUDIO_STATES.PLAYING && !this.fadeTimer) {
+            this.settle();
+            this.rampTo(this.volume);
+        }
+    }
+
+    // Queue the next track as the current one nears its end, hand over once it has started, and
+    // notice an unlooped playlist running out
+    update() {
+        if (this.incoming && this.context.currentTime >= this.incoming.startsAt) {
+            this.handOver(1);
+        }
+        if (this.state !== AUDIO_STATES.PLAYING || this.fadeTimer || this.incoming) return;
+
+        if (!this.audio.isPlaying) {
+            // The last track ended on its own; ready the first for the next play()
+            this.playlist.rewind();
+            this.audio.setBuffer(this.track.buffer);
+            this.stop('ended');
+            this.dispatchEvent({ type: 'trackchange', index: this.trackIndex, track: this.track });
+            return;
+        }
+        if (this.audio.loop || this.decks.length < 2) return;
+
+        const overlap = this.transition === 'crossfade' ? Math.min(this.crossfade, this.duration / 2) : 0;
+        const remaining = (this.duration - this.currentTime) / this.audio.playbackRate;
+        if (remaining > overlap + QUEUE_AHEAD) return;
+
+        const index = this.playlist.peek(1);
+        if (index >= 0) {
+            this.queue(index, Math.max(0, remaining - overlap), overlap);
+        }
+    }
+
+    // Start a track on the spare deck "delay" seconds from now, the current deck stopping
+    // "overlap" seconds after that while the gains ramp across
+    queue(index, delay, overlap) {
+        const deck = this.decks.find((candidate) => candidate !== this.audio);
+        if (deck.isPlaying) deck.stop();
+        deck.setLoop(false);
+        deck.setBuffer(this.tracks[index].buffer);
+        deck.offset = 0;
+        deck._progress = 0;
+        deck.setPlaybackRate(this.audio.playbackRate);
+
+        const now = this.context.currentTime;
+        const startsAt = now + delay;
+        const gain = deck.gain.gain;
+        const current = this.audio.gain.gain;
+        gain.cancelScheduledValues(now);
+        current.cancelScheduledValues(now);
+        current.setValueAtTime(current.value, now);
+        if (overlap > 0) {
+            gain.setValueAtTime(0, now);
+            gain.linearRampToValueAtTime(0, startsAt);
+            gain.linearRampToValueAtTime(this.volume, startsAt + overlap);
+            current.setValueAtTime(current.value, startsAt);
+            current.linearRampToValueAtTime(0, startsAt + overlap);
+        } else {
+            gain.setValueAtTime(this.volume, now);
+        }
+
+        deck.play(delay);
+        this.audio.source.stop(startsAt + overlap);
+        this.incoming = { deck, index, startsAt };
+    }
+
+    handOver(direction) {
+        const { deck, index } = this.incoming;
+        this.incoming = null;
+        this.outgoing = this.audio; // Stops by itself when its fade is over
+        this.audio = deck;
+        this.playlist.step(direction);
+        this.dispatchEvent({ type: 'trackchange', index, track: this.track });
+    }
+
+    // Finish any handover now: a queued track that hasn't started is called off, one that has
+    // takes over, and a track still fading out is cut
+    settle() {
+        if (this.incoming) {
+            if (this.context.currentTime >= this.incoming.startsAt) {
+                this.handOver(1);
+            } else {
+                this.incoming.deck.stop();
+                this.incoming = null;
+                if (this.audio.isPlaying) {
+                    // Its source was told to stop at the handover; a fresh one carries on instead
+                    this.audio.pause();
+                    this.audio.play();
+                }
+            }
+        }
+        if (this.outgoing) {
+            if (this.outgoing.isPlaying) this.outgoing.stop();
+            this.outgoing.gain.gain.cancelScheduledValues(this.context.currentTime);
+            this.outgoing.gain.gain.value = 0;
+            this.outgoing = null;
+        }
+
+        const gain = this.audio.gain.gain;
+        const now = this.context.currentTime;
+        const settled = this.state === AUDIO_STATES.PLAYING && !this.fadeTimer ? this.volume : gain.value;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(settled, now);
+    }
+
+    apply(reason) {
+        const audible = this.wanted && this.holds.size === 0;
+        const locked = this.context.state !== 'running';
+
+        if (audible && !locked) {
+            this.cancelFade();
+            if (!this.audio.isPlaying) {
+                this.audio.gain.gain.value = 0;
+                this.audio.play();
+            }
+            this.started = true;
+            this.rampTo(this.volume);
+            this.setState(AUDIO_STATES.PLAYING, reason);
+            return;
+        }
+
+        if (this.audio.isPlaying && !this.fadeTimer) {
+            this.settle();
+            this.rampTo(0);
+            this.fadeTimer = setTimeout(() => {
+                this.fadeTimer = null;
+                this.audio.pause();
+            }, FADE_TIME * 1000);
+        }
+
+        if (audible) {
+            this.setState(AUDIO_STATES.LOCKED, reason);
+        } else {
+            this.setState(this.started ? AUDIO_STATES.PAUSED : AUDIO_STATES.STOPPED, reason);
+        }
+    }
+
+    rampTo(value) {
+        const gain = this.audio.gain.gain;
+        const now = this.context.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(value, now + FADE_TIME);
+    }
+
+    // A fade-out that hasn't paused yet is called off; the track carries on from where it is
+    cancelFade() {
+        if (this.fadeTimer) {
+            clearTimeout(this.fadeTimer);
+            this.fadeTimer = null;
+        }
+    }
+
+    setState(state, reason) {
+        if (state === this.state) return;
+        this.state = state;
+        this.dispatchEvent({ type: 'statechange', state, reason });
+    }
+
+    // Silence and detach for good; no statechange, as nobody is listening for this track any more
+    dispose() {
+        this.cancelFade();
+        for (const deck of this.decks) {
+            if (deck.isPlaying) {
+                deck.stop();
+            }
+            deck.gain.disconnect(); // Detach from the listener so the node graph can be collected
+        }
+    }
+}
@@ -0,0 +1,190 @@
+// Beat grid and tempo estimation for keeping the dancer on the music.
+//
+// BeatClock describes the track's grid (BPM plus the time of the first beat) and answers
+// the questions the choreography needs: how fast to play a clip so it loops on whole beats,
+// where in the clip the dancer should be at a given track time, and how long until the next beat.
+// estimateTempo() derives that grid from a decoded AudioBuffer when the manifest gives no BPM.
+
+const BEAT_EPSILON = 1e-3; // Fraction of a beat treated as "on the beat"
+
+export class BeatClock {
+    constructor({ bpm, beatOffset = 0 }) {
+        if (!(bpm > 0)) {
+            throw new Error(`BPM must be a positive number, got ${bpm}`);
+        }
+        this.bpm = bpm;
+        this.beatOffset = beatOffset;
+        this.beatDuration = 60 / bpm;
+    }
+
+    // Fractional beat number at a track time (beat 0 falls on beatOffset)
+    beatAt(time) {
+        return (time - this.beatOffset) / this.beatDuration;
+    }
+
+    timeToNextBeat(time) {
+        const beat = this.beatAt(time);
+        const phase = beat - Math.floor(beat);
+        if (phase < BEAT_EPSILON || phase > 1 - BEAT_EPSILON) {
+            return 0;
+        }
+        return (1 - phase) * this.beatDuration;
+    }
+
+    // Round a duration to a whole number of beats (at least one)
+    snapDuration(seconds) {
+        return Math.max(1, Math.round(seconds / this.beatDuration)) * this.beatDuration;
+    }
+
+    beatsForClip(clipDuration) {
+        return Math.max(1, Math.round(clipDuration / this.beatDuration));
+    }
+
+    // Playback rate that stretches a clip so one loop spans a whole number of beats
+    timeScaleFor(clipDuration) {
+        return clipDuration / (this.beatsForClip(clipDuration) * this.beatDuration);
+    }
+
+    // Local clip time that keeps the clip's loop point on the beat grid at this track time
+    clipTimeAt(time, clipDuration) {
+        const loopLength = this.beatsForClip(clipDuration) * this.beatDuration;
+        const local = (((time - this.beatOffset) % loopLength) + loopLength) % loopLength;
+        return local * (clipDuration / loopLength);
+    }
+}
+
+// Current playback position of a THREE.Audio in seconds, read from its AudioContext clock.
+// Mirrors the bookkeeping THREE.Audio itself does in pause().
+export function getAudioPlaybackTime(audio) {
+    if (!audio || !audio.buffer) return 0;
+
+    const duration = audio.duration || audio.buffer.duration;
+    let time = audio.offset + audio._progress;
+    if (audio.isPlaying) {
+        time += Math.max(audio.context.currentTime - audio._startedAt, 0) * audio.playbackRate;
+    }
+    if (audio.loop && duration > 0) {
+        time %= duration;
+    }
+    return time;
+}
+
+// Offline tempo estimation: onset-strength envelope -> autocorrelation over the BPM range ->
+// phase search for the first beat. Good enough for steady dance tracks; declare the BPM in the
+// manifest for anything with tempo changes.
+export function estimateTempo(audioBuffer, { minBpm = 70, maxBpm = 180, maxSeconds = 60 } = {}) {
+    const sampleRate = audioBuffer.sampleRate;
+    const length = Math.min(audioBuffer.length, Math.floor(maxSeconds * sampleRate));
+    const hopSize = 512;
+    const frameCount = Math.floor(length / hopSize);
+    const envelopeRate = sampleRate / hopSize;
+
+    if (frameCount < envelopeRate * 4) {
+        throw new Error('Audio is too short to estimate tempo (need at least 4 seconds)');
+    }
+
+    // Mono energy per hop, log-compressed
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+    const energy = new Float32Array(frameCount);
+    for (let frame = 0; frame < frameCount; frame++) {
+        let sum = 0;
+        const start = frame * hopSize;
+        for (let i = start; i < start + hopSize; i++) {
+            let sample = 0;
+            for (const data of channels) {
+                sample += data[i];
+            }
+            sum += sample * sample;
+        }
+        energy[frame] = Math.log1p(1000 * sum / (hopSize * channels.length));
+    }
+
+    // Onset strength: positive energy flux with the local mean removed
+    const onset = new Float32Array(frameCount);
+    for (let frame = 1; frame < frameCount; frame++) {
+        onset[frame] = Math.max(0, energy[frame] - energy[frame - 1]);
+    }
+    const meanWindow = Math.round(envelopeRate * 0.5);
+    const smoothed = new Float32Array(frameCount);
+    let runningSum = 0;
+    for (let frame = 0; frame < frameCount; frame++) {
+        runningSum += onset[frame];
+        if (frame >= meanWindow) runningSum -= onset[frame - meanWindow];
+        const localMean = runningSum / Math.min(frame + 1, meanWindow);
+        smoothed[frame] = Math.max(0, onset[frame] - localMean);
+    }
+
+    // Autocorrelation over candidate beat periods, weighted towards ~120 BPM so
+    // half/double tempo ambiguities resolve to the danceable one
+    const minLag = Math.floor(envelopeRate * 60 / maxBpm);
+    const maxLag = Math.ceil(envelopeRate * 60 / minBpm);
+    const scores = new Float32Array(maxLag + 2);
+    let bestLag = minLag;
+    let bestScore = -Infinity;
+    let scoreSum = 0;
+
+    for (let lag = minLag; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let frame = lag; frame < frameCount; frame++) {
+            sum += smoothed[frame] * smoothed[frame - lag];
+        }
+        const bpm = 60 * envelopeRate / lag;
+        const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+        const score = sum / (frameCount - lag) * prior;
+        scores[lag] = score;
+        if (lag <= maxLag) {
+            scoreSum += score;
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+    }
+
+    if (!(bestScore > 0)) {
+        throw new Error('No clear beat found in audio');
+    }
+
+    // Parabolic interpolation around the peak for sub-frame period accuracy
+    let period = bestLag;
+    if (bestLag > minLag && bestLag < maxLag) {
+        const a = scores[bestLag - 1];
+        const b = scores[bestLag];
+        const c = scores[bestLag + 1];
+        const denominator = a - 2 * b + c;
+        if (denominator !== 0) {
+            period += 0.5 * (a - c) / denominator;
+        }
+    }
+
+    // Period and phase together: the beat comb that collects the most onset energy.
+    // Searching a little around the autocorrelation peak stops small tempo errors
+    // from drifting the grid off the beat over the length of the track.
+    let bestPhase = 0;
+    let bestCombScore = -Infinity;
+    let bestPeriod = period;
+    for (let candidate = period * 0.985; candidate <= period * 1.015; candidate += period * 0.0025) {
+        for (let phase = 0; phase < candidate; phase += 0.5) {
+            let sum = 0;
+            for (let position = phase; position < frameCount; position += candidate) {
+                sum += smoothed[Math.round(position)] || 0;
+            }
+            if (sum > bestCombScore) {
+                bestCombScore = sum;
+                bestPhase = phase;
+                bestPeriod = candidate;
+            }
+        }
+    }
+    period = bestPeriod;
+
+    const meanScore = scoreSum / (maxLag - minLag + 1);
+    return {
+        bpm: Math.round(60 * envelopeRate / period * 10) / 10,
+        beatOffset: bestPhase / envelopeRate,
+        confidence: Math.min(1, (bestScore / meanScore - 1) / 4)
+    };
+}
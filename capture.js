@@ -0,0 +1,270 @@
+import * as THREE from 'three';
+
+// Clips and snapshots of the show, for visitors to take home.
+//
+// A recording captures the page's canvas, with everything the audio listener hears mixed in,
+// through a MediaRecorder into WebM. It starts after a countdown and stops by itself at the
+// maximum duration if it isn't stopped sooner; each finished clip goes to onCapture, for the page
+// to offer as a download (or to share, where the browser can share files). Snapshots are PNGs of
+// the canvas as last drawn, which the renderer keeps (preserveDrawingBuffer) for this.
+//
+// In a headset the canvas isn't what the wearer sees, so the app draws their view into it again
+// each frame while recording. Passthrough is composited by the headset and never reaches the
+// page, so a clip recorded in MR shows the dancer over black.
+
+export const CAPTURE_SETTINGS = {
+    countdown: 3, // Seconds between asking for a recording and its start
+    maxDuration: 60 // Seconds a recording runs before stopping itself
+};
+
+const FRAME_RATE = 30;
+const TIMESLICE = 1000; // Milliseconds of clip per chunk handed over while recording
+const VIDEO_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// m:ss
+export function formatDuration(seconds) {
+    const whole = Math.max(0, Math.floor(seconds));
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+function captureName(extension) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    return `dancer-${stamp}.${extension}`;
+}
+
+export class Capture {
+    constructor(canvas, audioListener, { countdown = CAPTURE_SETTINGS.countdown, maxDuration = CAPTURE_SETTINGS.maxDuration } = {}) {
+        this.canvas = canvas;
+        this.audioListener = audioListener;
+        this.countdown = countdown;
+        this.maxDuration = maxDuration;
+        this.state = 'idle'; // idle, countdown, recording, or saving while the last chunk arrives
+        this.remaining = 0; // Countdown seconds left
+        this.elapsed = 0; // Seconds recorded
+        this.recorder = null;
+        this.stream = null;
+        this.audioDestination = null;
+        this.chunks = [];
+
+        // Callbacks
+        this.onStateChange = null; // (state), and again each second of the countdown and recording
+        this.onCapture = null; // ({ kind: 'video' | 'image', blob, filename, duration })
+        this.onError = null; // (error), for a recording that couldn't start
+    }
+
+    get canRecord() {
+        return typeof MediaRecorder !== 'undefined' && typeof this.canvas.captureStream === 'function';
+    }
+
+    get active() {
+        return this.state !== 'idle';
+    }
+
+    // A line for the page, or the headset's indicator; empty while idle
+    describe() {
+        const descriptions = {
+            idle: () => '',
+            countdown: () => `Recording in ${Math.ceil(this.remaining)}…`,
+            recording: () => `Recording ${formatDuration(this.elapsed)} of ${formatDuration(this.maxDuration)}`,
+            saving: () => 'Saving clip…'
+        };
+        return descriptions[this.state]();
+    }
+
+    // Start the countdown, or stop whatever is under way
+    toggle() {
+        if (this.state === 'idle') {
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+
+    start() {
+        if (this.state !== 'idle') return;
+        if (!this.canRecord) {
+            this.reportError(new Error('This browser cannot record the page'));
+            return;
+        }
+        this.elapsed = 0;
+        this.remaining = this.countdown;
+        if (this.remaining > 0) {
+            this.setState('countdown');
+        } else {
+            this.begin();
+        }
+    }
+
+    // Cancels a countdown; ends a recording, which is handed over once its last chunk is in
+    stop() {
+        if (this.state === 'countdown') {
+            this.setState('idle');
+        } else if (this.state === 'recording') {
+            this.setState('saving');
+            this.recorder.stop();
+        }
+    }
+
+    // Once a frame: runs the countdown and holds the recording to its maximum duration
+    update(delta) {
+        if (this.state === 'countdown') {
+            const second = Math.ceil(this.remaining);
+            this.remaining -= delta;
+            if (this.remaining <= 0) {
+                this.begin();
+            } else if (Math.ceil(this.remaining) !== second) {
+                this.notify();
+            }
+        } else if (this.state === 'recording') {
+            const second = Math.floor(this.elapsed);
+            this.elapsed += delta;
+            if (this.elapsed >= this.maxDuration) {
+                this.stop();
+            } else if (Math.floor(this.elapsed) !== second) {
+                this.notify();
+            }
+        }
+    }
+
+    begin() {
+        try {
+            const context = this.audioListener.context;
+            this.audioDestination = context.createMediaStreamDestination();
+            this.audioListener.getInput().connect(this.audioDestination);
+            this.stream = new MediaStream([
+                ...this.canvas.captureStream(FRAME_RATE).getVideoTracks(),
+                ...this.audioDestination.stream.getAudioTracks()
+            ]);
+
+            const mimeType = VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+            this.recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : {});
+            this.chunks = [];
+            this.recorder.addEventListener('dataavailable', (event) => {
+                if (event.data.size > 0) this.chunks.push(event.data);
+            });
+            this.recorder.addEventListener('stop', () => this.finish());
+            this.recorder.start(TIMESLICE);
+        } catch (error) {
+            this.release();
+            this.setState('idle');
+            this.reportError(error);
+            return;
+        }
+        this.elapsed = 0;
+        this.setState('recording');
+        console.log(`Recording ${this.recorder.mimeType || 'video/webm'}, up to ${this.maxDuration} s`);
+    }
+
+    finish() {
+        const type = this.recorder.mimeType || 'video/webm';
+        const capture = {
+            kind: 'video',
+            blob: new Blob(this.chunks, { type }),
+            filename: captureName('webm'),
+            duration: this.elapsed
+        };
+        this.chunks = [];
+        this.release();
+        this.setState('idle');
+        console.log(`Recorded ${capture.filename} (${formatDuration(capture.duration)}, ${(capture.blob.size / (1024 * 1024)).toFixed(1)} MB)`);
+        if (this.onCapture) {
+            this.onCapture(capture);
+        }
+    }
+
+    // Let go of the canvas stream and the audio tap
+    release() {
+        if (this.stream) {
+            for (const track of this.stream.getTracks()) track.stop();
+            this.stream = null;
+        }
+        if (this.audioDestination) {
+            this.audioListener.getInput().disconnect(this.audioDestination);
+            this.audioDestination = null;
+        }
+        this.recorder = null;
+    }
+
+    // A PNG of the canvas as last drawn
+    snapshot() {
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob((blob) => {
+                if (!blob) {
+                    reject(new Error('The canvas could not be saved as an image'));
+                    return;
+                }
+                const capture = { kind: 'image', blob, filename: captureName('png'), duration: 0 };
+                if (this.onCapture) {
+                    this.onCapture(capture);
+                }
+                resolve(capture);
+            }, 'image/png');
+        });
+    }
+
+    setState(state) {
+        this.state = state;
+        this.notify();
+    }
+
+    notify() {
+        if (this.onStateChange) {
+            this.onStateChange(this.state);
+        }
+    }
+
+    reportError(error) {
+        console.error('Recording failed:', error);
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+}
+
+const INDICATOR_WIDTH = 0.09; // Metres
+const INDICATOR_HEIGHT = 0.02;
+const INDICATOR_POSITION = new THREE.Vector3(0, 0.1, -0.35); // From the eye, above the gaze
+
+// The countdown and recording time, on a card at the top of the view, for the headset, where the
+// page's status line can't be seen. Like the performance overlay it rides on the camera, which
+// the app hides while it draws the view again for the recording, so the card stays out of clips.
+export class CaptureIndicator {
+    constructor(camera) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 512;
+        this.canvas.height = 112;
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.text = null;
+
+        this.mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(INDICATOR_WIDTH, INDICATOR_HEIGHT),
+            new THREE.MeshBasicMaterial({ map: this.texture, transparent: true, depthTest: false, depthWrite: false })
+        );
+        this.mesh.position.copy(INDICATOR_POSITION);
+        this.mesh.renderOrder = 1000;
+        this.mesh.raycast = () => {};
+        this.mesh.visible = false;
+        camera.add(this.mesh);
+    }
+
+    // text: what the capture is doing, or empty to hide the card
+    update(text) {
+        this.mesh.visible = Boolean(text);
+        if (!text || text === this.text) return;
+        this.text = text;
+
+        const context = this.canvas.getContext('2d');
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        context.fillStyle = 'rgba(23, 32, 42, 0.8)';
+        context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        context.fillStyle = '#e74c3c';
+        context.beginPath();
+        context.arc(56, this.canvas.height / 2, 22, 0, Math.PI * 2);
+        context.fill();
+        context.font = '40px sans-serif';
+        context.fillStyle = '#ffffff';
+        context.textBaseline = 'middle';
+        context.fillText(text, 96, this.canvas.height / 2);
+        this.texture.needsUpdate = true;
+    }
+}
@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+
+// Drives a dancer's AnimationMixer one clip at a time.
+// Clips are switched with a timed crossfade, and an optional choreography sequence
+// (an ordered list of steps) advances through clips automatically:
+//
+//     { clip: 'Salsa', duration: 8, transition: 0.5 }   // play for 8 seconds
+//     { clip: 'Spin', loops: 2 }                         // play the clip twice through
+//
+// A step without duration or loops plays its clip once. "transition" is the crossfade
+// time into that step and defaults to the controller's crossfade.
+//
+// With a BeatClock attached, clips are time-stretched to loop on whole beats, started at the
+// phase that keeps their loop point on the beat, and step changes land on beat boundaries.
+export class ChoreographyController {
+    constructor(mixer, clips, { crossfade = 0.5 } = {}) {
+        this.mixer = mixer;
+        this.clips = new Map(clips.map((clip) => [clip.name, clip]));
+        this.crossfade = crossfade;
+        this.currentAction = null;
+        this.currentClipName = null;
+
+        // Beat sync: when set, "time" follows the soundtrack's playback position
+        this.beatClock = null;
+        this.time = 0;
+
+        // Choreography timeline state
+        this.sequence = [];
+        this.loopSequence = true;
+        this.stepIndex = -1;
+        this.stepElapsed = 0;
+        this.stepDuration = Infinity;
+
+        this.onClipChange = null; // (clipName, stepIndex) => void
+    }
+
+    get clipNames() {
+        return Array.from(this.clips.keys());
+    }
+
+    get hasSequence() {
+        return this.sequence.length > 0;
+    }
+
+    setBeatClock(beatClock) {
+        this.beatClock = beatClock;
+        if (this.currentAction) {
+            this.applyBeatTiming(this.currentAction);
+        }
+    }
+
+    // Re-anchor the controller's clock, e.g. to the soundtrack position
+    syncTime(time) {
+        this.time = time;
+    }
+
+    applyBeatTiming(action) {
+        const clipDuration = action.getClip().duration;
+        if (this.beatClock) {
+            action.setEffectiveTimeScale(this.beatClock.timeScaleFor(clipDuration));
+            action.time = this.beatClock.clipTimeAt(this.time, clipDuration);
+        } else {
+            action.setEffectiveTimeScale(1);
+        }
+    }
+
+    getClip(name) {
+        const clip = this.clips.get(name);
+        if (!clip) {
+            throw new Error(`Unknown animation clip "${name}". Available clips: ${this.clipNames.join(', ') || 'none'}`);
+        }
+        return clip;
+    }
+
+    // Switch to a clip, crossfading from whatever is playing now
+    play(name, { transition = this.crossfade } = {}) {
+        const clip = this.getClip(name);
+        const nextAction = this.mixer.clipAction(clip);
+        const previousAction = this.currentAction;
+
+        if (nextAction === previousAction) {
+            return nextAction;
+        }
+
+        nextAction.reset();
+        nextAction.setLoop(THREE.LoopRepeat, Infinity);
+        this.applyBeatTiming(nextAction);
+        nextAction.setEffectiveWeight(1);
+        nextAction.play();
+
+        if (previousAction) {
+            if (transition > 0) {
+                previousAction.crossFadeTo(nextAction, transition, false);
+            } else {
+                previousAction.stop();
+            }
+        }
+
+        this.currentAction = nextAction;
+        this.currentClipName = name;
+        console.log(`Playing clip "${name}" (crossfade ${transition}s)`);
+
+        if (this.onClipChange) {
+            this.onClipChange(name, this.stepIndex);
+        }
+        return nextAction;
+    }
+
+    // Replace the choreography. Steps are validated against the loaded clips up front
+    // so a typo in the data fails immediately rather than halfway through a show.
+    setSequence(steps, { loop = true } = {}) {
+        if (!Array.isArray(steps)) {
+            throw new Error('Choreography steps must be an array');
+        }
+
+        this.sequence = steps.map((step, index) => {
+            this.getClip(step.clip);
+            const loops = step.loops === undefined ? 1 : step.loops;
+            const transition = step.transition === undefined ? this.crossfade : step.transition;
+
+            if (step.duration !== undefined && !(step.duration > 0)) {
+                throw new Error(`Choreography step ${index} ("${step.clip}") must have a positive duration`);
+            }
+            if (!(loops >= 1)) {
+                throw new Error(`Choreography step ${index} ("${step.clip}") must loop at least once`);
+            }
+            if (!(transition >= 0)) {
+                throw new Error(`Choreography step ${index} ("${step.clip}") has an invalid transition time`);
+            }
+
+            return { clip: step.clip, duration: step.duration, loops, transition };
+        });
+        this.loopSequence = loop;
+        this.stepIndex = -1;
+        return this;
+    }
+
+    clearSequence() {
+        this.sequence = [];
+        this.stepIndex = -1;
+        this.stepDuration = Infinity;
+    }
+
+    // Start the choreography from its first step
+    start() {
+        if (!this.hasSequence) return;
+        this.goToStep(0);
+    }
+
+    // Start over from the top: first step of the choreography, or the current clip from its beginning
+    restart() {
+        const clipName = this.currentClipName;
+        if (this.currentAction) {
+            // Stop first so play() restarts the clip even if it is already the current one
+            this.currentAction.stop();
+            this.currentAction = null;
+        }
+
+        if (this.hasSequence) {
+            this.goToStep(0, { transition: 0 });
+        } else if (clipName) {
+            this.play(clipName, { transition: 0 });
+        }
+    }
+
+    // How long a step lasts; on a beat grid, whole beats ending on a beat boundary
+    stepDurationFor(step, startTime) {
+        if (!this.beatClock) {
+            return step.duration === undefined ? this.getClip(step.clip).duration * step.loops : step.duration;
+        }
+
+        const untilBeat = this.beatClock.timeToNextBeat(startTime);
+        if (step.duration === undefined) {
+            const clipBeats = this.beatClock.beatsForClip(this.getClip(step.clip).duration);
+            return untilBeat + clipBeats * step.loops * this.beatClock.beatDuration;
+        }
+        return untilBeat + this.beatClock.snapDuration(step.duration);
+    }
+
+    // "overshoot" is how far past the previous step's end this frame landed, so the
+    // new step is timed from the boundary rather than from the frame
+    goToStep(index, { transition, overshoot = 0 } = {}) {
+        const step = this.sequence[index];
+        this.stepIndex = index;
+        this.stepElapsed = overshoot;
+        this.stepDuration = this.stepDurationFor(step, this.time - overshoot);
+        this.play(step.clip, { transition: transition === undefined ? step.transition : transition });
+    }
+
+    advance(direction, overshoot = 0) {
+        const count = this.sequence.length;
+        let index = this.stepIndex + direction;
+
+        if (index >= count || index < 0) {
+            if (!this.loopSequence) {
+                if (direction > 0) {
+                    // Hold the last step rather than running off the end
+                    this.stepDuration = Infinity;
+                    return;
+                }
+                // Back from the first step starts it over
+                index = 0;
+            } else {
+                index = (index + count) % count;
+            }
+        }
+        this.goToStep(index, { overshoot });
+    }
+
+    // Skip forward: next step of the choreography, or the next clip if there is none
+    next() {
+        if (this.hasSequence) {
+            this.advance(1);
+        } else {
+            this.cycleClip(1);
+        }
+    }
+
+    // Skip back: previous step of the choreography, or the previous clip if there is none
+    previous() {
+        if (this.hasSequence) {
+            this.advance(-1);
+        } else {
+            this.cycleClip(-1);
+        }
+    }
+
+    cycleClip(direction) {
+        const names = this.clipNames;
+        if (names.length === 0) return;
+        const current = names.indexOf(this.currentClipName);
+        const index = (current + direction + names.length) % names.length;
+        this.play(names[index]);
+    }
+
+    update(delta) {
+        this.time += delta;
+        if (this.stepIndex < 0) return;
+
+        this.stepElapsed += delta;
+        if (this.stepElapsed >= this.stepDuration) {
+            this.advance(1, this.stepElapsed - this.stepDuration);
+        }
+    }
+}
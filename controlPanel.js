@@ -0,0 +1,261 @@
+import * as THREE from 'three';
+
+// A small world-space menu that floats above the left controller or the left palm.
+//
+// On a controller it is opened and closed with the left thumbstick click; on a tracked hand it
+// shows while the palm is turned towards the face. Buttons are pressed with any other input's
+// pointing ray (the app routes selects that land on the panel here instead of into placement)
+// or poked with the other hand's index fingertip.
+//
+// The panel knows nothing about stages: each button carries an action name, and presses go to
+// onAction(action). Labels and the info line are redrawn only when their text changes.
+
+const PANEL_WIDTH = 0.17;
+const PANEL_HEIGHT = 0.278;
+const BUTTON_WIDTH = 0.05;
+const BUTTON_HEIGHT = 0.022;
+const BUTTON_GAP = 0.004;
+const PANEL_OFFSET = new THREE.Vector3(0, 0.13, 0); // Above the grip or wrist, clear of the hand
+const PALM_FACING = 0.5; // Cosine of the widest angle between palm and head that still shows it
+const POKE_DEPTH = 0.012; // How close (m) to a button face a fingertip has to come to press it
+const POKE_RELEASE = 0.03; // How far it has to back off before it can press again
+
+const COLORS = {
+    idle: 0xffffff,
+    hovered: 0x9fd3ff,
+    pressed: 0x5dade2
+};
+
+// Rows of [action, label]; each row is laid out centred under the info line
+const LAYOUT = [
+    [['playPause', 'Pause'], ['clipPrevious', '< Clip'], ['clipNext', 'Clip >']],
+    [['seekBack', '-10 s'], ['restart', 'Restart'], ['seekForward', '+10 s']],
+    [['trackPrevious', '< Track'], ['shuffle', 'Shuffle: off'], ['trackNext', 'Track >']],
+    [['speedDown', 'Slower'], ['speedUp', 'Faster'], ['aimMode', 'Aim: ray']],
+    [['volumeDown', 'Vol -'], ['volumeUp', 'Vol +'], ['mute', 'Mute']],
+    [['reverb', 'Room: off'], ['reverbMix', 'Wet 0%'], ['audioCone', 'Cone: off']],
+    [['lights', 'Lights: club'], ['calm', 'Calm: off'], ['sparks', 'Sparks: on']],
+    [['modelPrevious', '< Dancer'], ['modelNext', 'Dancer >'], ['resetPlacement', 'Reset spot']],
+    [['record', 'Record']]
+];
+
+function drawText(canvas, text, { background, font, color = '#ffffff' }) {
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = color;
+    context.font = font;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+}
+
+export class ControlPanel {
+    constructor(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.buttons = [];
+        this.hitTargets = []; // Button meshes and the backing, for raycasts
+        this.open = false; // Controller mode only; a hand shows the panel by turning the palm
+        this.holder = null; // The input source the panel is floating above
+        this.infoText = null;
+        this.pokes = new Map(); // Fingertip input source -> button it is holding down
+        this.onAction = null; // (action) => void
+
+        this.raycaster = new THREE.Raycaster();
+        this.local = new THREE.Vector3();
+        this.palmNormal = new THREE.Vector3();
+        this.toHead = new THREE.Vector3();
+        this.anchor = new THREE.Vector3(); // Where the panel floats from this frame
+
+        this.createBacking();
+        this.createInfoLine();
+        this.createButtons();
+        this.scene.add(this.group);
+    }
+
+    createBacking() {
+        const backing = new THREE.Mesh(
+            new THREE.PlaneGeometry(PANEL_WIDTH, PANEL_HEIGHT),
+            new THREE.MeshBasicMaterial({ color: 0x1b2631, transparent: true, opacity: 0.85, side: THREE.DoubleSide })
+        );
+        this.group.add(backing);
+        this.hitTargets.push(backing);
+    }
+
+    createInfoLine() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 64;
+        this.infoCanvas = canvas;
+        this.infoTexture = new THREE.CanvasTexture(canvas);
+        this.info = new THREE.Mesh(
+            new THREE.PlaneGeometry(PANEL_WIDTH - 0.01, 0.02),
+            new THREE.MeshBasicMaterial({ map: this.infoTexture, transparent: true })
+        );
+        this.info.position.set(0, PANEL_HEIGHT / 2 - 0.017, 0.001);
+        this.group.add(this.info);
+        this.setInfo('');
+    }
+
+    createButtons() {
+        const top = PANEL_HEIGHT / 2 - 0.045;
+        LAYOUT.forEach((row, rowIndex) => {
+            const rowWidth = row.length * BUTTON_WIDTH + (row.length - 1) * BUTTON_GAP;
+            row.forEach(([action, label], columnIndex) => {
+                const canvas = document.createElement('canvas');
+                canvas.width = 256;
+                canvas.height = 112;
+                const texture = new THREE.CanvasTexture(canvas);
+                const mesh = new THREE.Mesh(
+                    new THREE.PlaneGeometry(BUTTON_WIDTH, BUTTON_HEIGHT),
+                    new THREE.MeshBasicMaterial({ map: texture, color: COLORS.idle })
+                );
+                mesh.position.set(
+                    -rowWidth / 2 + BUTTON_WIDTH / 2 + columnIndex * (BUTTON_WIDTH + BUTTON_GAP),
+                    top - rowIndex * (BUTTON_HEIGHT + BUTTON_GAP),
+                    0.002
+                );
+
+                const button = { action, label: null, mesh, canvas, texture, hovered: false, flash: 0 };
+                mesh.userData.button = button;
+                this.buttons.push(button);
+                this.hitTargets.push(mesh);
+                this.group.add(mesh);
+                this.setLabel(action, label);
+            });
+        });
+    }
+
+    get visible() {
+        return this.group.visible;
+    }
+
+    getButton(action) {
+        return this.buttons.find((button) => button.action === action);
+    }
+
+    setLabel(action, label) {
+        const button = this.getButton(action);
+        if (!button || button.label === label) return;
+        button.label = label;
+        drawText(button.canvas, label, { background: '#2e4053', font: 'bold 44px sans-serif' });
+        button.texture.needsUpdate = true;
+    }
+
+    setInfo(text) {
+        if (text === this.infoText) return;
+        this.infoText = text;
+        drawText(this.infoCanvas, text, { background: '#17202a', font: '30px sans-serif', color: '#d6eaf8' });
+        this.infoTexture.needsUpdate = true;
+    }
+
+    toggle() {
+        this.open = !this.open;
+        return this.open;
+    }
+
+    // Float the panel over the holder: the left controller's grip while open, or the left wrist
+    // while its palm faces the head. Nothing to hold it hides it.
+    //   pose: { wrist: Matrix4 } for a tracked hand, { grip: Vector3 } for a controller, or null
+    update(holder, pose, headPosition, delta) {
+        let anchor = null;
+        if (pose && pose.wrist) {
+            // The palm faces along the wrist's -Y
+            anchor = this.anchor.setFromMatrixPosition(pose.wrist);
+            this.palmNormal.set(0, -1, 0).transformDirection(pose.wrist);
+            this.toHead.subVectors(headPosition, anchor).normalize();
+            if (this.palmNormal.dot(this.toHead) < PALM_FACING) anchor = null;
+        } else if (pose && pose.grip && this.open) {
+            anchor = this.anchor.copy(pose.grip);
+        }
+
+        this.holder = anchor ? holder : null;
+        this.group.visible = anchor !== null;
+        if (!anchor) {
+            this.setHovered([]);
+            this.pokes.clear();
+            return;
+        }
+
+        this.group.position.copy(anchor).add(PANEL_OFFSET);
+        this.group.lookAt(headPosition); // The panel's front (+Z) towards the face
+        this.group.updateMatrixWorld();
+
+        for (const button of this.buttons) {
+            button.flash = Math.max(0, button.flash - delta);
+            this.refreshButton(button);
+        }
+    }
+
+    // Where a ray meets the panel: { button, point } (button null on the backing), or null
+    intersect(origin, direction) {
+        if (!this.group.visible) return null;
+
+        this.raycaster.set(origin, direction);
+        const intersects = this.raycaster.intersectObjects(this.hitTargets, false);
+        if (intersects.length === 0) return null;
+
+        const hit = intersects.find((intersect) => intersect.object.userData.button) || intersects[0];
+        return { button: hit.object.userData.button || null, point: hit.point };
+    }
+
+    setHovered(buttons) {
+        for (const button of this.buttons) {
+            button.hovered = buttons.includes(button);
+            this.refreshButton(button);
+        }
+    }
+
+    press(button) {
+        if (!button) return; // The backing: swallow the press, do nothing
+        button.flash = 0.15;
+        this.refreshButton(button);
+        console.log(`Panel: ${button.action}`);
+        if (this.onAction) {
+            this.onAction(button.action);
+        }
+    }
+
+    // A fingertip pushing a button in presses it once; it has to back off before pressing again
+    poke(inputSource, tip) {
+        if (!this.group.visible) return;
+
+        this.local.copy(tip);
+        this.group.worldToLocal(this.local);
+        const holding = this.pokes.get(inputSource);
+        if (holding) {
+            if (this.local.z > POKE_RELEASE || !this.isOver(holding, this.local)) {
+                this.pokes.delete(inputSource);
+            }
+            return;
+        }
+
+        if (Math.abs(this.local.z) > POKE_DEPTH) return;
+        const button = this.buttons.find((candidate) => this.isOver(candidate, this.local));
+        if (button) {
+            this.pokes.set(inputSource, button);
+            this.press(button);
+        }
+    }
+
+    isOver(button, local) {
+        return Math.abs(local.x - button.mesh.position.x) <= BUTTON_WIDTH / 2 &&
+            Math.abs(local.y - button.mesh.position.y) <= BUTTON_HEIGHT / 2;
+    }
+
+    refreshButton(button) {
+        const color = button.flash > 0 ? COLORS.pressed : button.hovered ? COLORS.hovered : COLORS.idle;
+        button.mesh.material.color.setHex(color);
+    }
+
+    hide() {
+        this.open = false;
+        this.holder = null;
+        this.group.visible = false;
+        this.setHovered([]);
+        this.pokes.clear();
+    }
+}
@@ -0,0 +1,200 @@
+import * as THREE from 'three';
+
+// The pointing ray drawn from a controller (or a pinching hand) to what it points at, with a
+// cursor where it lands.
+//
+// Every style is a quadratic Bézier: a straight ray has its control point halfway along, the arc
+// lifts it, and the teleport-style parabola puts it out along the controller's aim, so the ray
+// leaves the hand the way it points and drops onto the target (with nothing to hit, it falls as
+// if thrown). The tube is one fixed mesh whose vertices only say how far along the ray they are
+// and where round it; the vertex shader bends it along the curve from three uniforms. So moving
+// the ray each frame sets three vectors and allocates nothing.
+
+export const RAY_STYLES = ['straight', 'arc', 'parabolic'];
+
+// Colour and opacity for what the ray is doing
+const RAY_STATES = {
+    idle: { color: 0xffffff, opacity: 0.6 }, // Pointing at nothing in particular
+    hover: { color: 0x9fd3ff, opacity: 0.8 }, // At a stage or the control panel
+    valid: { color: 0x00ff00, opacity: 0.8 }, // At a surface a dancer can be placed on
+    invalid: { color: 0xff3b30, opacity: 0.8 } // At one that's too small or too steep
+};
+
+const SEGMENTS = 20;
+const RADIAL_SEGMENTS = 8;
+const RADIUS = 0.002;
+const TAPER = 0.7; // The far end is this much thinner
+const MISS_LENGTH = 2; // Metres the ray reaches with nothing to hit
+const ARC_LIFT = 0.1; // Of the ray's length, at the control point
+const THROW_DROP = 1.5; // Metres a thrown parabola falls below the hand before it stops
+const CURSOR_RADIUS = 0.008;
+
+const vertexShader = /* glsl */ `
+    uniform vec3 start;
+    uniform vec3 control;
+    uniform vec3 end;
+    uniform float radius;
+    uniform float taper;
+
+    void main() {
+        // position.x: how far along (0..1); position.y: angle round the tube
+        float t = position.x;
+        float s = 1.0 - t;
+        vec3 centre = s * s * start + 2.0 * s * t * control + t * t * end;
+        vec3 tangent = 2.0 * s * (control - start) + 2.0 * t * (end - control);
+        tangent = length(tangent) > 1e-6 ? normalize(tangent) : vec3(0.0, 0.0, -1.0);
+        vec3 up = abs(tangent.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+        vec3 normal = normalize(cross(tangent, up));
+        vec3 binormal = cross(tangent, normal);
+        vec3 offset = (normal * cos(position.y) + binormal * sin(position.y)) * radius * (1.0 - taper * t);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(centre + offset, 1.0);
+    }
+`;
+
+const fragmentShader = /* glsl */ `
+    uniform vec3 color;
+    uniform float opacity;
+
+    void main() {
+        gl_FragColor = vec4(color, opacity);
+    }
+`;
+
+// Rings of vertices along the tube, as (t, angle) pairs, joined into quads
+function createTubeGeometry() {
+    const positions = [];
+    const indices = [];
+    for (let i = 0; i <= SEGMENTS; i++) {
+        for (let j = 0; j < RADIAL_SEGMENTS; j++) {
+            positions.push(i / SEGMENTS, j / RADIAL_SEGMENTS * Math.PI * 2, 0);
+        }
+    }
+    for (let i = 0; i < SEGMENTS; i++) {
+        for (let j = 0; j < RADIAL_SEGMENTS; j++) {
+            const a = i * RADIAL_SEGMENTS + j;
+            const b = i * RADIAL_SEGMENTS + (j + 1) % RADIAL_SEGMENTS;
+            const c = a + RADIAL_SEGMENTS;
+            const d = b + RADIAL_SEGMENTS;
+            indices.push(a, c, b, b, c, d);
+        }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    return geometry;
+}
+
+export class ControllerRay {
+    constructor(scene, { style = 'arc' } = {}) {
+        this.style = null;
+        this.state = null;
+        this.throwReach = MISS_LENGTH;
+        this.setStyle(style);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                start: { value: new THREE.Vector3() },
+                control: { value: new THREE.Vector3() },
+                end: { value: new THREE.Vector3() },
+                radius: { value: RADIUS },
+                taper: { value: TAPER },
+                color: { value: new THREE.Color() },
+                opacity: { value: 1 }
+            },
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+        this.mesh = new THREE.Mesh(createTubeGeometry(), this.material);
+        this.mesh.frustumCulled = false; // The geometry's bounds are (t, angle), not space
+        this.mesh.raycast = () => {};
+        this.mesh.visible = false;
+        scene.add(this.mesh);
+
+        // A ring where the ray lands, turned to face back along it
+        this.cursor = new THREE.Mesh(
+            new THREE.RingGeometry(CURSOR_RADIUS * 0.6, CURSOR_RADIUS, 24),
+            new THREE.MeshBasicMaterial({ transparent: true, depthWrite: false, side: THREE.DoubleSide })
+        );
+        this.cursor.raycast = () => {};
+        this.cursor.visible = false;
+        scene.add(this.cursor);
+
+        this.setState('idle');
+    }
+
+    get visible() {
+        return this.mesh.visible;
+    }
+
+    setStyle(style) {
+        if (!RAY_STYLES.includes(style)) {
+            throw new Error(`Unknown ray style '${style}'. Styles: ${RAY_STYLES.join(', ')}`);
+        }
+        this.style = style;
+    }
+
+    // One of idle, hover, valid or invalid; see RAY_STATES
+    setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+        const { color, opacity } = RAY_STATES[state];
+        this.material.uniforms.color.value.setHex(color);
+        this.material.uniforms.opacity.value = opacity;
+        this.cursor.material.color.setHex(color);
+        this.cursor.material.opacity = opacity;
+    }
+
+    // Show the ray from origin along direction (unit length), ending at hitPoint, or reaching
+    // out past nothing when that's null
+    update(origin, direction, hitPoint) {
+        const { start, control, end } = this.material.uniforms;
+        start.value.copy(origin);
+
+        if (hitPoint) {
+            end.value.copy(hitPoint);
+        } else if (this.style === 'parabolic') {
+            this.throwFrom(origin, direction, end.value);
+        } else {
+            end.value.copy(direction).multiplyScalar(MISS_LENGTH).add(origin);
+        }
+
+        const length = origin.distanceTo(end.value);
+        if (this.style === 'parabolic') {
+            // Leaving along the aim, halfway out: the curve starts off the way the hand points
+            control.value.copy(direction).multiplyScalar(hitPoint ? length / 2 : this.throwReach / 2).add(origin);
+        } else {
+            control.value.lerpVectors(origin, end.value, 0.5);
+            if (this.style === 'arc') {
+                control.value.y += length * ARC_LIFT;
+            }
+        }
+
+        this.mesh.visible = true;
+        this.cursor.visible = Boolean(hitPoint);
+        if (hitPoint) {
+            this.cursor.position.copy(hitPoint);
+            this.cursor.lookAt(origin);
+        }
+    }
+
+    // Where a throw from origin along direction comes down, THROW_DROP below the hand. At unit
+    // speed, the flight time is also how far along the aim the throw would have gone without
+    // gravity; the parabola's control point is half that out (throwReach).
+    throwFrom(origin, direction, target) {
+        // Gravity such that a level throw at 45 degrees would go MISS_LENGTH
+        const g = 1 / MISS_LENGTH;
+        const vy = direction.y;
+        // Time to fall THROW_DROP: vy t - g t^2 / 2 = -THROW_DROP
+        const time = (vy + Math.sqrt(vy * vy + 2 * g * THROW_DROP)) / g;
+        target.copy(direction).multiplyScalar(time).add(origin);
+        target.y -= g * time * time / 2;
+        this.throwReach = time;
+    }
+
+    hide() {
+        this.mesh.visible = false;
+        this.cursor.visible = false;
+    }
+}
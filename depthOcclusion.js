@@ -0,0 +1,258 @@
+import * as THREE from 'three';
+
+// Real-world occlusion from the WebXR depth-sensing feature.
+//
+// Before anything virtual is drawn, a full-screen pass writes the sensed depth of the room into
+// the depth buffer (and nothing into colour, so passthrough still shows). Ordinary depth testing
+// then hides the parts of the dancer that are behind a real hand, mug or chair back.
+//
+// The pass is a mesh in the scene, so three draws it once per eye; onBeforeRender points its
+// uniforms at that eye's depth data. CPU-optimized depth is uploaded into a texture per view,
+// GPU-optimized depth is sampled straight from the runtime's texture (or texture array).
+// The runtime's CPU buffer is only valid during its frame, so it is copied into an array the
+// texture owns rather than wrapped.
+// Only the luminance-alpha and float32 data formats are requested, as those are decoded here.
+
+export const DEPTH_SENSING_INIT = {
+    usagePreference: ['cpu-optimized', 'gpu-optimized'],
+    dataFormatPreference: ['luminance-alpha', 'float32']
+};
+
+const vertexShader = /* glsl */ `
+    void main() {
+        // A 2x2 plane is exactly the clip-space square
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const fragmentShader = /* glsl */ `
+    #ifdef DEPTH_TEXTURE_ARRAY
+        uniform sampler2DArray depthArray;
+        uniform int depthLayer;
+    #else
+        uniform sampler2D depthMap;
+    #endif
+    uniform mat4 uvTransform;
+    uniform float rawValueToMeters;
+    uniform vec4 viewport;
+    uniform mat4 eyeProjection; // three declares projectionMatrix for vertex shaders only
+
+    float readDepth(vec2 uv) {
+        #ifdef DEPTH_TEXTURE_ARRAY
+            vec4 texel = texture(depthArray, vec3(uv, float(depthLayer)));
+        #else
+            vec4 texel = texture2D(depthMap, uv);
+        #endif
+        #ifdef DEPTH_LUMINANCE_ALPHA
+            // 16-bit values, low byte in luminance and high byte in alpha
+            return dot(texel.ra, vec2(255.0, 65280.0)) * rawValueToMeters;
+        #else
+            return texel.r * rawValueToMeters;
+        #endif
+    }
+
+    void main() {
+        // Normalized view coordinates run top-left to bottom-right across this eye's viewport
+        vec2 viewUv = (gl_FragCoord.xy - viewport.xy) / viewport.zw;
+        viewUv.y = 1.0 - viewUv.y;
+        vec2 depthUv = (uvTransform * vec4(viewUv, 0.0, 1.0)).xy;
+
+        float meters = readDepth(depthUv);
+        if (meters <= 0.0) discard; // No reading: let the virtual scene through
+
+        vec4 clip = eyeProjection * vec4(0.0, 0.0, -meters, 1.0);
+        gl_FragDepth = (clip.z / clip.w) * 0.5 + 0.5;
+    }
+`;
+
+export class DepthOcclusion {
+    constructor(scene, renderer) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.session = null;
+        this.binding = null; // XRWebGLBinding, for GPU-optimized depth
+        this.views = []; // Per view: { texture, uvTransform, rawValueToMeters, layer }
+        this.active = false;
+        this.mesh = null;
+    }
+
+    // Call once the session is running; does nothing unless depth-sensing was granted
+    start(session) {
+        if (!session.enabledFeatures || !session.enabledFeatures.includes('depth-sensing')) {
+            console.log('Depth sensing not available, real objects will not occlude the dancer');
+            return;
+        }
+        if (!DEPTH_SENSING_INIT.dataFormatPreference.includes(session.depthDataFormat)) {
+            console.warn(`Unsupported depth data format '${session.depthDataFormat}', occlusion disabled`);
+            return;
+        }
+
+        this.session = session;
+        if (session.depthUsage === 'gpu-optimized') {
+            this.binding = new XRWebGLBinding(session, this.renderer.getContext());
+        }
+        console.log(`Depth occlusion on (${session.depthUsage}, ${session.depthDataFormat})`);
+    }
+
+    stop() {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.geometry.dispose();
+            this.mesh.material.dispose();
+            this.mesh = null;
+        }
+        for (const view of this.views) {
+            if (view.texture && view.ownsTexture) view.texture.dispose();
+        }
+        this.views = [];
+        this.session = null;
+        this.binding = null;
+        this.active = false;
+    }
+
+    // Pull this frame's depth for every view; the pass only runs while every view has some
+    update(frame, viewerPose) {
+        if (!this.session || !viewerPose) return;
+
+        let complete = true;
+        viewerPose.views.forEach((xrView, index) => {
+            const depth = this.binding
+                ? this.binding.getDepthInformation(xrView)
+                : frame.getDepthInformation(xrView);
+            if (!depth) {
+                complete = false;
+                return;
+            }
+            this.updateView(index, depth);
+        });
+
+        this.active = complete && this.views.length > 0;
+        if (this.active && !this.mesh) {
+            this.createMesh();
+        }
+        if (this.mesh) {
+            this.mesh.visible = this.active;
+        }
+    }
+
+    updateView(index, depth) {
+        let view = this.views[index];
+        if (!view) {
+            view = {
+                texture: null,
+                ownsTexture: false,
+                uvTransform: new THREE.Matrix4(),
+                rawValueToMeters: 0,
+                layer: 0,
+                source: null, // The runtime's buffer last copied from, and a typed view of it
+                sourceView: null
+            };
+            this.views[index] = view;
+        }
+
+        view.uvTransform.fromArray(depth.normDepthBufferFromNormView.matrix);
+        view.rawValueToMeters = depth.rawValueToMeters;
+
+        if (this.binding) {
+            this.wrapGpuTexture(view, depth);
+        } else {
+            this.uploadCpuDepth(view, depth);
+        }
+    }
+
+    uploadCpuDepth(view, depth) {
+        const luminanceAlpha = this.session.depthDataFormat === 'luminance-alpha';
+        const needsTexture = !view.texture ||
+            view.texture.image.width !== depth.width ||
+            view.texture.image.height !== depth.height;
+
+        if (needsTexture) {
+            if (view.texture) view.texture.dispose();
+            const size = depth.width * depth.height;
+            view.texture = luminanceAlpha
+                ? new THREE.DataTexture(new Uint8Array(size * 2), depth.width, depth.height,
+                    THREE.LuminanceAlphaFormat, THREE.UnsignedByteType)
+                : new THREE.DataTexture(new Float32Array(size), depth.width, depth.height,
+                    THREE.RedFormat, THREE.FloatType);
+            view.texture.minFilter = THREE.NearestFilter;
+            view.texture.magFilter = THREE.NearestFilter;
+            view.ownsTexture = true;
+            view.source = null;
+        }
+
+        // Runtimes tend to hand over the same buffer each frame; only a new one needs a new view
+        if (depth.data !== view.source) {
+            view.source = depth.data;
+            view.sourceView = luminanceAlpha ? new Uint8Array(depth.data) : new Float32Array(depth.data);
+        }
+        view.texture.image.data.set(view.sourceView);
+        view.texture.needsUpdate = true;
+    }
+
+    // The runtime owns the GL texture; hand it to three the way XREstimatedLight does with its
+    // reflection cube map, by swapping it into the placeholder texture's properties
+    wrapGpuTexture(view, depth) {
+        const isArray = depth.textureType === 'texture-array';
+        if (!view.texture) {
+            view.texture = isArray ? new THREE.DataArrayTexture() : new THREE.Texture();
+        }
+        this.renderer.properties.get(view.texture).__webglTexture = depth.texture;
+        view.layer = isArray ? depth.imageIndex : 0;
+        view.isArray = isArray;
+    }
+
+    createMesh() {
+        const first = this.views[0];
+        const defines = {};
+        if (first.isArray) defines.DEPTH_TEXTURE_ARRAY = '';
+        if (this.session.depthDataFormat === 'luminance-alpha') defines.DEPTH_LUMINANCE_ALPHA = '';
+
+        const material = new THREE.ShaderMaterial({
+            defines,
+            uniforms: {
+                depthMap: { value: null },
+                depthArray: { value: null },
+                depthLayer: { value: 0 },
+                uvTransform: { value: new THREE.Matrix4() },
+                rawValueToMeters: { value: 0 },
+                viewport: { value: new THREE.Vector4() },
+                eyeProjection: { value: new THREE.Matrix4() }
+            },
+            vertexShader,
+            fragmentShader,
+            colorWrite: false,
+            depthWrite: true,
+            // The depth test has to stay on for depth writes to happen; it just always passes
+            depthFunc: THREE.AlwaysDepth
+        });
+
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+        this.mesh.frustumCulled = false;
+        this.mesh.renderOrder = -Infinity; // Before every other opaque object
+        this.mesh.onBeforeRender = (renderer, scene, camera) => this.bindView(camera);
+        this.scene.add(this.mesh);
+    }
+
+    // Called once per eye: the XR camera's sub-cameras are in the same order as the views
+    bindView(camera) {
+        const xrCamera = this.renderer.xr.getCamera();
+        const index = Math.max(0, xrCamera.cameras.indexOf(camera));
+        const view = this.views[index] || this.views[0];
+        const uniforms = this.mesh.material.uniforms;
+
+        if (view.isArray) {
+            uniforms.depthArray.value = view.texture;
+            uniforms.depthLayer.value = view.layer;
+        } else {
+            uniforms.depthMap.value = view.texture;
+        }
+        uniforms.uvTransform.value.copy(view.uvTransform);
+        uniforms.rawValueToMeters.value = view.rawValueToMeters;
+        uniforms.eyeProjection.value.copy(camera.projectionMatrix);
+        if (camera.viewport) {
+            uniforms.viewport.value.copy(camera.viewport);
+        } else {
+            uniforms.viewport.value.set(0, 0, this.renderer.domElement.width, this.renderer.domElement.height);
+        }
+    }
+}
@@ -0,0 +1,221 @@
+import * as THREE from 'three';
+import { PLATFORM_RADIUS } from './stage.js';
+
+// The page's own view of the show, outside VR: what content review on a laptop looks at.
+//
+// The camera frames the stage by itself, from one of a few views (front, top, or a slow orbit),
+// and glides to a new one rather than jumping; dragging with the mouse takes over from there, as
+// OrbitControls always did. A grid floor and a plain backdrop stand in for the room, behind a
+// neutral background, and all three go away while a session runs, for passthrough to show.
+//
+// The mouse stands in for a controller ray: the stage under the pointer is the one pointed at,
+// which shows its placard. The keyboard stands in for the buttons (KEY_ACTIONS); view keys are
+// handled here, the rest go to onAction(action) for the app.
+
+export const PREVIEW_VIEWS = {
+    front: { direction: new THREE.Vector3(0, 0.3, 1), autoRotate: false }, // From where the placard faces
+    top: { direction: new THREE.Vector3(0, 1, 0.01), autoRotate: false }, // Nudged off vertical for the controls
+    orbit: { direction: new THREE.Vector3(1, 0.5, 1), autoRotate: true }
+};
+
+// Key (KeyboardEvent.key, lower case) -> action
+const KEY_ACTIONS = {
+    '1': 'viewFront',
+    '2': 'viewTop',
+    '3': 'viewOrbit',
+    'f': 'frame',
+    ' ': 'playPause',
+    'arrowleft': 'clipPrevious',
+    'arrowright': 'clipNext',
+    'arrowdown': 'trackPrevious',
+    'arrowup': 'trackNext',
+    'r': 'restart',
+    'm': 'audio',
+    'p': 'placard'
+};
+
+const BACKGROUND = 0x2b2f33;
+const GRID_SIZE = 2; // Metres
+const GRID_DIVISIONS = 40; // 5 cm squares, about the dancer's scale
+const BACKDROP_DISTANCE = 0.8; // Behind the stage
+const BACKDROP_SIZE = [3, 1.5];
+const FRAME_MARGIN = 1.15; // Room around the stage's bounds
+const GLIDE_RATE = 6; // Per second; the share of the way to the view covered each second, roughly
+const GLIDE_DONE = 0.001; // Metres from the view at which the glide ends
+const AUTO_ROTATE_SPEED = 1.5; // OrbitControls units: a turn every 40 s
+
+export class DesktopPreview {
+    constructor(scene, camera, controls, domElement) {
+        this.scene = scene;
+        this.camera = camera;
+        this.controls = controls;
+        this.domElement = domElement;
+        this.active = false;
+        this.view = 'front';
+        this.framedStage = null;
+        this.gliding = false;
+        this.goalPosition = new THREE.Vector3();
+        this.goalTarget = new THREE.Vector3();
+        this.pointer = null; // Normalised device coordinates while the mouse is over the canvas
+        this.raycaster = new THREE.Raycaster();
+        this.bounds = new THREE.Box3();
+        this.sphere = new THREE.Sphere();
+        this.direction = new THREE.Vector3();
+
+        this.onAction = null; // (action) => void, for keys that aren't views
+
+        this.createSurroundings();
+        this.controls.autoRotateSpeed = AUTO_ROTATE_SPEED;
+        // Any drag or zoom of the user's ends a glide under way
+        this.controls.addEventListener('start', () => {
+            this.gliding = false;
+        });
+        this.domElement.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        this.domElement.addEventListener('pointerleave', () => {
+            this.pointer = null;
+        });
+        window.addEventListener('keydown', (event) => this.onKeyDown(event));
+    }
+
+    createSurroundings() {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+
+        const grid = new THREE.GridHelper(GRID_SIZE, GRID_DIVISIONS, 0x6c7a89, 0x4a545e);
+        grid.position.y = -0.001; // Under the platform and its shadow catcher
+        this.group.add(grid);
+
+        const backdrop = new THREE.Mesh(
+            new THREE.PlaneGeometry(BACKDROP_SIZE[0], BACKDROP_SIZE[1]),
+            new THREE.MeshStandardMaterial({ color: 0x3d4349, roughness: 1 })
+        );
+        backdrop.position.set(0, BACKDROP_SIZE[1] / 2, -BACKDROP_DISTANCE);
+        this.group.add(backdrop);
+
+        for (const object of this.group.children) {
+            object.raycast = () => {};
+        }
+        this.scene.add(this.group);
+        this.background = new THREE.Color(BACKGROUND);
+    }
+
+    // Shown on the desktop, hidden for sessions; the view is framed again on the way back
+    setActive(active) {
+        if (active === this.active) return;
+        this.active = active;
+        this.group.visible = active;
+        this.scene.background = active ? this.background : null;
+        this.framedStage = null;
+        this.pointer = null;
+    }
+
+    setView(view) {
+        if (!PREVIEW_VIEWS[view]) {
+            throw new Error(`Unknown preview view '${view}'. Views: ${Object.keys(PREVIEW_VIEWS).join(', ')}`);
+        }
+        this.view = view;
+        if (this.framedStage) this.frame(this.framedStage);
+    }
+
+    // Glide to the current view of the stage, at the distance its platform and dancer fill
+    frame(stage) {
+        this.framedStage = stage;
+        const platform = stage.platform;
+        this.group.position.copy(platform.position);
+        this.group.quaternion.copy(platform.quaternion);
+
+        // The dancer's bounds, and the platform's footprint
+        this.bounds.makeEmpty();
+        if (stage.dancer) this.bounds.setFromObject(stage.dancer);
+        const radius = PLATFORM_RADIUS * platform.scale.x;
+        this.bounds.expandByPoint(this.direction.set(-radius, 0, -radius).add(platform.position));
+        this.bounds.expandByPoint(this.direction.set(radius, 0, radius).add(platform.position));
+        this.bounds.getBoundingSphere(this.sphere);
+
+        // Near enough for the sphere to fill the narrower of the two fields of view
+        const verticalFov = THREE.MathUtils.degToRad(this.camera.fov);
+        const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+        const distance = this.sphere.radius * FRAME_MARGIN / Math.sin(Math.min(verticalFov, horizontalFov) / 2);
+
+        const view = PREVIEW_VIEWS[this.view];
+        this.direction.copy(view.direction).normalize().applyQuaternion(platform.quaternion);
+        this.goalTarget.copy(this.sphere.center);
+        this.goalPosition.copy(this.direction).multiplyScalar(distance).add(this.sphere.center);
+        this.controls.autoRotate = view.autoRotate;
+        this.gliding = true;
+    }
+
+    // Once a frame on the desktop: frames a stage new to the preview and moves the camera.
+    // Returns the stage under the mouse, or null.
+    update(delta, stages) {
+        const stage = stages.find((candidate) => candidate.platform.visible) || null;
+        if (stage && stage !== this.framedStage) {
+            this.frame(stage);
+        }
+
+        if (this.gliding) {
+            const step = 1 - Math.exp(-GLIDE_RATE * delta);
+            this.camera.position.lerp(this.goalPosition, step);
+            this.controls.target.lerp(this.goalTarget, step);
+            if (this.camera.position.distanceTo(this.goalPosition) < GLIDE_DONE) {
+                this.camera.position.copy(this.goalPosition);
+                this.controls.target.copy(this.goalTarget);
+                this.gliding = false;
+            }
+        }
+        this.controls.update(delta);
+
+        return this.getPointedStage(stages);
+    }
+
+    getPointedStage(stages) {
+        const visible = stages.filter((candidate) => candidate.platform.visible);
+        let pointed = null;
+        if (this.pointer && visible.length > 0) {
+            this.raycaster.setFromCamera(this.pointer, this.camera);
+            const intersects = this.raycaster.intersectObjects(visible.map((candidate) => candidate.platform), true);
+            // Up from the part hit (platform, dancer, placard) to the platform that knows its stage
+            for (let object = intersects.length > 0 ? intersects[0].object : null; object && !pointed; object = object.parent) {
+                pointed = object.userData.stage || null;
+            }
+        }
+        this.domElement.style.cursor = pointed ? 'pointer' : '';
+        return pointed;
+    }
+
+    onPointerMove(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        if (!this.pointer) this.pointer = new THREE.Vector2();
+        this.pointer.set(
+            (event.clientX - rect.left) / rect.width * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+
+    onKeyDown(event) {
+        if (!this.active || event.ctrlKey || event.metaKey || event.altKey) return;
+        // Typing into a field, or Space or Enter on a focused button, is the page's; other keys
+        // still reach the preview after a button has been clicked
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        if (tag === 'BUTTON' && (event.key === ' ' || event.key === 'Enter')) return;
+
+        const action = KEY_ACTIONS[event.key.toLowerCase()];
+        if (!action) return;
+        event.preventDefault();
+
+        const views = {
+            viewFront: () => this.setView('front'),
+            viewTop: () => this.setView('top'),
+            viewOrbit: () => this.setView('orbit'),
+            frame: () => {
+                if (this.framedStage) this.frame(this.framedStage);
+            }
+        };
+        if (views[action]) {
+            views[action]();
+        } else if (this.onAction) {
+            this.onAction(action);
+        }
+    }
+}
@@ -0,0 +1,254 @@
+import * as THREE from 'three';
+
+const PINCH_START_DISTANCE = 0.02; // Metres between thumb and index tips
+const PINCH_END_DISTANCE = 0.035; // Wider than the start, so a pinch doesn't flicker at the edge
+const HOLD_TIME = 0.8; // Seconds of a still pinch before it counts as pinch-and-hold
+const HOLD_DRIFT = 0.03; // Metres the pinch may wander and still count as held still
+const JOINT_COUNT = 25;
+
+// Positions of the joints we read, in XRHand iteration order
+const WRIST = 0;
+const THUMB_TIP = 4;
+const INDEX_METACARPAL = 5;
+const INDEX_TIP = 9;
+
+// Hand-tracking input built from XRHand joints.
+//
+// Each tracked hand gets a pinch detector (thumb tip to index tip, with hysteresis), a pointing
+// ray from the pinch point, and optional joint spheres. Pinches are reported through callbacks
+// so the app can treat them like controller presses:
+//   onPinchStart(inputSource, frame)
+//   onPinchHold(inputSource, frame)          once, after the pinch has been held still
+//   onPinchEnd(inputSource, frame, { held, cancelled })
+// cancelled is true when tracking was lost mid-pinch, which shouldn't count as a release.
+export class HandTracker {
+    constructor(scene, { showJoints = false } = {}) {
+        this.scene = scene;
+        this.showJoints = showJoints;
+        this.hands = new Map(); // XRInputSource -> hand state
+        this.onPinchStart = null;
+        this.onPinchHold = null;
+        this.onPinchEnd = null;
+
+        // Unit spheres, scaled per joint by the runtime's joint radius
+        this.jointGeometry = new THREE.SphereGeometry(1, 10, 8);
+        this.jointMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            roughness: 0.6,
+            transparent: true,
+            opacity: 0.85
+        });
+        this.matrix = new THREE.Matrix4();
+        this.jointScale = new THREE.Vector3();
+        this.thumbTip = new THREE.Vector3();
+        this.indexTip = new THREE.Vector3();
+        this.wrist = new THREE.Vector3();
+    }
+
+    // The hand's pointing ray this frame, or null if the hand isn't tracked
+    getRay(inputSource) {
+        const hand = this.hands.get(inputSource);
+        if (!hand || !hand.tracked) return null;
+        return hand.ray; // Updated in place each frame; copy it to keep it
+    }
+
+    // The wrist joint's pose this frame, or null if the hand isn't tracked
+    getWristMatrix(inputSource, target = new THREE.Matrix4()) {
+        const hand = this.hands.get(inputSource);
+        if (!hand || !hand.tracked) return null;
+        return target.fromArray(hand.transforms, WRIST * 16);
+    }
+
+    // Where the index fingertip is this frame, for poking things; null if the hand isn't tracked
+    getIndexTip(inputSource, target = new THREE.Vector3()) {
+        const hand = this.hands.get(inputSource);
+        if (!hand || !hand.tracked) return null;
+        return this.jointPosition(hand, INDEX_TIP, target);
+    }
+
+    isPinching(inputSource) {
+        const hand = this.hands.get(inputSource);
+        return Boolean(hand && hand.pinching);
+    }
+
+    setJointsVisible(visible) {
+        this.showJoints = visible;
+        for (const hand of this.hands.values()) {
+            hand.joints.visible = visible && hand.tracked;
+        }
+        console.log(`Hand joints ${visible ? 'shown' : 'hidden'}`);
+    }
+
+    update(frame, referenceSpace, inputSources, delta) {
+        const seen = new Set();
+        for (const inputSource of inputSources) {
+            if (!inputSource.hand) continue;
+            seen.add(inputSource);
+
+            let hand = this.hands.get(inputSource);
+            if (!hand) {
+                hand = this.createHandState(inputSource);
+                this.hands.set(inputSource, hand);
+            }
+            this.updateHand(hand, frame, referenceSpace, delta);
+        }
+
+        // Hands that disappeared (switched to controllers, or left the session)
+        for (const inputSource of this.hands.keys()) {
+            if (!seen.has(inputSource)) {
+                this.removeHand(inputSource, frame);
+            }
+        }
+    }
+
+    createHandState(inputSource) {
+        const joints = new THREE.InstancedMesh(this.jointGeometry, this.jointMaterial, JOINT_COUNT);
+        joints.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        joints.frustumCulled = false; // Instances move every frame; the bounding sphere never fits
+        joints.visible = false;
+        this.scene.add(joints);
+
+        const rayOrigin = new THREE.Vector3();
+        const rayDirection = new THREE.Vector3(0, 0, -1);
+        console.log(`Tracking ${inputSource.handedness} hand`);
+        return {
+            inputSource,
+            joints,
+            transforms: new Float32Array(16 * JOINT_COUNT),
+            radii: new Float32Array(JOINT_COUNT),
+            tracked: false,
+            pinching: false,
+            pinchTime: 0,
+            held: false,
+            pinchStart: new THREE.Vector3(),
+            rayOrigin,
+            rayDirection,
+            ray: { origin: rayOrigin, direction: rayDirection }
+        };
+    }
+
+    updateHand(hand, frame, referenceSpace, delta) {
+        const wasTracked = hand.tracked;
+        hand.tracked = this.readJoints(hand, frame, referenceSpace);
+
+        if (!hand.tracked) {
+            hand.joints.visible = false;
+            if (wasTracked && hand.pinching) {
+                this.endPinch(hand, frame, true);
+            }
+            return;
+        }
+
+        this.updateRay(hand, frame, referenceSpace);
+        this.updatePinch(hand, frame, delta);
+        if (this.showJoints) {
+            this.updateJoints(hand);
+        }
+        hand.joints.visible = this.showJoints;
+    }
+
+    // Fill the hand's joint transforms and radii; false if any joint isn't tracked this frame
+    readJoints(hand, frame, referenceSpace) {
+        const xrHand = hand.inputSource.hand;
+        if (frame.fillPoses && frame.fillJointRadii) {
+            return frame.fillPoses(xrHand.values(), referenceSpace, hand.transforms) &&
+                frame.fillJointRadii(xrHand.values(), hand.radii);
+        }
+
+        let index = 0;
+        for (const jointSpace of xrHand.values()) {
+            const jointPose = frame.getJointPose(jointSpace, referenceSpace);
+            if (!jointPose) return false;
+            hand.transforms.set(jointPose.transform.matrix, index * 16);
+            hand.radii[index] = jointPose.radius;
+            index++;
+        }
+        return true;
+    }
+
+    jointPosition(hand, index, target) {
+        return target.fromArray(hand.transforms, index * 16 + 12);
+    }
+
+    // The ray starts between thumb and index tips, where a pinch closes. It points along the
+    // runtime's target ray when there is one, else from the wrist out past the index knuckle.
+    updateRay(hand, frame, referenceSpace) {
+        this.jointPosition(hand, THUMB_TIP, this.thumbTip);
+        this.jointPosition(hand, INDEX_TIP, this.indexTip);
+        hand.rayOrigin.lerpVectors(this.thumbTip, this.indexTip, 0.5);
+
+        const rayPose = hand.inputSource.targetRaySpace
+            ? frame.getPose(hand.inputSource.targetRaySpace, referenceSpace)
+            : null;
+        if (rayPose) {
+            this.matrix.fromArray(rayPose.transform.matrix);
+            hand.rayDirection.set(0, 0, -1).transformDirection(this.matrix);
+        } else {
+            const wrist = this.jointPosition(hand, WRIST, this.wrist);
+            this.jointPosition(hand, INDEX_METACARPAL, hand.rayDirection).sub(wrist).normalize();
+        }
+    }
+
+    updatePinch(hand, frame, delta) {
+        const distance = this.thumbTip.distanceTo(this.indexTip);
+
+        if (!hand.pinching) {
+            if (distance < PINCH_START_DISTANCE) {
+                hand.pinching = true;
+                hand.pinchTime = 0;
+                hand.held = false;
+                hand.pinchStart.copy(hand.rayOrigin);
+                if (this.onPinchStart) this.onPinchStart(hand.inputSource, frame);
+            }
+            return;
+        }
+
+        if (distance > PINCH_END_DISTANCE) {
+            this.endPinch(hand, frame, false);
+            return;
+        }
+
+        hand.pinchTime += delta;
+        if (!hand.held && hand.pinchTime >= HOLD_TIME && hand.rayOrigin.distanceTo(hand.pinchStart) < HOLD_DRIFT) {
+            hand.held = true;
+            if (this.onPinchHold) this.onPinchHold(hand.inputSource, frame);
+        }
+    }
+
+    endPinch(hand, frame, cancelled) {
+        hand.pinching = false;
+        if (this.onPinchEnd) {
+            this.onPinchEnd(hand.inputSource, frame, { held: hand.held, cancelled });
+        }
+    }
+
+    updateJoints(hand) {
+        for (let i = 0; i < JOINT_COUNT; i++) {
+            this.matrix.fromArray(hand.transforms, i * 16);
+            this.jointScale.setScalar(hand.radii[i]);
+            this.matrix.scale(this.jointScale);
+            hand.joints.setMatrixAt(i, this.matrix);
+        }
+        hand.joints.instanceMatrix.needsUpdate = true;
+    }
+
+    removeHand(inputSource, frame = null) {
+        const hand = this.hands.get(inputSource);
+        if (!hand) return;
+
+        if (hand.pinching) {
+            this.endPinch(hand, frame, true);
+        }
+        this.scene.remove(hand.joints);
+        hand.joints.dispose();
+        this.hands.delete(inputSource);
+        console.log(`Stopped tracking ${inputSource.handedness} hand`);
+    }
+
+    // Forget every hand, e.g. when the session ends
+    reset() {
+        for (const inputSource of Array.from(this.hands.keys())) {
+            this.removeHand(inputSource);
+        }
+    }
+}
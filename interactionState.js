@@ -0,0 +1,170 @@
+// The app's placement/interaction state, as an explicit state machine.
+//
+//   idle           no XR session
+//   searching      in a session, hunting for a surface to put a (new) stage on
+//   previewing     a stage is showing at the default spot in front of the user, waiting to be
+//                  put down on a surface; the reticle keeps hunting for one
+//   placed         every stage is down and there is no room for another; the reticle rests
+//   repositioning  a placed stage has been picked up and goes wherever the next select says
+//
+// Events and the states they are accepted in:
+//   sessionStarted         idle -> searching
+//   sessionEnded           any -> idle
+//   previewShown           searching, previewing -> previewing
+//   stagePlaced            searching, previewing, repositioning -> (settled)
+//   restored               searching -> (settled)
+//   repositionRequested    searching, previewing, placed, repositioning -> repositioning
+//   stageRemoved           searching, previewing, placed -> (settled);
+//                          repositioning -> (settled) if the removed stage was the one lifted
+//
+// "Settled" is worked out from the room the app reports with the event: { full, hasPreview }
+// where full means no more stages fit and hasPreview means a stage is still at the default spot.
+// Events that don't apply to the current state are ignored (and logged), never half-applied.
+//
+// The hit-test source has its own small lifecycle next to it (none, requesting, ready,
+// unavailable), since requesting one only makes sense while hunting and only once per session.
+//
+// No Three.js or WebXR in here, so it can be imported and exercised from plain Node
+// (test/interactionState.test.js).
+
+export const STATES = Object.freeze({
+    IDLE: 'idle',
+    SEARCHING: 'searching',
+    PREVIEWING: 'previewing',
+    PLACED: 'placed',
+    REPOSITIONING: 'repositioning'
+});
+
+export const HIT_TEST = Object.freeze({
+    NONE: 'none',
+    REQUESTING: 'requesting',
+    READY: 'ready',
+    UNAVAILABLE: 'unavailable'
+});
+
+function settle({ full = false, hasPreview = false } = {}) {
+    if (hasPreview) return STATES.PREVIEWING;
+    return full ? STATES.PLACED : STATES.SEARCHING;
+}
+
+// state -> event -> (payload) => next state
+const TRANSITIONS = {
+    [STATES.IDLE]: {
+        sessionStarted: () => STATES.SEARCHING
+    },
+    [STATES.SEARCHING]: {
+        previewShown: () => STATES.PREVIEWING,
+        stagePlaced: settle,
+        restored: settle,
+        repositionRequested: () => STATES.REPOSITIONING,
+        stageRemoved: settle
+    },
+    [STATES.PREVIEWING]: {
+        previewShown: () => STATES.PREVIEWING,
+        stagePlaced: settle,
+        repositionRequested: () => STATES.REPOSITIONING,
+        stageRemoved: settle
+    },
+    [STATES.PLACED]: {
+        repositionRequested: () => STATES.REPOSITIONING,
+        stageRemoved: settle
+    },
+    [STATES.REPOSITIONING]: {
+        stagePlaced: settle,
+        repositionRequested: () => STATES.REPOSITIONING,
+        stageRemoved: (room) => room.wasRepositioning ? settle(room) : STATES.REPOSITIONING
+    }
+};
+
+export class InteractionStateMachine {
+    constructor() {
+        this.state = STATES.IDLE;
+        this.hitTest = HIT_TEST.NONE;
+        this.onTransition = null; // (from, to, event) => void
+    }
+
+    get isActive() {
+        return this.state !== STATES.IDLE;
+    }
+
+    // True while the reticle should look for a surface
+    get isHunting() {
+        return this.state === STATES.SEARCHING ||
+            this.state === STATES.PREVIEWING ||
+            this.state === STATES.REPOSITIONING;
+    }
+
+    get isPlaced() {
+        return this.state === STATES.PLACED;
+    }
+
+    // Whether it's time to ask the session for a hit-test source
+    get needsHitTestSource() {
+        return this.isHunting && this.hitTest === HIT_TEST.NONE;
+    }
+
+    can(event) {
+        return event === 'sessionEnded' || Boolean(TRANSITIONS[this.state][event]);
+    }
+
+    // Returns true if the event was accepted
+    send(event, payload = {}) {
+        const from = this.state;
+
+        if (event === 'sessionEnded') {
+            this.state = STATES.IDLE;
+            this.hitTest = HIT_TEST.NONE;
+        } else {
+            const transition = TRANSITIONS[from][event];
+            if (!transition) {
+                console.warn(`Ignoring '${event}' while ${from}`);
+                return false;
+            }
+            this.state = transition(payload);
+        }
+
+        if (this.state !== from) {
+            console.log(`Interaction: ${from} -> ${this.state} (${event})`);
+        }
+        if (this.onTransition) {
+            this.onTransition(from, this.state, event);
+        }
+        return true;
+    }
+
+    hitTestRequested() {
+        this.hitTest = HIT_TEST.REQUESTING;
+    }
+
+    hitTestReady() {
+        this.hitTest = HIT_TEST.READY;
+    }
+
+    hitTestFailed() {
+        this.hitTest = HIT_TEST.UNAVAILABLE;
+    }
+}
+
+// Turns "is this button held right now" readings into one press per push, so holding X
+// doesn't repeat its action every frame
+export class ButtonEdges {
+    constructor() {
+        this.held = new Set();
+    }
+
+    // held: names of the buttons down this frame. Returns the ones that weren't down last frame.
+    update(held) {
+        const pressed = new Set();
+        for (const name of held) {
+            if (!this.held.has(name)) {
+                pressed.add(name);
+            }
+        }
+        this.held = new Set(held);
+        return pressed;
+    }
+
+    reset() {
+        this.held.clear();
+    }
+}
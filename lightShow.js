@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+
+// The lights a stage puts on for its soundtrack, driven by an AudioAnalysis.
+//
+// Three things move with the music: the platform's edge ring glows with the bass (the stage
+// applies ringLevel, as the ring's own states come first), a handful of coloured beams on the
+// rim shine in on the dancer with the mids and wheel round faster with the treble, and sparks
+// burst off the platform on each beat.
+//
+// A preset sets how much of each there is. The intensity cap is for motion-sensitive users and
+// limits everything below it: how bright the ring and beams get, how fast brightness may change
+// (so nothing flashes, however hard the beat), how fast the beams turn and the colours drift, and
+// how many sparks a beat throws and how far. Density (0..1) is the performance governor's: it
+// thins out the beams and sparks when the frame budget is tight. Settings are one object shared
+// by every stage, so a change made at runtime is picked up on the next frame.
+
+export const VISUAL_PRESETS = {
+    off: { ring: 0, beams: 0, spin: 0, hueSpeed: 0, particles: 0 },
+    subtle: { ring: 0.5, beams: 0.25, spin: 0.2, hueSpeed: 0.02, particles: 0 },
+    club: { ring: 1, beams: 0.6, spin: 0.6, hueSpeed: 0.08, particles: 12 },
+    party: { ring: 1.5, beams: 1, spin: 1.2, hueSpeed: 0.2, particles: 24 }
+};
+
+const BEAM_COUNT = 4;
+const BEAM_LENGTH = 0.12;
+const BEAM_RADIUS = 0.015; // At the dancer's end
+const BEAM_TARGET = new THREE.Vector3(0, 0.1, 0); // The dancer's chest, as the audio emitter
+const RIM_RADIUS = 0.075;
+const RIM_HEIGHT = 0.02;
+const SLEW = 4; // Most a level may change per second, at a cap of 1
+const PARTICLE_POOL = 64;
+const PARTICLE_LIFE = 0.8; // Seconds
+const PARTICLE_SPEED = 0.25; // Metres a second, at a cap of 1
+const GRAVITY = 0.5;
+
+// Move towards a target by at most maxStep
+function approach(current, target, maxStep) {
+    return current + Math.max(-maxStep, Math.min(maxStep, target - current));
+}
+
+export class LightShow {
+    // settings: { preset, maxIntensity, particles, density }, see VISUAL_PRESETS
+    constructor(analysis, settings) {
+        this.analysis = analysis;
+        this.settings = settings;
+        this.ringLevel = 0; // Added to the edge ring's emissive intensity
+        this.beamLevel = 0;
+        this.hue = Math.random();
+        this.color = new THREE.Color();
+
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.beams = this.createBeams();
+        this.createParticles();
+    }
+
+    createBeams() {
+        // Open cones with their tip on the rim, widening towards the dancer (+z, for lookAt)
+        const geometry = new THREE.ConeGeometry(BEAM_RADIUS, BEAM_LENGTH, 12, 1, true);
+        geometry.translate(0, -BEAM_LENGTH / 2, 0);
+        geometry.rotateX(-Math.PI / 2);
+
+        const beams = [];
+        const aim = new THREE.Matrix4();
+        for (let i = 0; i < BEAM_COUNT; i++) {
+            const material = new THREE.MeshBasicMaterial({
+                transparent: true,
+                opacity: 0,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            });
+            const beam = new THREE.Mesh(geometry, material);
+            const angle = i / BEAM_COUNT * Math.PI * 2;
+            beam.position.set(Math.cos(angle) * RIM_RADIUS, RIM_HEIGHT, Math.sin(angle) * RIM_RADIUS);
+            // Matrix4.lookAt points +z from the second argument to the first, as Object3D.lookAt does
+            aim.lookAt(BEAM_TARGET, beam.position, THREE.Object3D.DEFAULT_UP);
+            beam.quaternion.setFromRotationMatrix(aim);
+            beam.raycast = () => {};
+            this.group.add(beam);
+            beams.push(beam);
+        }
+        return beams;
+    }
+
+    createParticles() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(PARTICLE_POOL * 3), 3));
+        // Black is invisible under additive blending, so spent sparks need no other hiding
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(PARTICLE_POOL * 3), 3));
+        const material = new THREE.PointsMaterial({
+            size: 0.006,
+            vertexColors: true,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+        this.particles = new THREE.Points(geometry, material);
+        this.particles.frustumCulled = false; // Sparks fly outside the geometry's bounds
+        this.particles.raycast = () => {};
+        this.group.add(this.particles);
+
+        this.velocities = new Float32Array(PARTICLE_POOL * 3);
+        this.lives = new Float32Array(PARTICLE_POOL); // Seconds left; 0 is spent
+        this.nextParticle = 0;
+        this.particlesAlive = false;
+    }
+
+    get preset() {
+        return VISUAL_PRESETS[this.settings.preset] || VISUAL_PRESETS.off;
+    }
+
+    update(delta) {
+        const preset = this.preset;
+        const cap = Math.min(Math.max(this.settings.maxIntensity, 0), 1);
+        const levels = this.analysis.levels;
+        const step = SLEW * cap * delta;
+
+        this.ringLevel = approach(this.ringLevel, Math.min(preset.ring * levels.bass, cap), step);
+        this.beamLevel = approach(this.beamLevel, Math.min(preset.beams * levels.mid, cap), step);
+        this.hue = (this.hue + preset.hueSpeed * cap * delta) % 1;
+
+        if (this.analysis.beat && this.settings.particles) {
+            this.burst(Math.round(preset.particles * cap * this.settings.density), cap);
+        }
+
+        const showing = this.beamLevel > 0 || this.particlesAlive;
+        this.group.visible = showing;
+        if (!showing) return;
+
+        this.group.rotation.y += preset.spin * (0.3 + levels.treble) * cap * delta;
+        const beamCount = Math.round(this.beams.length * this.settings.density);
+        for (let i = 0; i < this.beams.length; i++) {
+            this.beams[i].visible = i < beamCount;
+            const material = this.beams[i].material;
+            material.color.setHSL((this.hue + i / this.beams.length) % 1, 1, 0.5);
+            material.opacity = this.beamLevel;
+        }
+
+        if (this.particlesAlive) {
+            this.updateParticles(delta);
+        }
+    }
+
+    // Throw count sparks up and out from the rim
+    burst(count, cap) {
+        const positions = this.particles.geometry.attributes.position.array;
+        const speed = PARTICLE_SPEED * (0.5 + cap / 2);
+        for (let n = 0; n < count; n++) {
+            const i = this.nextParticle;
+            this.nextParticle = (i + 1) % PARTICLE_POOL;
+            const angle = Math.random() * Math.PI * 2;
+            const x = Math.cos(angle);
+            const z = Math.sin(angle);
+            positions[i * 3] = x * RIM_RADIUS;
+            positions[i * 3 + 1] = RIM_HEIGHT;
+            positions[i * 3 + 2] = z * RIM_RADIUS;
+            const outward = speed * (0.3 + Math.random() * 0.4);
+            this.velocities[i * 3] = x * outward;
+            this.velocities[i * 3 + 1] = speed * (0.6 + Math.random() * 0.4);
+            this.velocities[i * 3 + 2] = z * outward;
+            this.lives[i] = PARTICLE_LIFE;
+        }
+        if (count > 0) {
+            this.particlesAlive = true;
+        }
+    }
+
+    updateParticles(delta) {
+        const { position, color } = this.particles.geometry.attributes;
+        const positions = position.array;
+        const colors = color.array;
+        this.color.setHSL(this.hue, 1, 0.6);
+
+        let alive = false;
+        for (let i = 0; i < PARTICLE_POOL; i++) {
+            if (this.lives[i] <= 0) continue;
+            this.lives[i] = Math.max(this.lives[i] - delta, 0);
+            this.velocities[i * 3 + 1] -= GRAVITY * delta;
+            positions[i * 3] += this.velocities[i * 3] * delta;
+            positions[i * 3 + 1] += this.velocities[i * 3 + 1] * delta;
+            positions[i * 3 + 2] += this.velocities[i * 3 + 2] * delta;
+            const fade = this.lives[i] / PARTICLE_LIFE;
+            colors[i * 3] = this.color.r * fade;
+            colors[i * 3 + 1] = this.color.g * fade;
+            colors[i * 3 + 2] = this.color.b * fade;
+            alive = alive || this.lives[i] > 0;
+        }
+        position.needsUpdate = true;
+        color.needsUpdate = true;
+        this.particlesAlive = alive;
+    }
+
+    dispose() {
+        this.beams[0].geometry.dispose();
+        for (const beam of this.beams) {
+            beam.material.dispose();
+        }
+        this.particles.geometry.dispose();
+        this.particles.material.dispose();
+    }
+}
@@ -0,0 +1,260 @@
+import * as THREE from 'three';
+import { PLATFORM_RADIUS } from './stage.js';
+
+const THUMBSTICK_DEADZONE = 0.2;
+const MOVE_THRESHOLD = 0.005; // Metres of drag before a grab counts as a manipulation
+const TURN_THRESHOLD = 0.05; // Radians
+const SCALE_THRESHOLD = 0.02;
+const UP = new THREE.Vector3(0, 1, 0);
+const LEVEL = new THREE.Quaternion(); // Y up: the pose a moved platform is checked in
+
+// Direct manipulation of placed stages with controllers or hands.
+//
+// One input grabbing a stage drags it across the surface it stands on (a horizontal plane at
+// the platform's height) and, on controllers, turns it with the thumbstick. Two inputs grabbing
+// the same stage twist it around its Y axis and scale it by pulling apart or pinching together.
+//
+// Given the app's PlacementSurfaces, a stage picked up from a detected surface stays on it: a drag
+// stops where the platform would hang over the edge, scaling stops where it would outgrow the
+// outline, and a stage let go anywhere it can't stand goes back to where the grab began.
+//
+// The app feeds grab start/end from squeeze (and hand pinch) events, and calls update() every
+// XR frame with the current input poses. Anchoring and saving the result is left to the app.
+export class StageManipulator {
+    constructor({ minScale = 0.5, maxScale = 4, rotateSpeed = Math.PI } = {}, surfaces = null) {
+        this.minScale = minScale;
+        this.maxScale = maxScale;
+        this.rotateSpeed = rotateSpeed; // Radians per second at full thumbstick deflection
+        this.surfaces = surfaces; // PlacementSurfaces the stages stand on, or null for no limits
+        this.grabs = new Map(); // XRInputSource -> grab state
+        this.twoHanded = new Map(); // Stage -> two-hand gesture baseline
+        this.plane = new THREE.Plane();
+        this.ray = new THREE.Ray();
+        this.turn = new THREE.Quaternion();
+        this.hit = new THREE.Vector3();
+        this.target = new THREE.Vector3(); // Where a drag would put the platform this frame
+        this.candidate = { position: new THREE.Vector3(), orientation: LEVEL };
+        this.check = { valid: false, reason: null, position: new THREE.Vector3(), orientation: new THREE.Quaternion() };
+    }
+
+    get isManipulating() {
+        return this.grabs.size > 0;
+    }
+
+    isGrabbed(stage) {
+        for (const grab of this.grabs.values()) {
+            if (grab.stage === stage) return true;
+        }
+        return false;
+    }
+
+    // The stage an input is already holding, for a second hand joining a grab
+    getGrabbedStage() {
+        for (const grab of this.grabs.values()) {
+            return grab.stage;
+        }
+        return null;
+    }
+
+    // origin/direction: the input's ray in the reference space at the moment of the grab
+    beginGrab(inputSource, stage, origin, direction) {
+        const platform = stage.platform;
+        const grab = {
+            stage,
+            offset: new THREE.Vector3(),
+            hasSurfacePoint: false,
+            startPosition: platform.position.clone(),
+            startQuaternion: platform.quaternion.clone(), // Turns compare as quaternions: Euler Y folds past ±90°
+            startScale: platform.scale.x,
+            onSurface: this.standsOnSurface(platform.position), // And so has to stay on one
+            changed: false
+        };
+
+        // Remember where on the surface plane the ray hit, so the stage doesn't jump to the ray
+        const hit = this.intersectSurface(platform, origin, direction);
+        if (hit) {
+            grab.offset.subVectors(platform.position, hit);
+            grab.hasSurfacePoint = true;
+        }
+
+        this.grabs.set(inputSource, grab);
+        this.twoHanded.delete(stage); // Re-baseline if this makes a two-hand grab
+        this.refreshFeedback(stage);
+        console.log(`Grab started on stage ${stage.id}`);
+    }
+
+    // Returns the finished grab ({ stage, changed, ... }), or null if this input wasn't holding anything
+    endGrab(inputSource) {
+        const grab = this.grabs.get(inputSource);
+        if (!grab) return null;
+
+        this.grabs.delete(inputSource);
+        this.twoHanded.delete(grab.stage);
+
+        // A remaining input keeps dragging from where the stage is now, and owns any change so far
+        for (const other of this.grabs.values()) {
+            if (other.stage === grab.stage) {
+                other.hasSurfacePoint = false;
+                other.changed = other.changed || grab.changed;
+            }
+        }
+        if (grab.changed && !this.isGrabbed(grab.stage)) {
+            this.settle(grab);
+        }
+
+        this.refreshFeedback(grab.stage);
+        console.log(`Grab ended on stage ${grab.stage.id}`);
+        return grab;
+    }
+
+    // True if this input is holding a stage it has already moved, turned or scaled
+    hasManipulated(inputSource) {
+        const grab = this.grabs.get(inputSource);
+        return Boolean(grab && grab.changed);
+    }
+
+    // Drop every grab without reporting, e.g. when the session ends or a stage is removed
+    cancel(stage = null) {
+        for (const [inputSource, grab] of this.grabs) {
+            if (stage === null || grab.stage === stage) {
+                this.grabs.delete(inputSource);
+                this.twoHanded.delete(grab.stage);
+                grab.stage.setManipulationFeedback(null);
+            }
+        }
+    }
+
+    // Whether a point is on a detected surface other than a wall, which a drag should keep it on
+    standsOnSurface(position) {
+        if (!this.surfaces) return false;
+        const surface = this.surfaces.surfaceAt(position);
+        return Boolean(surface && !surface.rejected);
+    }
+
+    // Where a platform of this scale moved to position may stand: there, pulled in off any edge it
+    // would hang over, or null if it can't. Off every detected surface it may stand anywhere,
+    // unless it has to stay on one. The point is reused every call.
+    allowedPosition(position, scale, onSurface) {
+        this.candidate.position.copy(position);
+        if (!this.surfaces) return this.candidate.position;
+        const result = this.surfaces.evaluate(this.candidate, PLATFORM_RADIUS * scale,
+            { requireSurface: onSurface, snap: false, target: this.check });
+        return result.valid ? result.position : null;
+    }
+
+    // A stage let go where it can't stand goes back to where the grab began
+    settle(grab) {
+        const platform = grab.stage.platform;
+        const allowed = this.allowedPosition(platform.position, platform.scale.x, grab.onSurface);
+        if (allowed) {
+            platform.position.copy(allowed);
+        } else {
+            platform.position.copy(grab.startPosition);
+            platform.scale.setScalar(grab.startScale);
+            console.log(`Stage ${grab.stage.id} can't stand there, put back`);
+        }
+    }
+
+    // Where the ray meets the platform's surface plane, or null; the point is reused every call
+    intersectSurface(platform, origin, direction) {
+        this.plane.set(UP, -platform.position.y);
+        this.ray.set(origin, direction);
+        return this.ray.intersectPlane(this.plane, this.hit);
+    }
+
+    // poses: Map of XRInputSource -> { origin, direction, grip } for this frame
+    update(delta, poses) {
+        const byStage = new Map();
+        for (const [inputSource, grab] of this.grabs) {
+            const pose = poses.get(inputSource);
+            if (!pose) continue;
+            if (!byStage.has(grab.stage)) byStage.set(grab.stage, []);
+            byStage.get(grab.stage).push({ inputSource, grab, pose });
+        }
+
+        for (const [stage, holds] of byStage) {
+            if (holds.length >= 2) {
+                this.updateTwoHanded(stage, holds[0], holds[1]);
+            } else {
+                this.twoHanded.delete(stage);
+                this.updateOneHanded(stage, holds[0], delta);
+            }
+        }
+    }
+
+    updateOneHanded(stage, { inputSource, grab, pose }, delta) {
+        const platform = stage.platform;
+
+        // Drag along the surface plane, keeping the original grab offset
+        const hit = this.intersectSurface(platform, pose.origin, pose.direction);
+        if (hit) {
+            if (!grab.hasSurfacePoint) {
+                grab.offset.subVectors(platform.position, hit);
+                grab.hasSurfacePoint = true;
+            }
+            // Past the edge of its surface the stage waits at the last spot it could stand on
+            this.target.set(hit.x + grab.offset.x, platform.position.y, hit.z + grab.offset.z);
+            const allowed = this.allowedPosition(this.target, platform.scale.x, grab.onSurface);
+            if (allowed) platform.position.copy(allowed);
+        }
+
+        // Thumbstick turns the stage while it is held
+        let mode = 'grab';
+        const axes = inputSource.gamepad ? inputSource.gamepad.axes : null;
+        if (axes && axes.length >= 4 && Math.abs(axes[2]) > THUMBSTICK_DEADZONE) {
+            platform.rotateY(-axes[2] * this.rotateSpeed * delta);
+            mode = 'rotate';
+        }
+
+        if (platform.position.distanceTo(grab.startPosition) > MOVE_THRESHOLD ||
+            platform.quaternion.angleTo(grab.startQuaternion) > TURN_THRESHOLD) {
+            grab.changed = true;
+        }
+        stage.setManipulationFeedback(mode);
+    }
+
+    updateTwoHanded(stage, first, second) {
+        const platform = stage.platform;
+        const a = first.pose.grip;
+        const b = second.pose.grip;
+        const distance = Math.hypot(b.x - a.x, b.z - a.z);
+        const angle = Math.atan2(b.z - a.z, b.x - a.x);
+
+        let baseline = this.twoHanded.get(stage);
+        if (!baseline) {
+            baseline = {
+                distance: Math.max(distance, 0.01),
+                angle,
+                quaternion: platform.quaternion.clone(),
+                scale: platform.scale.x
+            };
+            this.twoHanded.set(stage, baseline);
+        }
+
+        // Twist: the stage turns as the line between the hands turns (atan2 is counter to yaw)
+        let turn = angle - baseline.angle;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        platform.quaternion.copy(baseline.quaternion).multiply(this.turn.setFromAxisAngle(UP, -turn));
+
+        // Pinch: scale with the distance between the hands, within limits, and only as far as the
+        // surface holds the platform
+        const scale = THREE.MathUtils.clamp(baseline.scale * distance / baseline.distance, this.minScale, this.maxScale);
+        const allowed = this.allowedPosition(platform.position, scale, first.grab.onSurface || second.grab.onSurface);
+        if (allowed) {
+            platform.position.copy(allowed);
+            platform.scale.setScalar(scale);
+        }
+
+        const scaling = Math.abs(platform.scale.x / baseline.scale - 1) > SCALE_THRESHOLD;
+        const turning = Math.abs(turn) > TURN_THRESHOLD;
+        if (scaling || turning) {
+            first.grab.changed = true;
+            second.grab.changed = true;
+        }
+        stage.setManipulationFeedback(scaling ? 'scale' : 'rotate');
+    }
+
+    refreshFeedback(stage) {
+        stage.setManipulationFeedback(this.isGrabbed(stage) ? 'grab' : null);
+    }
+}
@@ -0,0 +1,79 @@
+// Checks a loaded model against what a standalone headset can draw at frame rate.
+//
+// inspectModel() measures the model: triangles drawn, the GPU memory its textures take, the
+// bones its skins move and the clips it brings. checkBudgets() compares that with the budgets
+// and words a warning for each one exceeded; a model over budget still loads, it just may not
+// hold the headset's frame rate, and more so with several stages placed.
+//
+// Texture memory is an estimate: uncompressed textures at 4 bytes a pixel, compressed ones
+// (KTX2) at the size of their transcoded mip levels, and a third more for mipmaps that the GPU
+// generates.
+
+export const MODEL_BUDGETS = {
+    triangles: 100000,
+    textureMegabytes: 64,
+    bones: 100
+};
+
+const MIPMAP_OVERHEAD = 4 / 3;
+
+function textureBytes(texture) {
+    if (texture.isCompressedTexture) {
+        return texture.mipmaps.reduce((sum, mip) => sum + mip.data.byteLength, 0);
+    }
+    const image = texture.image;
+    if (!image || !image.width || !image.height) return 0;
+    return image.width * image.height * 4 * (texture.generateMipmaps ? MIPMAP_OVERHEAD : 1);
+}
+
+export function inspectModel(gltf) {
+    let triangles = 0;
+    const textures = new Set();
+    const bones = new Set();
+
+    gltf.scene.traverse((object) => {
+        if (!object.isMesh) return;
+
+        const geometry = object.geometry;
+        const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+        triangles += Math.floor(count / 3) * (object.isInstancedMesh ? object.count : 1);
+
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        for (const material of materials) {
+            for (const value of Object.values(material)) {
+                if (value && value.isTexture) textures.add(value);
+            }
+        }
+        if (object.isSkinnedMesh) {
+            for (const bone of object.skeleton.bones) bones.add(bone);
+        }
+    });
+
+    let bytes = 0;
+    for (const texture of textures) {
+        bytes += textureBytes(texture);
+    }
+
+    return {
+        triangles,
+        textures: textures.size,
+        textureMegabytes: bytes / (1024 * 1024),
+        bones: bones.size,
+        clips: gltf.animations.map((clip) => clip.name)
+    };
+}
+
+// Warnings for each budget the report exceeds; empty if it's within all of them
+export function checkBudgets(report, budgets = MODEL_BUDGETS) {
+    const warnings = [];
+    if (report.triangles > budgets.triangles) {
+        warnings.push(`${report.triangles} triangles, budget ${budgets.triangles}`);
+    }
+    if (report.textureMegabytes > budgets.textureMegabytes) {
+        warnings.push(`${report.textureMegabytes.toFixed(1)} MB of textures, budget ${budgets.textureMegabytes} MB`);
+    }
+    if (report.bones > budgets.bones) {
+        warnings.push(`${report.bones} bones, budget ${budgets.bones}`);
+    }
+    return warnings;
+}
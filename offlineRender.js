@@ -0,0 +1,167 @@
+// Renders each performer offline, for catalogue turntables and stills and for checking that a
+// changed model still looks the way it did.
+//
+// Open index.html?render=turntable (or ?render=still) in any browser with WebGL, including
+// headless Chromium on software WebGL (--use-angle=swiftshader), as tools/render-baselines.mjs
+// does (npm run render). Nothing runs off the clock: the app's animation loop is left stopped,
+// each dancer's mixer is stepped by a fixed timestep, and the camera orbits its platform on a
+// fixed path, so the same build renders the same frames on every run. Options, all optional:
+//   frames=36       frames in the turntable; a still is one frame
+//   fps=30          the timestep the dance advances by between frames
+//   warmup=1        seconds danced before the first frame, clear of the first clip's fade-in
+//   size=512        frame width and height in pixels
+//   performer=0     render only this performer, by index in the manifest
+//   baselines=baselines/   where stored frames are compared from, by name
+//   save            download each frame as a numbered PNG (a headless runner can send downloads
+//                   to a directory)
+// Frames are named <performer>-<mode>-0001.png. Each is compared with the baseline of the same
+// name (see pixelDiff.js); a frame without one fails the run unless it is saving, as the run that
+// records baselines does (npm run render -- --record).
+// Results are logged, summed up in the status line and returned as
+// { mode, frames: [{ name, url, baseline: 'missing' | { passed, share, ... , diffUrl } }], passed },
+// which index.html stores on window.offlineRenderResults for a headless runner to read.
+
+import * as THREE from 'three';
+import { PLATFORM_RADIUS } from './stage.js';
+import { compareImages, decodeImage, encodeImage, loadImage } from './pixelDiff.js';
+
+const MODES = {
+    turntable: { frames: 36, orbit: 1 }, // One full turn over the frames
+    still: { frames: 1, orbit: 0 }
+};
+const ORBIT_RADIUS = PLATFORM_RADIUS * 4; // Metres from the platform's centre
+const ORBIT_HEIGHT = 0.15; // Above the platform
+const TARGET_HEIGHT = 0.08; // Where the camera looks, about the dancer's middle
+const START_ANGLE = 0; // In front of the platform, where the placard faces
+const FIELD_OF_VIEW = 35;
+
+function readNumber(params, key, fallback, { integer = false, allowZero = false } = {}) {
+    if (!params.has(key)) return fallback;
+    const value = Number(params.get(key));
+    if (!Number.isFinite(value) || value < 0 || (value === 0 && !allowZero) || (integer && !Number.isInteger(value))) {
+        const kind = `${allowZero ? 'zero or a positive' : 'a positive'} ${integer ? 'whole number' : 'number'}`;
+        throw new Error(`?${key}= must be ${kind}, got '${params.get(key)}'`);
+    }
+    return value;
+}
+
+export function readRenderOptions(params) {
+    const mode = params.get('render') || 'turntable';
+    if (!MODES[mode]) {
+        throw new Error(`Unknown render mode '${mode}'. Modes: ${Object.keys(MODES).join(', ')}`);
+    }
+    return {
+        mode,
+        frames: mode === 'still' ? 1 : readNumber(params, 'frames', MODES[mode].frames, { integer: true }),
+        timestep: 1 / readNumber(params, 'fps', 30),
+        warmup: readNumber(params, 'warmup', 1, { allowZero: true }),
+        size: readNumber(params, 'size', 512, { integer: true }),
+        performer: readNumber(params, 'performer', null, { integer: true, allowZero: true }),
+        baselines: params.get('baselines') || 'baselines/',
+        save: params.has('save')
+    };
+}
+
+function slug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'performer';
+}
+
+function canvasBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('The frame could not be read back from the canvas'));
+            }
+        }, 'image/png');
+    });
+}
+
+function download(url, filename) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+}
+
+// Where the camera is for a frame: t runs from 0 at the first frame towards 1 at the last
+function placeCamera(camera, platform, t, orbit) {
+    const angle = START_ANGLE + t * orbit * Math.PI * 2;
+    camera.position.set(Math.sin(angle) * ORBIT_RADIUS, ORBIT_HEIGHT, Math.cos(angle) * ORBIT_RADIUS);
+    camera.position.multiplyScalar(platform.scale.x).add(platform.position);
+    camera.lookAt(platform.position.x, platform.position.y + TARGET_HEIGHT * platform.scale.y, platform.position.z);
+}
+
+async function compareWithBaseline(blob, url) {
+    const baseline = await loadImage(url);
+    if (!baseline) return 'missing';
+
+    const result = compareImages(await decodeImage(blob), baseline);
+    const { diff, ...summary } = result;
+    return diff ? { ...summary, diffUrl: URL.createObjectURL(await encodeImage(diff)) } : summary;
+}
+
+async function renderPerformer(app, performerIndex, options, camera) {
+    const { mode, frames, timestep, warmup } = options;
+    const stage = app.addStage(new THREE.Vector3(0, 0, 0), performerIndex);
+    const name = slug(stage.performer.name);
+
+    for (let step = Math.round(warmup / timestep); step > 0; step--) {
+        stage.update(timestep, camera);
+    }
+
+    const results = [];
+    for (let i = 0; i < frames; i++) {
+        placeCamera(camera, stage.platform, i / frames, MODES[mode].orbit);
+        app.renderer.render(app.scene, camera);
+
+        const frameName = `${name}-${mode}-${String(i + 1).padStart(4, '0')}.png`;
+        const blob = await canvasBlob(app.renderer.domElement);
+        const url = URL.createObjectURL(blob);
+        if (options.save) download(url, frameName);
+
+        const baseline = await compareWithBaseline(blob, `${options.baselines}${frameName}`);
+        if (baseline !== 'missing' && !baseline.passed) {
+            console.error(`FAIL ${frameName}: ${baseline.reason || `${baseline.differentPixels} pixels differ (${(baseline.share * 100).toFixed(2)}%)`}`);
+        }
+        results.push({ name: frameName, url, baseline });
+
+        stage.update(timestep, camera);
+    }
+
+    app.removeStage(stage, { persist: false });
+    return results;
+}
+
+// app: a VRPassthroughDancer made with { offline: true }, once ready
+export async function runOfflineRender(app, options) {
+    const { size } = options;
+    app.renderer.setPixelRatio(1);
+    app.renderer.setSize(size, size);
+    app.removeAllStages({ persist: false });
+    // A light show in silence is dark anyway, but its colours start from a random hue
+    app.setVisuals({ preset: 'off', particles: false });
+    app.camera.visible = false; // Hides the cards riding on the app's camera
+
+    const camera = new THREE.PerspectiveCamera(FIELD_OF_VIEW, 1, 0.01, 10);
+    const count = app.performerLibrary.count;
+    const indices = options.performer === null ? Array.from({ length: count }, (_, index) => index) : [options.performer];
+    if (indices.some((index) => index >= count)) {
+        throw new Error(`No performer ${options.performer}; the manifest has ${count}`);
+    }
+
+    const frames = [];
+    for (const index of indices) {
+        frames.push(...await renderPerformer(app, index, options, camera));
+    }
+
+    const compared = frames.filter((frame) => frame.baseline !== 'missing');
+    const failed = compared.filter((frame) => !frame.baseline.passed);
+    const summary = `Rendered ${frames.length} frames: ${compared.length - failed.length}/${compared.length} match their baselines` +
+        (compared.length < frames.length ? `, ${frames.length - compared.length} have none` : '');
+    console.log(summary);
+    document.getElementById('status').textContent = summary;
+    const unchecked = options.save ? 0 : frames.length - compared.length;
+    return { mode: options.mode, frames, passed: failed.length === 0 && unchecked === 0 };
+}
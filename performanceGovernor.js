@@ -0,0 +1,109 @@
+// Keeps the XR session at the headset's frame rate by trading away quality under load.
+//
+// Each XR frame reports how long since the last one (the frame interval) and how long the app's
+// own work took (the CPU time). Missing frames shows as the interval running over the frame
+// budget; headroom only shows in the CPU time, as the interval is held at the display's rate
+// however early a frame finishes. So: step down a tier once the average interval has stayed
+// over budget for a while, and back up once frames have been on time with CPU time to spare for
+// longer. After a change both wait a little, for the average to catch up with the new tier.
+//
+// What each tier sets is applied by the app (onTierChange): the framebuffer scale (which WebXR
+// only takes at the start of a session), the foveation level, the shadow map size (0 for no
+// shadows), the distance beyond which dancers drop to less detail, and the light show's density.
+
+export const QUALITY_TIERS = [
+    { name: 'high', framebufferScale: 1, foveation: 0.33, shadowMapSize: 1024, lodDistance: 3, effects: 1 },
+    { name: 'medium', framebufferScale: 0.9, foveation: 0.66, shadowMapSize: 1024, lodDistance: 2, effects: 0.6 },
+    { name: 'low', framebufferScale: 0.8, foveation: 1, shadowMapSize: 512, lodDistance: 1, effects: 0.3 },
+    { name: 'minimum', framebufferScale: 0.7, foveation: 1, shadowMapSize: 0, lodDistance: 0, effects: 0 }
+];
+
+const DEFAULT_FRAME_RATE = 72; // Quest's, for runtimes that don't say
+const AVERAGE_WEIGHT = 0.05; // Of each new frame in the running averages
+const SLOW_MARGIN = 1.15; // Average interval over the budget by this much is missing frames
+const ON_TIME_MARGIN = 1.05;
+const HEADROOM = 0.6; // CPU time under this share of the budget leaves room for more
+const STEP_DOWN_AFTER = 1; // Seconds of missed frames before stepping down
+const STEP_UP_AFTER = 5; // Seconds of headroom before stepping up
+const SETTLE_TIME = 2; // Seconds after a change before the next
+const HITCH = 0.25; // Seconds; a longer gap is a pause (loading, the headset off), not load
+
+export class PerformanceGovernor {
+    constructor({ tier = 0 } = {}) {
+        this.tierIndex = tier;
+        this.frameRate = DEFAULT_FRAME_RATE;
+        this.frameInterval = 0; // Running averages, ms
+        this.cpuTime = 0;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.settleTime = 0;
+        this.missedFrames = 0; // Since the session started
+
+        this.onTierChange = null; // (tier, index) => void
+    }
+
+    get tier() {
+        return QUALITY_TIERS[this.tierIndex];
+    }
+
+    get budget() {
+        return 1000 / this.frameRate;
+    }
+
+    get fps() {
+        return this.frameInterval > 0 ? 1000 / this.frameInterval : 0;
+    }
+
+    // Start measuring afresh, at the session's display rate when it has one
+    reset(frameRate = DEFAULT_FRAME_RATE) {
+        this.frameRate = frameRate || DEFAULT_FRAME_RATE;
+        this.frameInterval = this.budget;
+        this.cpuTime = 0;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.settleTime = SETTLE_TIME;
+        this.missedFrames = 0;
+    }
+
+    // delta: seconds since the last frame; cpuTime: ms this frame's work took
+    update(delta, cpuTime) {
+        if (delta <= 0 || delta > HITCH) return;
+
+        const interval = delta * 1000;
+        this.frameInterval += (interval - this.frameInterval) * AVERAGE_WEIGHT;
+        this.cpuTime += (cpuTime - this.cpuTime) * AVERAGE_WEIGHT;
+        if (interval > this.budget * 1.5) {
+            this.missedFrames++;
+        }
+
+        if (this.settleTime > 0) {
+            this.settleTime -= delta;
+            return;
+        }
+
+        const slow = this.frameInterval > this.budget * SLOW_MARGIN;
+        const headroom = this.frameInterval < this.budget * ON_TIME_MARGIN && this.cpuTime < this.budget * HEADROOM;
+        this.slowTime = slow ? this.slowTime + delta : 0;
+        this.fastTime = headroom ? this.fastTime + delta : 0;
+
+        if (this.slowTime >= STEP_DOWN_AFTER) {
+            this.setTier(this.tierIndex + 1);
+        } else if (this.fastTime >= STEP_UP_AFTER) {
+            this.setTier(this.tierIndex - 1);
+        }
+    }
+
+    setTier(index) {
+        const clamped = Math.min(Math.max(index, 0), QUALITY_TIERS.length - 1);
+        this.slowTime = 0;
+        this.fastTime = 0;
+        if (clamped === this.tierIndex) return;
+
+        this.tierIndex = clamped;
+        this.settleTime = SETTLE_TIME;
+        console.log(`Quality tier: ${this.tier.name} (frame ${this.frameInterval.toFixed(1)} ms, CPU ${this.cpuTime.toFixed(1)} ms, budget ${this.budget.toFixed(1)} ms)`);
+        if (this.onTierChange) {
+            this.onTierChange(this.tier, this.tierIndex);
+        }
+    }
+}
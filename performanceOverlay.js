@@ -0,0 +1,70 @@
+import * as THREE from 'three';
+import { QUALITY_TIERS } from './performanceGovernor.js';
+
+// A debug readout of the performance governor: quality tier and frame statistics, on a small
+// card held low in the corner of the view. It rides on the camera, so it shows in the headset as
+// well as on the desktop. Redrawn a few times a second rather than every frame, as drawing text
+// into a canvas texture and uploading it isn't free either.
+
+const WIDTH = 0.1; // Metres
+const HEIGHT = 0.05;
+const POSITION = new THREE.Vector3(-0.09, -0.08, -0.35); // From the eye
+const REDRAW_INTERVAL = 0.25; // Seconds
+
+export class PerformanceOverlay {
+    constructor(camera) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 512;
+        this.canvas.height = 256;
+        this.texture = new THREE.CanvasTexture(this.canvas);
+
+        this.mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(WIDTH, HEIGHT),
+            new THREE.MeshBasicMaterial({ map: this.texture, transparent: true, depthTest: false, depthWrite: false })
+        );
+        this.mesh.position.copy(POSITION);
+        this.mesh.renderOrder = 1000; // Over everything, room geometry included
+        this.mesh.raycast = () => {};
+        this.mesh.visible = false;
+        camera.add(this.mesh);
+
+        this.sinceRedraw = Infinity;
+    }
+
+    get visible() {
+        return this.mesh.visible;
+    }
+
+    setVisible(visible) {
+        this.mesh.visible = visible;
+        this.sinceRedraw = Infinity;
+    }
+
+    // governor: the PerformanceGovernor; info: the renderer's info, for draw calls and triangles
+    update(delta, governor, info) {
+        if (!this.mesh.visible) return;
+        this.sinceRedraw += delta;
+        if (this.sinceRedraw < REDRAW_INTERVAL) return;
+        this.sinceRedraw = 0;
+
+        const tier = governor.tier;
+        const render = info.render || { calls: 0, triangles: 0 };
+        const lines = [
+            `Tier: ${tier.name} (${governor.tierIndex + 1} of ${QUALITY_TIERS.length})`,
+            `${governor.fps.toFixed(0)} fps of ${governor.frameRate}, missed ${governor.missedFrames}`,
+            `Frame ${governor.frameInterval.toFixed(1)} ms, CPU ${governor.cpuTime.toFixed(1)} ms / ${governor.budget.toFixed(1)}`,
+            `${render.calls} draws, ${(render.triangles / 1000).toFixed(1)}k tris`,
+            `Scale ${tier.framebufferScale}, fov. ${tier.foveation}, shadows ${tier.shadowMapSize || 'off'}`
+        ];
+
+        const context = this.canvas.getContext('2d');
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        context.fillStyle = 'rgba(23, 32, 42, 0.8)';
+        context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        context.font = '30px monospace';
+        context.fillStyle = '#d6eaf8';
+        context.textBaseline = 'top';
+        lines.forEach((line, index) => context.fillText(line, 16, 16 + index * 46));
+        this.texture.needsUpdate = true;
+    }
+}
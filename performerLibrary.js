@@ -0,0 +1,242 @@
+import { AssetLoader } from './assetLoader.js';
+import { BeatClock, estimateTempo } from './beatSync.js';
+import { inspectModel, checkBudgets, MODEL_BUDGETS } from './modelValidation.js';
+
+// Image loads fail with an error event rather than an Error
+function reason(error) {
+    return error instanceof Error ? error.message : 'network error';
+}
+
+// The model's meshes, in the order a clone of it traverses them
+function listMeshes(gltf) {
+    const meshes = [];
+    gltf.scene.traverse((object) => {
+        if (object.isMesh) meshes.push(object);
+    });
+    return meshes;
+}
+
+// Why a lower-poly copy can't stand in for the model, or null if it can: each mesh has to have
+// its counterpart, in the same order, skinned to as many bones
+function lodMismatch(gltf, lodGltf) {
+    const meshes = listMeshes(gltf);
+    const lodMeshes = listMeshes(lodGltf);
+    if (lodMeshes.length !== meshes.length) {
+        return `${lodMeshes.length} meshes, the model has ${meshes.length}`;
+    }
+    const index = meshes.findIndex((mesh, i) => mesh.name !== lodMeshes[i].name ||
+        mesh.isSkinnedMesh !== lodMeshes[i].isSkinnedMesh ||
+        (mesh.isSkinnedMesh && mesh.skeleton.bones.length !== lodMeshes[i].skeleton.bones.length));
+    return index >= 0 ? `mesh ${index} (${meshes[index].name || 'unnamed'}) differs from the model's` : null;
+}
+
+// Loads every performer's model, soundtrack tracks and placard once, up front, so stages can be
+// added mid-session without a loading pause. Stages clone the model and share the audio
+// buffers and placard texture. A failed asset is recorded (as null plus an error) rather than
+// thrown, so one broken file doesn't keep the rest of the troupe off stage: a stage without its
+// model shows a placeholder, without a track plays the rest, without a placard shows none.
+export class PerformerLibrary {
+    // budgets: the performance budgets models are checked against, see MODEL_BUDGETS
+    constructor(performers, { budgets = MODEL_BUDGETS, loader = new AssetLoader() } = {}) {
+        this.performers = performers;
+        this.budgets = budgets;
+        this.loader = loader;
+        this.entries = performers.map((performer) => ({
+            performer,
+            gltf: null,
+            modelError: null,
+            lodGeometries: null, // Per mesh of the model, its lower-poly geometry, if there is a LOD model
+            lodError: null,
+            modelReport: null, // What inspectModel() found, once loaded
+            modelWarnings: [], // Budgets the model exceeds
+            tracks: [], // Per manifest track: { config, buffer, beatClock, error }, buffer null if it failed
+            placardTexture: null,
+            placardError: null
+        }));
+    }
+
+    get count() {
+        return this.entries.length;
+    }
+
+    get(index) {
+        return this.entries[index];
+    }
+
+    // onStatus(message) hears overall progress and retries
+    async preload(onStatus = () => {}) {
+        this.loader.onProgress = (fraction, loaded, total) => {
+            onStatus(`Loading ${this.describe()}... ${Math.round(fraction * 100)}% (${loaded} of ${total} files)`);
+        };
+        this.loader.onRetry = (url, attempt, attempts, error) => {
+            console.warn(`Could not load ${url}, trying again (attempt ${attempt} of ${attempts}):`, error);
+            onStatus(`Could not load ${url}, trying again (attempt ${attempt} of ${attempts})...`);
+        };
+
+        onStatus(`Loading ${this.describe()}...`);
+        try {
+            await Promise.all(this.entries.map((entry, index) => this.loadEntry(entry, index)));
+        } finally {
+            this.loader.onProgress = null;
+            this.loader.onRetry = null;
+        }
+    }
+
+    describe() {
+        return this.entries.length === 1 ? this.entries[0].performer.name : `${this.entries.length} performers`;
+    }
+
+    // What failed to load and what the stages do without it, one line each; empty if nothing did
+    get failures() {
+        const failures = [];
+        for (const entry of this.entries) {
+            const name = entry.performer.name;
+            if (entry.modelError) {
+                failures.push(`${name}: model failed to load (${reason(entry.modelError)}), showing a placeholder`);
+            }
+            if (entry.lodError) {
+                failures.push(`${name}: LOD model failed to load (${reason(entry.lodError)}), keeping full detail`);
+            }
+            for (const track of entry.tracks) {
+                if (track.error) {
+                    failures.push(`${name}: track "${track.config.title}" failed to load (${reason(track.error)}), skipped`);
+                }
+            }
+            if (entry.tracks.length > 0 && entry.tracks.every((track) => track.error)) {
+                failures.push(`${name}: no soundtrack, dancing in silence`);
+            }
+            if (entry.placardError) {
+                failures.push(`${name}: placard failed to load (${reason(entry.placardError)}), not shown`);
+            }
+        }
+        return failures;
+    }
+
+    // Models over their performance budgets, one line each; they still load
+    get warnings() {
+        return this.entries
+            .filter((entry) => entry.modelWarnings.length > 0)
+            .map((entry) => `${entry.performer.name}: model over budget (${entry.modelWarnings.join('; ')})`);
+    }
+
+    async loadEntry(entry, index) {
+        const { performer } = entry;
+        await Promise.all([
+            this.loadModel(entry),
+            this.loadAudio(entry),
+            this.loadPlacard(entry)
+        ]);
+
+        console.log(`Performer ${index} (${performer.name}) loaded`);
+    }
+
+    async loadModel(entry) {
+        const modelConfig = entry.performer.model;
+        try {
+            entry.gltf = await this.loader.loadModel(modelConfig.url);
+        } catch (error) {
+            console.error('Error loading dancer model:', error);
+            entry.modelError = error;
+            return;
+        }
+
+        const report = inspectModel(entry.gltf);
+        entry.modelReport = report;
+        console.log(`Model ${modelConfig.url} loaded: ${report.triangles} triangles, ` +
+            `${report.textures} textures (${report.textureMegabytes.toFixed(1)} MB), ${report.bones} bones, ` +
+            `clips: ${report.clips.length > 0 ? report.clips.join(', ') : 'none'}`);
+
+        entry.modelWarnings = checkBudgets(report, this.budgets);
+        for (const warning of entry.modelWarnings) {
+            console.warn(`Model ${modelConfig.url} is over budget: ${warning}`);
+        }
+
+        if (modelConfig.lod) {
+            await this.loadLod(entry);
+        }
+    }
+
+    // The lower-poly copy's geometries, for stages to swap into their own clone's meshes
+    async loadLod(entry) {
+        const url = entry.performer.model.lod;
+        try {
+            const lodGltf = await this.loader.loadModel(url);
+            const mismatch = lodMismatch(entry.gltf, lodGltf);
+            if (mismatch) {
+                throw new Error(`${url} doesn't match the model: ${mismatch}`);
+            }
+            entry.lodGeometries = listMeshes(lodGltf).map((mesh) => mesh.geometry);
+            console.log(`LOD model ${url} loaded: ${inspectModel(lodGltf).triangles} triangles`);
+        } catch (error) {
+            console.warn('Error loading LOD model:', error);
+            entry.lodError = error;
+        }
+    }
+
+    async loadAudio(entry) {
+        const audioConfig = entry.performer.audio;
+        if (!audioConfig) {
+            console.log(`${entry.performer.name} has no audio track`);
+            return;
+        }
+
+        entry.tracks = await Promise.all(audioConfig.tracks.map((track) => this.loadTrack(track, audioConfig.sync)));
+    }
+
+    async loadTrack(config, sync) {
+        const track = { config, buffer: null, beatClock: null, error: null };
+        try {
+            track.buffer = await this.loader.loadAudio(config.url);
+            console.log(`Track "${config.title}" loaded successfully`);
+        } catch (error) {
+            console.warn('Error loading audio:', error);
+            console.warn(`Make sure ${config.url} is reachable from index.html`);
+            track.error = error;
+            return track;
+        }
+
+        if (sync) {
+            track.beatClock = this.createBeatClock(config, track.buffer);
+        }
+        return track;
+    }
+
+    createBeatClock(trackConfig, buffer) {
+        if (trackConfig.bpm !== null) {
+            return new BeatClock({ bpm: trackConfig.bpm, beatOffset: trackConfig.beatOffset });
+        }
+
+        try {
+            const estimate = estimateTempo(buffer);
+            console.log(`Estimated tempo: ${estimate.bpm} BPM, first beat at ${estimate.beatOffset.toFixed(3)}s (confidence ${estimate.confidence.toFixed(2)})`);
+            return new BeatClock(estimate);
+        } catch (error) {
+            // Still sync to the audio clock, just without snapping clips to beats
+            console.warn('Could not estimate tempo, syncing without a beat grid:', error.message);
+            return null;
+        }
+    }
+
+    async loadPlacard(entry) {
+        const placardConfig = entry.performer.placard;
+        if (!placardConfig) {
+            console.log(`${entry.performer.name} has no placard`);
+            return;
+        }
+
+        try {
+            const texture = await this.loader.loadTexture(placardConfig.url);
+            // Flip the texture horizontally to invert the image
+            if (placardConfig.flipX) {
+                texture.repeat.x = -1;
+                texture.offset.x = 1;
+            }
+            entry.placardTexture = texture;
+            console.log('Placard loaded successfully');
+        } catch (error) {
+            console.warn('Error loading placard:', error);
+            console.warn(`Make sure ${placardConfig.url} is reachable from index.html`);
+            entry.placardError = error;
+        }
+    }
+}
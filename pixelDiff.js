@@ -0,0 +1,106 @@
+// Compares rendered frames with stored baselines, pixel by pixel, for the offline renderer's
+// regression check (see offlineRender.js).
+//
+// Two pixels match when no channel, alpha included, differs by more than the threshold; that
+// absorbs the last-bit noise of antialiasing and software rasterisers. An image passes when no
+// more than the tolerated share of its pixels differ. The diff image shows each differing pixel
+// in red over a faded copy of the baseline, so a failure can be looked at rather than guessed at.
+//
+// Both sides are compared as decoded PNGs, so a frame and the baseline it was saved as go
+// through the same decoding (and the same alpha premultiplication) and match exactly.
+
+export const DIFF_DEFAULTS = {
+    threshold: 8, // Of 255, per channel
+    tolerance: 0.001 // Share of the pixels allowed to differ
+};
+
+const FADE = 0.25; // How much of the baseline shows under the marked pixels
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// The pixels of a PNG (or any image the browser decodes), without colour space conversion
+export async function decodeImage(blob) {
+    const bitmap = await createImageBitmap(blob, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+    const canvas = createCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// The image at url, decoded, or null if there is none (a baseline not recorded yet)
+export async function loadImage(url) {
+    const response = await fetch(url);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`Could not load ${url}: ${response.status} ${response.statusText}`);
+    }
+    return decodeImage(await response.blob());
+}
+
+export function encodeImage(imageData) {
+    const canvas = createCanvas(imageData.width, imageData.height);
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('The diff image could not be encoded'));
+            }
+        }, 'image/png');
+    });
+}
+
+// actual, expected: ImageData. Returns { passed, differentPixels, share, maxDelta, diff }, where
+// diff is an ImageData marking the differences, or { passed: false, reason } if the sizes differ.
+export function compareImages(actual, expected, { threshold = DIFF_DEFAULTS.threshold, tolerance = DIFF_DEFAULTS.tolerance } = {}) {
+    if (actual.width !== expected.width || actual.height !== expected.height) {
+        return {
+            passed: false,
+            reason: `size ${actual.width}x${actual.height}, baseline ${expected.width}x${expected.height}`
+        };
+    }
+
+    const a = actual.data;
+    const e = expected.data;
+    const diff = new ImageData(actual.width, actual.height);
+    const d = diff.data;
+    let differentPixels = 0;
+    let maxDelta = 0;
+
+    for (let i = 0; i < a.length; i += 4) {
+        const delta = Math.max(
+            Math.abs(a[i] - e[i]),
+            Math.abs(a[i + 1] - e[i + 1]),
+            Math.abs(a[i + 2] - e[i + 2]),
+            Math.abs(a[i + 3] - e[i + 3])
+        );
+        maxDelta = Math.max(maxDelta, delta);
+        if (delta > threshold) {
+            differentPixels++;
+            d[i] = 255;
+            d[i + 1] = 0;
+            d[i + 2] = 0;
+            d[i + 3] = 255;
+        } else {
+            const grey = (e[i] + e[i + 1] + e[i + 2]) / 3;
+            d[i] = d[i + 1] = d[i + 2] = 255 - (255 - grey) * FADE;
+            d[i + 3] = 255;
+        }
+    }
+
+    const share = differentPixels / (actual.width * actual.height);
+    return {
+        passed: share <= tolerance,
+        differentPixels,
+        share,
+        maxDelta,
+        diff
+    };
+}
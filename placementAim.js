@@ -0,0 +1,134 @@
+// Where the placement reticle is aimed from: the user's head or their controllers.
+//
+// 'gaze' casts from the viewer reference space, so the reticle sits wherever the user looks.
+// 'controller' casts along each tracked pointer's targetRaySpace (controllers, and hands with
+// their pinch ray), and along screen taps and other transient pointers through
+// requestHitTestSourceForTransientInput, so the reticle lands at the end of the ray the user is
+// aiming. The input that last selected or squeezed does the aiming; until there is a pointer
+// to aim with, controller mode falls back to gaze, so a phone or a headset with its
+// controllers down still gets a reticle.
+//
+// One hit-test source per input source, requested as inputs appear and cancelled as they go.
+
+export const AIM_MODES = ['controller', 'gaze'];
+
+// Transient input profiles worth hit testing: screen taps on phones and tablets
+const TRANSIENT_PROFILES = ['generic-touchscreen'];
+
+export class PlacementAim {
+    constructor(mode = 'controller') {
+        this.mode = AIM_MODES.includes(mode) ? mode : 'controller';
+        this.session = null;
+        this.viewerSource = null;
+        this.transientSources = [];
+        this.inputSources = new Map(); // XRInputSource -> XRHitTestSource, or null while requested
+        this.preferredInput = null; // The input that last selected or squeezed
+    }
+
+    // Resolves once gaze hit testing works in this session; rejects if hit-test is unsupported.
+    // Transient sources are a bonus: a runtime without them still aims with gaze and controllers.
+    async start(session) {
+        const viewerSpace = await session.requestReferenceSpace('viewer');
+        const viewerSource = await session.requestHitTestSource({ space: viewerSpace });
+
+        const transientSources = [];
+        if (session.requestHitTestSourceForTransientInput) {
+            for (const profile of TRANSIENT_PROFILES) {
+                try {
+                    transientSources.push(await session.requestHitTestSourceForTransientInput({ profile }));
+                } catch (error) {
+                    console.warn(`No transient hit testing for '${profile}':`, error);
+                }
+            }
+        }
+
+        this.session = session;
+        this.viewerSource = viewerSource;
+        this.transientSources = transientSources;
+    }
+
+    // The session cancels its hit-test sources as it ends; just let go of them
+    stop() {
+        this.session = null;
+        this.viewerSource = null;
+        this.transientSources = [];
+        this.inputSources.clear();
+        this.preferredInput = null;
+    }
+
+    setMode(mode) {
+        if (!AIM_MODES.includes(mode)) {
+            throw new Error(`Unknown aim mode '${mode}'`);
+        }
+        this.mode = mode;
+    }
+
+    toggleMode() {
+        this.setMode(this.mode === 'gaze' ? 'controller' : 'gaze');
+        return this.mode;
+    }
+
+    prefer(inputSource) {
+        if (inputSource && inputSource.targetRayMode === 'tracked-pointer') {
+            this.preferredInput = inputSource;
+        }
+    }
+
+    // Request sources for new pointers and drop the ones whose input went away
+    syncInputSources(inputSources) {
+        if (!this.session) return;
+
+        const current = new Set(inputSources); // An XRInputSourceArray has no includes()
+        for (const [inputSource, source] of this.inputSources) {
+            if (!current.has(inputSource)) {
+                if (source) source.cancel();
+                this.inputSources.delete(inputSource);
+                if (this.preferredInput === inputSource) this.preferredInput = null;
+            }
+        }
+
+        for (const inputSource of inputSources) {
+            if (inputSource.targetRayMode !== 'tracked-pointer' || this.inputSources.has(inputSource)) continue;
+
+            this.inputSources.set(inputSource, null);
+            const session = this.session;
+            session.requestHitTestSource({ space: inputSource.targetRaySpace }).then((source) => {
+                // The session ended or the input went away while we waited
+                if (session !== this.session || !this.inputSources.has(inputSource)) {
+                    source.cancel();
+                    return;
+                }
+                this.inputSources.set(inputSource, source);
+            }).catch((error) => {
+                console.warn(`No hit testing along the ${inputSource.handedness} ray:`, error);
+            });
+        }
+    }
+
+    // The input aiming this frame: the preferred one, else the first pointer with a hit-test
+    // source. null means the head is aiming.
+    getAimingInput(inputSources) {
+        if (this.mode === 'gaze') return null;
+        if (this.preferredInput && this.inputSources.get(this.preferredInput)) return this.preferredInput;
+        return Array.from(inputSources).find((inputSource) => this.inputSources.get(inputSource)) || null;
+    }
+
+    // This frame's hit-test results for the placement reticle, nearest first, and the input they
+    // are along (null for gaze)
+    getResults(frame, inputSources) {
+        if (!this.session) return { results: [], inputSource: null };
+
+        if (this.mode === 'controller') {
+            // A tap in progress wins over everything else
+            for (const transientSource of this.transientSources) {
+                for (const { inputSource, results } of frame.getHitTestResultsForTransientInput(transientSource)) {
+                    if (results.length > 0) return { results, inputSource };
+                }
+            }
+        }
+
+        const inputSource = this.getAimingInput(inputSources);
+        const source = inputSource ? this.inputSources.get(inputSource) : this.viewerSource;
+        return { results: frame.getHitTestResults(source), inputSource };
+    }
+}
@@ -0,0 +1,80 @@
+// Remembers where stages were placed so the next session can put them back.
+//
+// Two layers per stage: a persistent XRAnchor UUID (on runtimes that expose
+// session.persistentAnchors, e.g. Quest Browser) which restores to the exact real-world spot,
+// and a fallback pose in local-floor coordinates for everything else. The fallback is only as
+// good as the user starting the next session from roughly the same place.
+//
+// A scope keeps placements made elsewhere (e.g. in emulated sessions) apart from the room's own.
+
+const STORAGE_PREFIX = 'vr-passthrough-dancer:placement:';
+
+function isValidPlacement(placement) {
+    return placement !== null && typeof placement === 'object' &&
+        Array.isArray(placement.position) && placement.position.length === 3 &&
+        Array.isArray(placement.quaternion) && placement.quaternion.length === 4;
+}
+
+export class PlacementStore {
+    constructor(sceneName, scope = null) {
+        this.key = STORAGE_PREFIX + (scope ? `${scope}:` : '') + sceneName;
+    }
+
+    // Returns the saved placements, one per stage:
+    // { position, quaternion, scale, anchorUuid, anchorTurn, performerIndex }
+    load() {
+        try {
+            const raw = window.localStorage.getItem(this.key);
+            if (!raw) return [];
+
+            const saved = JSON.parse(raw);
+            // Single-dancer builds saved one bare placement rather than a list
+            const placements = Array.isArray(saved.stages) ? saved.stages : [saved];
+            const valid = placements.filter(isValidPlacement);
+            if (valid.length !== placements.length) {
+                console.warn('Ignoring malformed saved placement(s)');
+            }
+            return valid.map((placement) => ({
+                position: placement.position,
+                quaternion: placement.quaternion,
+                scale: typeof placement.scale === 'number' && placement.scale > 0 ? placement.scale : 1,
+                anchorUuid: placement.anchorUuid || null,
+                // The platform's rotation relative to the anchor's; older saves don't have it
+                anchorTurn: Array.isArray(placement.anchorTurn) && placement.anchorTurn.length === 4 ? placement.anchorTurn : null,
+                performerIndex: Number.isInteger(placement.performerIndex) ? placement.performerIndex : 0
+            }));
+        } catch (error) {
+            console.warn('Could not read saved placement:', error);
+            return [];
+        }
+    }
+
+    hasSaved() {
+        return this.load().length > 0;
+    }
+
+    save(placements) {
+        if (placements.length === 0) {
+            this.clear();
+            return;
+        }
+
+        const saved = {
+            stages: placements,
+            savedAt: new Date().toISOString()
+        };
+        try {
+            window.localStorage.setItem(this.key, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Could not save placement:', error);
+        }
+    }
+
+    clear() {
+        try {
+            window.localStorage.removeItem(this.key);
+        } catch (error) {
+            console.warn('Could not clear saved placement:', error);
+        }
+    }
+}
@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+
+// Which real surfaces a stage may stand on, and where exactly on them.
+//
+// A hit-test result alone can be on anything: a wall, the sloped back of a sofa, the rim of a
+// monitor. Every hit is checked here before the reticle accepts it:
+//   - its normal has to be within MAX_TILT of straight up, always;
+//   - with plane-detection, a hit on a detected plane has to be on a horizontal, upward-facing
+//     one whose outline fits the whole platform. The platform is pulled in from the outline so
+//     it never hangs off a table edge, snapped flush to an edge when it comes close to one, and
+//     onto the plane's centre when it comes close to that;
+//   - with mesh-detection, hits on meshes labelled as walls, ceilings, doors or windows are
+//     refused, and the flat top of any other mesh (a table, a shelf) works like a plane.
+// Hits on nothing detected are judged on tilt alone, as the room's planes and meshes are often
+// incomplete. Without either feature that is the only check.
+
+export const SURFACE_FEATURES = ['plane-detection', 'mesh-detection'];
+
+const MAX_TILT = THREE.MathUtils.degToRad(10);
+const SURFACE_TOLERANCE = 0.03; // How far (m) a hit may be off a surface and still be on it
+const CENTER_SNAP = 0.08; // Metres from the centre within which the platform snaps to it
+const EDGE_SNAP = 0.04; // Extra metres from an edge within which the platform snaps flush to it
+const REJECTED_MESH_LABELS = ['wall', 'ceiling', 'door', 'window'];
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Scratch for the helpers below, which run every frame the reticle is on a surface
+const segment = new THREE.Vector2();
+const toPoint = new THREE.Vector2();
+const onEdge = new THREE.Vector2();
+
+// Closest point to p on the segment a-b, into target; all { x, y } in a surface's own 2D coordinates
+function closestOnSegment(p, a, b, target) {
+    segment.subVectors(b, a);
+    const t = THREE.MathUtils.clamp(toPoint.subVectors(p, a).dot(segment) / segment.lengthSq(), 0, 1);
+    return target.copy(a).addScaledVector(segment, t);
+}
+
+function containsPoint(polygon, p) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// The distance from p to the nearest polygon edge; the nearest point on it goes into target, if given
+function nearestEdge(polygon, p, target = null) {
+    let nearest = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const distance = closestOnSegment(p, polygon[j], polygon[i], onEdge).distanceTo(p);
+        if (distance < nearest) {
+            nearest = distance;
+            if (target) target.copy(onEdge);
+        }
+    }
+    return nearest;
+}
+
+// Whether a platform of this radius centred at p stands wholly on the polygon
+function fits(polygon, p, radius) {
+    return containsPoint(polygon, p) && nearestEdge(polygon, p) >= radius - 1e-4;
+}
+
+function centroid(polygon) {
+    let area = 0;
+    const sum = new THREE.Vector2();
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const cross = polygon[j].x * polygon[i].y - polygon[i].x * polygon[j].y;
+        area += cross;
+        sum.x += (polygon[j].x + polygon[i].x) * cross;
+        sum.y += (polygon[j].y + polygon[i].y) * cross;
+    }
+    return Math.abs(area) < 1e-9 ? polygon[0].clone() : sum.divideScalar(3 * area);
+}
+
+export class PlacementSurfaces {
+    constructor() {
+        this.surfaces = new Map(); // XRPlane or XRMesh -> outline and pose, see updateSurface
+        this.seen = new Set();
+
+        // Reused every frame: evaluate's result, and scratch for it
+        this.result = { valid: false, reason: null, position: new THREE.Vector3(), orientation: new THREE.Quaternion() };
+        this.normal = new THREE.Vector3();
+        this.surfaceOrientation = new THREE.Quaternion();
+        this.localPosition = new THREE.Vector3();
+        this.local = new THREE.Vector2(); // Where surfaceAt found the point, in the surface's 2D coordinates
+        this.bounds = new THREE.Box3();
+        this.snapped = new THREE.Vector2();
+        this.edgePoint = new THREE.Vector2();
+        this.inward = new THREE.Vector2();
+        this.flush = new THREE.Vector2();
+    }
+
+    // Follow this frame's detected planes and meshes. Outlines are only rebuilt when the runtime
+    // says they changed; poses are refreshed every frame.
+    update(frame, refSpace) {
+        const seen = this.seen;
+        seen.clear();
+        if (frame.detectedPlanes) {
+            for (const plane of frame.detectedPlanes) {
+                this.updateSurface(frame, refSpace, plane, 'plane', plane.planeSpace);
+                seen.add(plane);
+            }
+        }
+        if (frame.detectedMeshes) {
+            for (const mesh of frame.detectedMeshes) {
+                this.updateSurface(frame, refSpace, mesh, 'mesh', mesh.meshSpace);
+                seen.add(mesh);
+            }
+        }
+
+        for (const key of this.surfaces.keys()) {
+            if (!seen.has(key)) this.surfaces.delete(key);
+        }
+    }
+
+    updateSurface(frame, refSpace, source, kind, space) {
+        const pose = frame.getPose(space, refSpace);
+        if (!pose) return;
+
+        let surface = this.surfaces.get(source);
+        if (!surface) {
+            surface = {
+                kind,
+                matrix: new THREE.Matrix4(),
+                inverse: new THREE.Matrix4(),
+                polygon: null,
+                center: null, // The outline's centroid
+                top: 0, // Height of the outline along the surface's own Y axis
+                box: null, // Meshes only
+                rejected: false,
+                changed: -1
+            };
+            this.surfaces.set(source, surface);
+        }
+
+        surface.matrix.fromArray(pose.transform.matrix);
+        if (surface.changed !== source.lastChangedTime) {
+            surface.changed = source.lastChangedTime;
+            if (kind === 'plane') {
+                surface.polygon = source.polygon.map((point) => new THREE.Vector2(point.x, point.z));
+                surface.rejected = source.orientation === 'vertical';
+                surface.top = 0;
+            } else {
+                this.readMeshTop(surface, source);
+            }
+            surface.center = centroid(surface.polygon);
+        }
+        surface.inverse.copy(surface.matrix).invert();
+    }
+
+    // A mesh counts as its bounding box: the top face is the outline things can stand on
+    readMeshTop(surface, mesh) {
+        const box = new THREE.Box3().setFromArray(mesh.vertices);
+        surface.top = box.max.y;
+        surface.polygon = [
+            new THREE.Vector2(box.min.x, box.min.z),
+            new THREE.Vector2(box.max.x, box.min.z),
+            new THREE.Vector2(box.max.x, box.max.z),
+            new THREE.Vector2(box.min.x, box.max.z)
+        ];
+        surface.rejected = REJECTED_MESH_LABELS.includes(mesh.semanticLabel);
+        surface.box = box;
+    }
+
+    // The detected surface a reference-space point is on, or null; the point in the surface's 2D
+    // coordinates is left in this.local (except on a wall's volume, where it doesn't matter)
+    surfaceAt(position) {
+        for (const surface of this.surfaces.values()) {
+            const local = this.localPosition.copy(position).applyMatrix4(surface.inverse);
+            if (surface.kind === 'mesh' && surface.rejected) {
+                // Anywhere in a wall's volume is on the wall
+                if (this.bounds.copy(surface.box).expandByScalar(SURFACE_TOLERANCE).containsPoint(local)) {
+                    return surface;
+                }
+                continue;
+            }
+
+            this.local.set(local.x, local.z);
+            if (Math.abs(local.y - surface.top) <= SURFACE_TOLERANCE && containsPoint(surface.polygon, this.local)) {
+                return surface;
+            }
+        }
+        return null;
+    }
+
+    // Judge a hit-test pose for a platform of this radius. Returns
+    // { valid, reason, position, orientation }: where the platform should go, and the surface's
+    // orientation (Y up) for lining up shadows and the reticle. Invalid results keep the hit's
+    // own pose so the reticle can show where the refused surface is. The result is the same object
+    // every call, unless a target is given: copy out whatever has to outlast the frame.
+    //   requireSurface: refuse a pose on no detected surface, e.g. for a stage dragged off a table
+    //   snap: false only pulls the platform in off edges, without snapping it to centre or edge
+    evaluate(hitTransform, radius, { requireSurface = false, snap = true, target = this.result } = {}) {
+        const result = target;
+        const position = result.position.copy(hitTransform.position);
+        const orientation = result.orientation.copy(hitTransform.orientation);
+        result.valid = false;
+        result.reason = null;
+
+        if (this.normal.copy(UP).applyQuaternion(orientation).angleTo(UP) > MAX_TILT) {
+            result.reason = 'surface is not level';
+            return result;
+        }
+
+        const surface = this.surfaceAt(position);
+        if (!surface) {
+            result.valid = !requireSurface;
+            if (requireSurface) result.reason = 'off the surface';
+            return result;
+        }
+
+        if (surface.rejected) {
+            result.reason = 'surface is a wall or ceiling';
+            return result;
+        }
+
+        const surfaceOrientation = this.surfaceOrientation.setFromRotationMatrix(surface.matrix);
+        if (this.normal.copy(UP).applyQuaternion(surfaceOrientation).angleTo(UP) > MAX_TILT) {
+            result.reason = 'surface is not level';
+            return result;
+        }
+
+        const snapped = this.snap(surface, this.local, radius, snap);
+        if (!snapped) {
+            result.reason = 'surface is too small';
+            return result;
+        }
+
+        position.set(snapped.x, surface.top, snapped.y).applyMatrix4(surface.matrix);
+        orientation.copy(surfaceOrientation);
+        result.valid = true;
+        return result;
+    }
+
+    // Where on the surface's outline a platform aimed at p goes, or null if it can't stand there
+    // at all; toFeatures also snaps it to the centre or flush to an edge when close. The point
+    // returned is this.snapped, reused every call.
+    snap(surface, p, radius, toFeatures = true) {
+        const { polygon, center } = surface;
+        const point = this.snapped;
+        if (toFeatures && p.distanceTo(center) <= CENTER_SNAP && fits(polygon, center, radius)) {
+            return point.copy(center);
+        }
+
+        // Pull the platform in off whichever edge it would hang over; a corner takes two goes
+        point.copy(p);
+        for (let i = 0; i < 4 && containsPoint(polygon, point) && !fits(polygon, point, radius); i++) {
+            const distance = nearestEdge(polygon, point, this.edgePoint);
+            const inward = this.inward.subVectors(point, this.edgePoint);
+            if (inward.lengthSq() < 1e-12) inward.subVectors(center, point); // Right on the edge
+            point.addScaledVector(inward.normalize(), radius - distance);
+        }
+        if (!fits(polygon, point, radius)) return null;
+        if (!toFeatures) return point;
+
+        // Close to an edge: sit flush against it
+        const distance = nearestEdge(polygon, point, this.edgePoint);
+        if (distance < radius + EDGE_SNAP && distance > radius) {
+            const flush = this.flush.subVectors(point, this.edgePoint).setLength(radius).add(this.edgePoint);
+            if (fits(polygon, flush, radius)) return point.copy(flush);
+        }
+        return point;
+    }
+
+    clear() {
+        this.surfaces.clear();
+    }
+}
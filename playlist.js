@@ -0,0 +1,100 @@
+// The order a stage's soundtrack tracks play in: as listed, or shuffled.
+//
+// Tracks are referred to by their index in the manifest's list. A shuffle deals every track once
+// before dealing again, and never starts a new deal with the track that just played. peek()
+// answers what step() would do without doing it, so the next track can be queued up ahead of
+// the handover; the next deal is made on the first peek past the end and kept until then.
+
+function shuffled(indices) {
+    const result = indices.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+export class Playlist {
+    constructor(count, { shuffle = false, loop = true } = {}) {
+        this.count = count;
+        this.shuffle = shuffle;
+        this.loop = loop;
+        this.order = [];
+        this.position = 0;
+        this.nextOrder = null; // The following deal, once something has looked past the end
+        this.rewind();
+    }
+
+    // Index of the track playing now
+    get index() {
+        return this.order[this.position];
+    }
+
+    // Back to the first track of a fresh deal
+    rewind() {
+        this.order = this.deal(null);
+        this.position = 0;
+        this.nextOrder = null;
+    }
+
+    setShuffle(shuffle) {
+        this.shuffle = shuffle;
+        // Keep the current track: shuffling deals the rest after it, unshuffling goes back to the
+        // listed order from where that track is in it
+        const current = this.index;
+        if (shuffle) {
+            this.order = [current, ...shuffled(this.sequence().filter((index) => index !== current))];
+            this.position = 0;
+        } else {
+            this.order = this.sequence();
+            this.position = this.order.indexOf(current);
+        }
+        this.nextOrder = null;
+    }
+
+    // The index step(direction) would move to, or -1 past either end of an unlooped playlist
+    peek(direction) {
+        const position = this.position + direction;
+        if (position >= 0 && position < this.order.length) {
+            return this.order[position];
+        }
+        if (!this.loop) return -1;
+        if (position < 0) {
+            return this.order[this.order.length - 1];
+        }
+        if (!this.nextOrder) {
+            this.nextOrder = this.deal(this.index);
+        }
+        return this.nextOrder[0];
+    }
+
+    // Move to the next (1) or previous (-1) track; returns its index, or -1 if there is none
+    step(direction) {
+        const index = this.peek(direction);
+        if (index < 0) return -1;
+
+        const position = this.position + direction;
+        if (position >= this.order.length) {
+            this.order = this.nextOrder;
+            this.nextOrder = null;
+            this.position = 0;
+        } else {
+            this.position = (position + this.order.length) % this.order.length;
+        }
+        return index;
+    }
+
+    sequence() {
+        return Array.from({ length: this.count }, (_, index) => index);
+    }
+
+    // A new pass over every track. When shuffling, the track just played doesn't open it.
+    deal(previous) {
+        if (!this.shuffle) return this.sequence();
+        const order = shuffled(this.sequence());
+        if (order.length > 1 && order[0] === previous) {
+            [order[0], order[1]] = [order[1], order[0]];
+        }
+        return order;
+    }
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import { XREstimatedLight } from 'three/addons/webxr/XREstimatedLight.js';
+
+// Scene lighting that follows the real room when the runtime can estimate it.
+//
+// The fixed rig (ambient plus key and fill lights) is what the scene is lit with on the desktop
+// and on runtimes without the WebXR light-estimation feature. Once a session starts delivering
+// estimates, XREstimatedLight takes over: its light probe carries the room's spherical
+// harmonics and its directional light the primary light's direction, colour and intensity, both
+// refreshed every XR frame. The fixed rig comes back as soon as estimation stops.
+
+// The stages are small and near the user, so a tight shadow camera keeps their shadows sharp.
+// The estimated light sits a unit vector from the origin, so near is negative to take in
+// anything on the far side of it too.
+function configureShadow(light, mapSize) {
+    light.castShadow = mapSize > 0;
+    light.shadow.mapSize.set(mapSize, mapSize);
+    light.shadow.camera.left = -2;
+    light.shadow.camera.right = 2;
+    light.shadow.camera.top = 2;
+    light.shadow.camera.bottom = -2;
+    light.shadow.camera.near = -10;
+    light.shadow.camera.far = 10;
+    light.shadow.radius = 3;
+}
+
+export class RoomLighting {
+    constructor(scene) {
+        this.scene = scene;
+        this.rig = new THREE.Group();
+        this.keyLight = null;
+        this.estimatedLight = null;
+        this.estimating = false;
+        this.shadowMapSize = 1024; // 0 for no shadows
+        this.onEnvironmentChange = null; // (texture or null) => void, for reflective materials
+
+        this.createRig();
+    }
+
+    createRig() {
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
+        this.rig.add(ambientLight);
+
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        directionalLight.position.set(1, 2, 1);
+        configureShadow(directionalLight, this.shadowMapSize);
+        this.rig.add(directionalLight);
+        this.keyLight = directionalLight;
+
+        const fillLight = new THREE.DirectionalLight(0xffffff, 0.3);
+        fillLight.position.set(-1, 1, -1);
+        this.rig.add(fillLight);
+
+        this.scene.add(this.rig);
+    }
+
+    // Needs the renderer, whose XR manager tells the estimated light when sessions start and end
+    enableEstimation(renderer) {
+        this.estimatedLight = new XREstimatedLight(renderer);
+        configureShadow(this.estimatedLight.directionalLight, this.shadowMapSize);
+
+        this.estimatedLight.addEventListener('estimationstart', () => this.onEstimationStart());
+        this.estimatedLight.addEventListener('estimationend', () => this.onEstimationEnd());
+    }
+
+    onEstimationStart() {
+        this.estimating = true;
+        this.scene.remove(this.rig);
+        this.scene.add(this.estimatedLight);
+
+        // Only there when the runtime also estimates a reflection cube map
+        if (this.estimatedLight.environment && this.onEnvironmentChange) {
+            this.onEnvironmentChange(this.estimatedLight.environment);
+        }
+        console.log('Light estimation started, using room lighting');
+    }
+
+    onEstimationEnd() {
+        this.estimating = false;
+        this.scene.remove(this.estimatedLight);
+        this.scene.add(this.rig);
+
+        if (this.onEnvironmentChange) {
+            this.onEnvironmentChange(null);
+        }
+        console.log('Light estimation ended, back to the fixed light rig');
+    }
+
+    // Sharper or softer shadows for the frame budget, or none at all (0). Turning shadows on or
+    // off recompiles the lit materials, so this is for occasional quality changes.
+    setShadowMapSize(size) {
+        if (size === this.shadowMapSize) return;
+        this.shadowMapSize = size;
+        const lights = [this.keyLight, this.estimatedLight ? this.estimatedLight.directionalLight : null];
+        for (const light of lights) {
+            if (!light) continue;
+            configureShadow(light, size);
+            // Reallocated at the new size on the next render
+            if (light.shadow.map) {
+                light.shadow.map.dispose();
+                light.shadow.map = null;
+            }
+        }
+    }
+
+    // The reflection map new stages should start with
+    get environment() {
+        return this.estimating && this.estimatedLight ? this.estimatedLight.environment : null;
+    }
+}
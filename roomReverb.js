@@ -0,0 +1,143 @@
+// Room reverb for the soundtracks: convolution with an impulse response, mixed in beside the dry
+// sound at each stage's own dry/wet balance.
+//
+// Each stage routes its audio into a ReverbSend, which splits it into a dry path straight to the
+// listener and a wet path into a ConvolverNode. Convolvers are shared: one per impulse response,
+// whichever stages use it. Impulse responses are either one of the bundled presets or an audio
+// file fetched from a URL.
+//
+// The presets are synthesised rather than shipped: stereo noise under an exponential decay,
+// low-passed harder as it decays (air and soft furnishings take the highs first), after a short
+// pre-delay for the first reflections to arrive. The noise is seeded, so a preset sounds the same
+// on every load.
+
+export const REVERB_PRESETS = {
+    'small-room': { duration: 0.6, decay: 4, preDelay: 0.004, damping: 0.55 },
+    'medium-room': { duration: 1.2, decay: 3, preDelay: 0.012, damping: 0.45 },
+    hall: { duration: 3.0, decay: 2.2, preDelay: 0.03, damping: 0.3 }
+};
+
+// Deterministic white noise in [-1, 1]
+function noise(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 0x80000000 - 1;
+    };
+}
+
+export function synthesizeImpulseResponse(context, { duration, decay, preDelay, damping }) {
+    const sampleRate = context.sampleRate;
+    const length = Math.ceil((preDelay + duration) * sampleRate);
+    const delaySamples = Math.floor(preDelay * sampleRate);
+    const buffer = context.createBuffer(2, length, sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = buffer.getChannelData(channel);
+        const random = noise(0x9e3779b9 + channel); // Each ear hears different noise, for width
+        let filtered = 0;
+        for (let i = delaySamples; i < length; i++) {
+            const t = (i - delaySamples) / (length - delaySamples);
+            // One-pole low-pass whose cutoff falls as the tail goes on
+            filtered += (1 - damping * t) * (random() - filtered);
+            data[i] = filtered * Math.pow(1 - t, decay);
+        }
+    }
+    return buffer;
+}
+
+export class RoomReverb {
+    constructor(listener) {
+        this.context = listener.context;
+        this.output = listener.getInput();
+        this.convolvers = new Map(); // Preset name or URL -> ConvolverNode
+    }
+
+    // A send for one stage's audio; connect the stage's output to send.input
+    createSend({ preset = null, url = null, mix = 0 } = {}) {
+        const send = new ReverbSend(this);
+        send.set({ preset, url, mix });
+        return send;
+    }
+
+    // The convolver for an impulse response. A fetched one is silent until its file has loaded.
+    getConvolver({ preset, url }) {
+        const key = preset || url;
+        let convolver = this.convolvers.get(key);
+        if (convolver) return convolver;
+
+        // Before anything is made, so a bad name doesn't leave a silent convolver cached under it
+        if (preset && !REVERB_PRESETS[preset]) {
+            throw new Error(`Unknown reverb preset '${preset}'. Presets: ${Object.keys(REVERB_PRESETS).join(', ')}`);
+        }
+
+        convolver = this.context.createConvolver();
+        convolver.connect(this.output);
+        this.convolvers.set(key, convolver);
+
+        if (preset) {
+            convolver.buffer = synthesizeImpulseResponse(this.context, REVERB_PRESETS[preset]);
+        } else {
+            this.loadImpulseResponse(url).then((buffer) => {
+                convolver.buffer = buffer;
+                console.log(`Impulse response ${url} loaded`);
+            }).catch((error) => {
+                console.warn(`Could not load impulse response ${url}:`, error);
+            });
+        }
+        return convolver;
+    }
+
+    async loadImpulseResponse(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return this.context.decodeAudioData(await response.arrayBuffer());
+    }
+}
+
+// One stage's split into dry and wet, at an equal-power balance so a change of mix doesn't
+// change the loudness
+export class ReverbSend {
+    constructor(reverb) {
+        this.reverb = reverb;
+        const context = reverb.context;
+        this.input = context.createGain();
+        this.dry = context.createGain();
+        this.wet = context.createGain();
+        this.input.connect(this.dry);
+        this.input.connect(this.wet);
+        this.dry.connect(reverb.output);
+        this.convolver = null;
+        this.preset = null;
+        this.url = null;
+        this.mix = 0;
+    }
+
+    // { preset, url, mix }: an impulse response (or neither, for no reverb) and how wet, 0..1
+    set({ preset = null, url = null, mix = this.mix }) {
+        const convolver = preset || url ? this.reverb.getConvolver({ preset, url }) : null;
+        if (convolver !== this.convolver) {
+            if (this.convolver) this.wet.disconnect(this.convolver);
+            if (convolver) this.wet.connect(convolver);
+            this.convolver = convolver;
+        }
+        this.preset = preset;
+        this.url = url;
+        this.setMix(mix);
+    }
+
+    setMix(mix) {
+        this.mix = Math.min(Math.max(mix, 0), 1);
+        const wet = this.convolver ? this.mix : 0;
+        this.dry.gain.value = Math.cos(wet * Math.PI / 2);
+        this.wet.gain.value = Math.sin(wet * Math.PI / 2);
+    }
+
+    dispose() {
+        this.input.disconnect();
+        this.dry.disconnect();
+        this.wet.disconnect();
+    }
+}
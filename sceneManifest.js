@@ -0,0 +1,508 @@
+import { REVERB_PRESETS } from './roomReverb.js';
+import { VISUAL_PRESETS } from './lightShow.js';
+import { MODEL_BUDGETS } from './modelValidation.js';
+import { CAPTURE_SETTINGS } from './capture.js';
+
+// Scene manifest: declares which performer, soundtrack and placard a build stages.
+// A manifest is plain JSON so each exhibit can ship its own without touching app.js.
+//
+// {
+//     "name": "Rigged Human",
+//     "model":   { "url": "riggedhuman1.glb", "scale": 0.075, "offset": [0, 0.025, 0],
+//                  "lod": "riggedhuman1-lod.glb" },
+//     "audio":   { "url": "soundtrack.mp4", "volume": 1, "loop": true,
+//                  "refDistance": 1, "rolloffFactor": 1, "distanceModel": "inverse", "maxDistance": 10000,
+//                  "cone": { "innerAngle": 120, "outerAngle": 300, "outerGain": 0.4 },
+//                  "reverb": { "preset": "small-room", "mix": 0.2 },
+//                  "sync": true, "bpm": 120, "beatOffset": 0.1 },
+//     "placard": { "url": "Placard.png", "height": 0.024, "position": [0, 0.04, 0.08], "flipX": true },
+//     "animation": { "clip": "Idle", "crossfade": 0.5,
+//                    "choreography": { "loop": true, "steps": [
+//                        { "clip": "Salsa", "duration": 8, "transition": 0.5 },
+//                        { "clip": "Spin", "loops": 2 } ] } }
+// }
+//
+// "model" is required. "audio" and "placard" may be omitted (or null) to stage without them.
+// "model.lod" names a lower-poly copy of the model with the same rig and meshes (see
+// tools/make-lod.mjs), which dancers switch to when the frame budget has them drop detail.
+// "audio.cone" makes the sound directional: full volume within "innerAngle" degrees of where the
+// dancer faces, falling to "outerGain" at "outerAngle" and beyond; without it the sound goes
+// equally all ways. "audio.reverb" adds the feel of a room: "preset" is one of the bundled
+// impulse responses (small-room, medium-room, hall), or "url" names an impulse response file;
+// "mix" is how wet, from 0 (dry) to 1 (reverb only).
+// "audio.sync" drives the dancer from the soundtrack's clock; "bpm"/"beatOffset" (seconds to the
+// first beat) put clips on the beat, and are estimated from the track when "bpm" is omitted.
+// Without "animation" the model's first clip plays on its own. Clip names are checked
+// against the model once it has loaded.
+//
+// "audio" may list a playlist in place of the single "url":
+//
+//     "audio": { "tracks": [
+//                    { "url": "opening.mp4", "title": "Opening", "clip": "Salsa" },
+//                    { "url": "finale.mp4", "bpm": 128, "choreography": { "steps": [ ... ] } } ],
+//                "shuffle": false, "transition": "crossfade", "crossfade": 2, ... }
+//
+// Tracks play in order (or shuffled) straight into one another, or overlapping by "crossfade"
+// seconds with "transition": "crossfade"; "loop" repeats the whole playlist. A track's "clip" or
+// "choreography" replaces the performer's animation while it plays. "bpm"/"beatOffset" may be
+// set per track, and at the top of "audio" for every track that doesn't set its own. "title"
+// defaults to the file name.
+//
+// A troupe lists one entry per performer instead, each with its own model/audio/placard/animation:
+//
+// { "name": "Troupe", "maxStages": 3,
+//   "performers": [ { "name": "Lead", "model": { ... }, "audio": { ... } }, { "model": { ... } } ] }
+//
+// Each stage placed in the room takes the next performer. "maxStages" caps how many can be
+// placed at once and defaults to the number of performers, up to the limit of 16.
+//
+// "manipulation": { "minScale": 0.5, "maxScale": 4 } bounds two-hand scaling of a placed stage.
+// "visuals": { "preset": "club", "maxIntensity": 1, "particles": true } sets the light show each
+// stage puts on for its soundtrack: "preset" is off, subtle, club or party; "maxIntensity" (0..1)
+// caps its brightness and movement for motion-sensitive viewers; "particles" bursts sparks on beats.
+// "budgets": { "triangles": 100000, "textureMegabytes": 64, "bones": 100 } is what each model is
+// checked against once loaded; one over budget still loads, with a warning.
+// "capture": { "countdown": 3, "maxDuration": 60 } times recordings: seconds of countdown before
+// one starts, and how long it runs before stopping itself.
+// Relative asset URLs are resolved against the manifest's own URL.
+
+export const DEFAULT_MANIFEST = {
+    name: 'Rigged Human',
+    model: {
+        url: 'riggedhuman1.glb',
+        lod: 'riggedhuman1-lod.glb',
+        scale: 0.075,
+        offset: [0, 0.025, 0] // Sit on top of the platform
+    },
+    audio: {
+        url: 'soundtrack.mp4',
+        volume: 1.0,
+        loop: true,
+        refDistance: 1,
+        rolloffFactor: 1, // Still audible across a room, rather than only at the table
+        maxDistance: 10000,
+        distanceModel: 'inverse',
+        cone: { innerAngle: 120, outerAngle: 300, outerGain: 0.4 },
+        reverb: { preset: 'small-room', mix: 0.2 },
+        sync: true // No bpm given, so the tempo is estimated from the track
+    },
+    placard: {
+        url: 'Placard.png',
+        height: 0.024,
+        position: [0, 0.04, 0.08], // In front of the platform, slightly elevated
+        flipX: true
+    }
+};
+
+const DISTANCE_MODELS = ['linear', 'inverse', 'exponential'];
+const TRACK_TRANSITIONS = ['gapless', 'crossfade'];
+const PERFORMER_KEYS = ['model', 'audio', 'placard', 'animation'];
+const MAX_STAGE_LIMIT = 16;
+
+export class ManifestError extends Error {
+    constructor(message, source) {
+        super(source ? `${message} (in ${source})` : message);
+        this.name = 'ManifestError';
+        this.source = source || null;
+    }
+}
+
+function fieldName(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readString(section, key, path, source) {
+    const value = section[key];
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new ManifestError(`"${fieldName(path, key)}" must be a non-empty string`, source);
+    }
+    return value;
+}
+
+function readNumber(section, key, path, source, { fallback, min = -Infinity, exclusiveMin = false, max = Infinity }) {
+    const value = section[key];
+    if (value === undefined) return fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ManifestError(`"${fieldName(path, key)}" must be a finite number, got ${JSON.stringify(value)}`, source);
+    }
+    if (exclusiveMin ? value <= min : value < min) {
+        throw new ManifestError(`"${fieldName(path, key)}" must be ${exclusiveMin ? 'greater than' : 'at least'} ${min}, got ${value}`, source);
+    }
+    if (value > max) {
+        throw new ManifestError(`"${fieldName(path, key)}" must be at most ${max}, got ${value}`, source);
+    }
+    return value;
+}
+
+function readBoolean(section, key, path, source, fallback) {
+    const value = section[key];
+    if (value === undefined) return fallback;
+    if (typeof value !== 'boolean') {
+        throw new ManifestError(`"${fieldName(path, key)}" must be true or false, got ${JSON.stringify(value)}`, source);
+    }
+    return value;
+}
+
+function readVector3(section, key, path, source, fallback) {
+    const value = section[key];
+    if (value === undefined) return fallback.slice();
+    if (!Array.isArray(value) || value.length !== 3 || !value.every((n) => typeof n === 'number' && Number.isFinite(n))) {
+        throw new ManifestError(`"${fieldName(path, key)}" must be an array of three numbers [x, y, z], got ${JSON.stringify(value)}`, source);
+    }
+    return value.slice();
+}
+
+function resolveUrl(url, baseUrl) {
+    if (!baseUrl) return url;
+    return new URL(url, baseUrl).href;
+}
+
+function readSection(manifest, key, source, required, prefix = '') {
+    const section = manifest[key];
+    if (section === undefined || section === null) {
+        if (required) {
+            throw new ManifestError(`"${prefix}${key}" section is required`, source);
+        }
+        return null;
+    }
+    if (!isPlainObject(section)) {
+        throw new ManifestError(`"${prefix}${key}" must be an object`, source);
+    }
+    return section;
+}
+
+function validateModel(section, source, baseUrl, prefix) {
+    return {
+        url: resolveUrl(readString(section, 'url', `${prefix}model`, source), baseUrl),
+        lod: section.lod === undefined ? null : resolveUrl(readString(section, 'lod', `${prefix}model`, source), baseUrl),
+        scale: readNumber(section, 'scale', `${prefix}model`, source, { fallback: 1, min: 0, exclusiveMin: true }),
+        offset: readVector3(section, 'offset', `${prefix}model`, source, [0, 0, 0])
+    };
+}
+
+function titleFromUrl(url) {
+    const file = url.split(/[?#]/)[0].split('/').pop();
+    return decodeURIComponent(file.replace(/\.[^.]*$/, '')) || url;
+}
+
+// One playlist entry. "defaults" carries the audio section's own bpm/beatOffset.
+function validateTrack(section, path, source, baseUrl, defaults) {
+    if (section.clip !== undefined && section.choreography !== undefined) {
+        throw new ManifestError(`"${path}" may declare "clip" or "choreography", not both`, source);
+    }
+
+    const url = resolveUrl(readString(section, 'url', path, source), baseUrl);
+    const title = section.title === undefined ? titleFromUrl(url) : readString(section, 'title', path, source);
+    const bpm = readNumber(section, 'bpm', path, source, { fallback: defaults.bpm, min: 20, max: 400 });
+    const beatOffset = readNumber(section, 'beatOffset', path, source, { fallback: defaults.beatOffset, min: 0 });
+    if (section.beatOffset !== undefined && bpm === null) {
+        throw new ManifestError(`"${path}.beatOffset" needs "${path}.bpm" to be set as well`, source);
+    }
+
+    let animation = null;
+    if (section.clip !== undefined) {
+        animation = { clip: readString(section, 'clip', path, source), choreography: null };
+    } else if (section.choreography !== undefined && section.choreography !== null) {
+        animation = { clip: null, choreography: validateChoreography(section.choreography, `${path}.choreography`, source) };
+    }
+
+    return { url, title, bpm, beatOffset, animation };
+}
+
+function validateCone(section, path, source) {
+    const cone = {
+        innerAngle: readNumber(section, 'innerAngle', path, source, { fallback: 360, min: 0, max: 360 }),
+        outerAngle: readNumber(section, 'outerAngle', path, source, { fallback: 360, min: 0, max: 360 }),
+        outerGain: readNumber(section, 'outerGain', path, source, { fallback: 0, min: 0, max: 1 })
+    };
+    if (cone.outerAngle < cone.innerAngle) {
+        throw new ManifestError(`"${path}.outerAngle" (${cone.outerAngle}) must not be smaller than "${path}.innerAngle" (${cone.innerAngle})`, source);
+    }
+    return cone;
+}
+
+function validateReverb(section, path, source, baseUrl) {
+    if (section.preset !== undefined && section.url !== undefined) {
+        throw new ManifestError(`"${path}" may declare "preset" or "url", not both`, source);
+    }
+    const presets = Object.keys(REVERB_PRESETS);
+    if (section.preset !== undefined && !presets.includes(section.preset)) {
+        throw new ManifestError(`"${path}.preset" must be one of ${presets.join(', ')}, got ${JSON.stringify(section.preset)}`, source);
+    }
+    if (section.preset === undefined && section.url === undefined) {
+        throw new ManifestError(`"${path}" needs a "preset" or a "url"`, source);
+    }
+
+    return {
+        preset: section.preset === undefined ? null : section.preset,
+        url: section.url === undefined ? null : resolveUrl(readString(section, 'url', path, source), baseUrl),
+        mix: readNumber(section, 'mix', path, source, { fallback: 0.25, min: 0, max: 1 })
+    };
+}
+
+function validateAudio(section, source, baseUrl, prefix) {
+    const distanceModel = section.distanceModel === undefined ? 'inverse' : section.distanceModel;
+    if (!DISTANCE_MODELS.includes(distanceModel)) {
+        throw new ManifestError(`"${prefix}audio.distanceModel" must be one of ${DISTANCE_MODELS.join(', ')}, got ${JSON.stringify(distanceModel)}`, source);
+    }
+    const transition = section.transition === undefined ? 'gapless' : section.transition;
+    if (!TRACK_TRANSITIONS.includes(transition)) {
+        throw new ManifestError(`"${prefix}audio.transition" must be one of ${TRACK_TRANSITIONS.join(', ')}, got ${JSON.stringify(transition)}`, source);
+    }
+
+    const bpm = readNumber(section, 'bpm', `${prefix}audio`, source, { fallback: null, min: 20, max: 400 });
+    const beatOffset = readNumber(section, 'beatOffset', `${prefix}audio`, source, { fallback: 0, min: 0 });
+    if (section.beatOffset !== undefined && bpm === null) {
+        throw new ManifestError(`"${prefix}audio.beatOffset" needs "${prefix}audio.bpm" to be set as well`, source);
+    }
+
+    let tracks;
+    if (section.tracks !== undefined) {
+        if (section.url !== undefined) {
+            throw new ManifestError(`"${prefix}audio" may declare "url" or "tracks", not both`, source);
+        }
+        if (!Array.isArray(section.tracks) || section.tracks.length === 0) {
+            throw new ManifestError(`"${prefix}audio.tracks" must be a non-empty array`, source);
+        }
+        tracks = section.tracks.map((track, index) => {
+            const path = `${prefix}audio.tracks[${index}]`;
+            if (!isPlainObject(track)) {
+                throw new ManifestError(`"${path}" must be an object`, source);
+            }
+            return validateTrack(track, path, source, baseUrl, { bpm, beatOffset });
+        });
+    } else {
+        const url = resolveUrl(readString(section, 'url', `${prefix}audio`, source), baseUrl);
+        tracks = [{ url, title: titleFromUrl(url), bpm, beatOffset, animation: null }];
+    }
+
+    const audio = {
+        tracks,
+        shuffle: readBoolean(section, 'shuffle', `${prefix}audio`, source, false),
+        transition,
+        crossfade: readNumber(section, 'crossfade', `${prefix}audio`, source, { fallback: 2, min: 0, exclusiveMin: true }),
+        volume: readNumber(section, 'volume', `${prefix}audio`, source, { fallback: 1.0, min: 0, max: 1 }),
+        loop: readBoolean(section, 'loop', `${prefix}audio`, source, true),
+        refDistance: readNumber(section, 'refDistance', `${prefix}audio`, source, { fallback: 1, min: 0, exclusiveMin: true }),
+        rolloffFactor: readNumber(section, 'rolloffFactor', `${prefix}audio`, source, { fallback: 1, min: 0 }),
+        maxDistance: readNumber(section, 'maxDistance', `${prefix}audio`, source, { fallback: 10000, min: 0, exclusiveMin: true }),
+        distanceModel,
+        cone: null,
+        reverb: null,
+        sync: readBoolean(section, 'sync', `${prefix}audio`, source, false)
+    };
+
+    const coneSection = readSection(section, 'cone', source, false, `${prefix}audio.`);
+    if (coneSection) {
+        audio.cone = validateCone(coneSection, `${prefix}audio.cone`, source);
+    }
+    const reverbSection = readSection(section, 'reverb', source, false, `${prefix}audio.`);
+    if (reverbSection) {
+        audio.reverb = validateReverb(reverbSection, `${prefix}audio.reverb`, source, baseUrl);
+    }
+
+    if (audio.maxDistance < audio.refDistance) {
+        throw new ManifestError(`"${prefix}audio.maxDistance" (${audio.maxDistance}) must not be smaller than "${prefix}audio.refDistance" (${audio.refDistance})`, source);
+    }
+    // The Web Audio linear model only accepts rolloff factors in [0, 1]
+    if (distanceModel === 'linear' && audio.rolloffFactor > 1) {
+        throw new ManifestError(`"${prefix}audio.rolloffFactor" must be at most 1 with the linear distance model, got ${audio.rolloffFactor}`, source);
+    }
+
+    return audio;
+}
+
+function validatePlacard(section, source, baseUrl, prefix) {
+    return {
+        url: resolveUrl(readString(section, 'url', `${prefix}placard`, source), baseUrl),
+        height: readNumber(section, 'height', `${prefix}placard`, source, { fallback: 0.024, min: 0, exclusiveMin: true }),
+        position: readVector3(section, 'position', `${prefix}placard`, source, [0, 0.04, 0.08]),
+        flipX: readBoolean(section, 'flipX', `${prefix}placard`, source, true)
+    };
+}
+
+function validateChoreographyStep(step, path, source) {
+    if (!isPlainObject(step)) {
+        throw new ManifestError(`"${path}" must be an object`, source);
+    }
+    if (step.duration !== undefined && step.loops !== undefined) {
+        throw new ManifestError(`"${path}" may declare "duration" or "loops", not both`, source);
+    }
+
+    const normalized = { clip: readString(step, 'clip', path, source) };
+    const duration = readNumber(step, 'duration', path, source, { fallback: undefined, min: 0, exclusiveMin: true });
+    const loops = readNumber(step, 'loops', path, source, { fallback: undefined, min: 1 });
+    const transition = readNumber(step, 'transition', path, source, { fallback: undefined, min: 0 });
+
+    if (loops !== undefined && !Number.isInteger(loops)) {
+        throw new ManifestError(`"${fieldName(path, 'loops')}" must be a whole number, got ${loops}`, source);
+    }
+    if (duration !== undefined) normalized.duration = duration;
+    if (loops !== undefined) normalized.loops = loops;
+    if (transition !== undefined) normalized.transition = transition;
+    return normalized;
+}
+
+function validateChoreography(choreography, path, source) {
+    if (!isPlainObject(choreography)) {
+        throw new ManifestError(`"${path}" must be an object`, source);
+    }
+    if (!Array.isArray(choreography.steps) || choreography.steps.length === 0) {
+        throw new ManifestError(`"${path}.steps" must be a non-empty array`, source);
+    }
+    return {
+        loop: readBoolean(choreography, 'loop', path, source, true),
+        steps: choreography.steps.map((step, index) => validateChoreographyStep(step, `${path}.steps[${index}]`, source))
+    };
+}
+
+function validateAnimation(section, source, prefix) {
+    const animation = {
+        clip: section.clip === undefined ? null : readString(section, 'clip', `${prefix}animation`, source),
+        crossfade: readNumber(section, 'crossfade', `${prefix}animation`, source, { fallback: 0.5, min: 0 }),
+        choreography: null
+    };
+
+    const choreography = section.choreography;
+    if (choreography !== undefined && choreography !== null) {
+        animation.choreography = validateChoreography(choreography, `${prefix}animation.choreography`, source);
+    }
+
+    return animation;
+}
+
+function validatePerformer(section, source, baseUrl, prefix, fallbackName) {
+    const name = section.name === undefined ? fallbackName : section.name;
+    if (typeof name !== 'string') {
+        throw new ManifestError(`"${prefix}name" must be a string`, source);
+    }
+
+    const modelSection = readSection(section, 'model', source, true, prefix);
+    const audioSection = readSection(section, 'audio', source, false, prefix);
+    const placardSection = readSection(section, 'placard', source, false, prefix);
+    const animationSection = readSection(section, 'animation', source, false, prefix);
+
+    return {
+        name,
+        model: validateModel(modelSection, source, baseUrl, prefix),
+        audio: audioSection ? validateAudio(audioSection, source, baseUrl, prefix) : null,
+        placard: placardSection ? validatePlacard(placardSection, source, baseUrl, prefix) : null,
+        animation: animationSection ? validateAnimation(animationSection, source, prefix) : null
+    };
+}
+
+// Validate a raw manifest object and return a normalized copy with defaults filled in.
+// Throws a ManifestError describing the first invalid entry.
+export function validateManifest(raw, { source = null, baseUrl = null } = {}) {
+    if (!isPlainObject(raw)) {
+        throw new ManifestError('Scene manifest must be a JSON object', source);
+    }
+
+    const name = raw.name === undefined ? 'Untitled scene' : raw.name;
+    if (typeof name !== 'string') {
+        throw new ManifestError('"name" must be a string', source);
+    }
+
+    let performers;
+    if (raw.performers !== undefined) {
+        if (PERFORMER_KEYS.some((key) => raw[key] !== undefined)) {
+            throw new ManifestError('Declare either "performers" or a single top-level "model", not both', source);
+        }
+        if (!Array.isArray(raw.performers) || raw.performers.length === 0) {
+            throw new ManifestError('"performers" must be a non-empty array', source);
+        }
+        performers = raw.performers.map((performer, index) => {
+            if (!isPlainObject(performer)) {
+                throw new ManifestError(`"performers[${index}]" must be an object`, source);
+            }
+            return validatePerformer(performer, source, baseUrl, `performers[${index}].`, `${name} #${index + 1}`);
+        });
+    } else {
+        performers = [validatePerformer(raw, source, baseUrl, '', name)];
+    }
+
+    // Without a value, a long troupe still gets no more stages than a value may ask for
+    const maxStages = readNumber(raw, 'maxStages', '', source, {
+        fallback: Math.min(performers.length, MAX_STAGE_LIMIT), min: 1, max: MAX_STAGE_LIMIT
+    });
+    if (!Number.isInteger(maxStages)) {
+        throw new ManifestError(`"maxStages" must be a whole number, got ${maxStages}`, source);
+    }
+
+    const manipulationSection = readSection(raw, 'manipulation', source, false) || {};
+    const manipulation = {
+        minScale: readNumber(manipulationSection, 'minScale', 'manipulation', source, { fallback: 0.5, min: 0, exclusiveMin: true }),
+        maxScale: readNumber(manipulationSection, 'maxScale', 'manipulation', source, { fallback: 4, min: 0, exclusiveMin: true })
+    };
+    if (manipulation.minScale > 1 || manipulation.maxScale < 1) {
+        throw new ManifestError('"manipulation" scale limits must include 1 (the placed size)', source);
+    }
+
+    const visualsSection = readSection(raw, 'visuals', source, false) || {};
+    const visualPresets = Object.keys(VISUAL_PRESETS);
+    const visuals = {
+        preset: visualsSection.preset === undefined ? 'club' : visualsSection.preset,
+        maxIntensity: readNumber(visualsSection, 'maxIntensity', 'visuals', source, { fallback: 1, min: 0, max: 1 }),
+        particles: readBoolean(visualsSection, 'particles', 'visuals', source, true)
+    };
+    if (!visualPresets.includes(visuals.preset)) {
+        throw new ManifestError(`"visuals.preset" must be one of ${visualPresets.join(', ')}, got ${JSON.stringify(visuals.preset)}`, source);
+    }
+
+    const budgetsSection = readSection(raw, 'budgets', source, false) || {};
+    const budgets = {};
+    for (const key of Object.keys(MODEL_BUDGETS)) {
+        budgets[key] = readNumber(budgetsSection, key, 'budgets', source, { fallback: MODEL_BUDGETS[key], min: 0, exclusiveMin: true });
+    }
+
+    const captureSection = readSection(raw, 'capture', source, false) || {};
+    const capture = {
+        countdown: readNumber(captureSection, 'countdown', 'capture', source, { fallback: CAPTURE_SETTINGS.countdown, min: 0 }),
+        maxDuration: readNumber(captureSection, 'maxDuration', 'capture', source, { fallback: CAPTURE_SETTINGS.maxDuration, min: 0, exclusiveMin: true })
+    };
+
+    return { name, performers, maxStages, manipulation, visuals, budgets, capture };
+}
+
+// Fetch and validate a manifest from a URL.
+export async function loadSceneManifest(url) {
+    const manifestUrl = new URL(url, window.location.href).href;
+
+    let response;
+    try {
+        response = await fetch(manifestUrl);
+    } catch (error) {
+        throw new ManifestError(`Could not fetch scene manifest: ${error.message}`, url);
+    }
+    if (!response.ok) {
+        throw new ManifestError(`Could not fetch scene manifest: HTTP ${response.status}`, url);
+    }
+
+    let raw;
+    try {
+        raw = await response.json();
+    } catch (error) {
+        throw new ManifestError(`Scene manifest is not valid JSON: ${error.message}`, url);
+    }
+
+    return validateManifest(raw, { source: url, baseUrl: manifestUrl });
+}
+
+// Pick the manifest for this page: constructor option first, then ?scene=<url>, then the built-in default.
+export async function resolveSceneManifest(options = {}) {
+    if (options.manifest) {
+        return validateManifest(options.manifest, { source: 'constructor option' });
+    }
+
+    const sceneParam = new URLSearchParams(window.location.search).get('scene');
+    const manifestUrl = options.manifestUrl || sceneParam;
+    if (manifestUrl) {
+        return loadSceneManifest(manifestUrl);
+    }
+
+    return validateManifest(DEFAULT_MANIFEST, { source: 'built-in default' });
+}
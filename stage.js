@@ -0,0 +1,810 @@
+import * as THREE from 'three';
+import { clone as cloneSkinned } from 'three/addons/utils/SkeletonUtils.js';
+import { ChoreographyController } from './choreography.js';
+import { AudioController } from './audioController.js';
+import { AudioAnalysis } from './audioAnalysis.js';
+import { LightShow } from './lightShow.js';
+
+// Radius (m) of the platform's base, at scale 1; the footprint a surface has to have room for
+export const PLATFORM_RADIUS = 0.09;
+
+const RING_COLOR = 0x3498db;
+const RING_SELECTED_COLOR = 0xf1c40f;
+const RING_INTENSITY = 0.2;
+const RING_SELECTED_INTENSITY = 0.8;
+// Edge ring colours while the stage is being manipulated
+const RING_MANIPULATION_COLORS = {
+    grab: 0x2ecc71,
+    rotate: 0xe67e22,
+    scale: 0x9b59b6
+};
+const AUDIO_EMITTER_HEIGHT = 0.1; // Where on the platform the sound comes from: about the dancer's chest
+const FALLBACK_CONE = { innerAngle: 120, outerAngle: 300, outerGain: 0.4 }; // For a cone turned on at runtime
+const SHADOW_CATCHER_SIZE = 0.6; // Metres of real surface around the platform that can take shadows
+const CONTACT_SHADOW_SIZE = 0.26;
+
+// Soft dark blob for under the platform; one texture shared by every stage
+let contactShadowTexture = null;
+
+function getContactShadowTexture() {
+    if (!contactShadowTexture) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 64;
+        const context = canvas.getContext('2d');
+        const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+        gradient.addColorStop(0.55, 'rgba(0, 0, 0, 0.6)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, 64, 64);
+        contactShadowTexture = new THREE.CanvasTexture(canvas);
+    }
+    return contactShadowTexture;
+}
+
+// Rotation of an object relative to one of its ancestors
+function quaternionWithin(object, ancestor, target) {
+    target.identity();
+    for (let node = object; node && node !== ancestor; node = node.parent) {
+        target.premultiply(node.quaternion);
+    }
+    return target;
+}
+
+// One placed performance: a platform with its own dancer, animation state,
+// positional audio and placard. The app keeps a collection of these.
+export class Stage {
+    constructor({ id, performerIndex, assets, audioListener, reverb = null, visuals = null }) {
+        this.id = id;
+        this.performerIndex = performerIndex;
+        this.performer = assets.performer;
+        this.platform = null;
+        this.edgeRing = null;
+        this.metalMaterials = []; // Platform materials that reflect the room when it's estimated
+        this.ground = null; // Shadow catcher and contact shadow, lying on the real surface
+        this.dancer = null;
+        this.mixer = null;
+        this.choreography = null;
+        this.soundtrack = null; // AudioController over the platform's PositionalAudio decks
+        this.audioLoaded = false;
+        this.audioEmitter = null; // Carries the decks, turned to where the dancer faces
+        this.spatial = null; // Distance model and cone in force: the manifest's, or set at runtime
+        this.reverbSend = null;
+        this.analysis = null; // AudioAnalysis of the soundtrack, for the light show
+        this.lightShow = null;
+        this.detail = 0; // Level of detail, see setDetail()
+        this.lodMeshes = []; // { mesh, full, reduced } geometries of the dancer's meshes, if its model has a LOD
+        this.skippedMixerDelta = 0; // Dance time the mixer hasn't been updated with, at detail 2
+        this.frameCount = 0;
+        this.facingBone = null; // Root bone whose swing turns the sound cone with the dance
+        this.facingRest = new THREE.Quaternion(); // Inverse of its rest rotation within the dancer
+        this.facingQuaternion = new THREE.Quaternion();
+        this.boneQuaternion = new THREE.Quaternion();
+        this.facingDirection = new THREE.Vector3();
+        this.placardDirection = new THREE.Vector3(); // Scratch for turning the placard to the camera
+        this.lastAudioTime = null; // Soundtrack position at the previous frame, for sync mode
+        this.placard = null;
+        this.placardFadeStartTime = null;
+        this.anchor = null; // XRAnchor the platform follows once placed
+        this.anchorUuid = null; // Persistent handle of that anchor, where the runtime supports it
+        this.anchorTurn = null; // The platform's rotation relative to the anchor's, once known
+        this.placementVersion = 0; // Bumped on every move, so stale async anchor work can be dropped
+        this.provisional = false; // Auto-placed in front of the user, not yet placed by them
+        this.selected = false;
+        this.manipulationMode = null; // 'grab', 'rotate' or 'scale' while held
+        this.paused = false;
+        this.speed = 1; // Dance speed; sets the soundtrack's rate too when the dance is synced to it
+        this.volume = assets.performer.audio ? assets.performer.audio.volume : 1;
+        this.muted = false;
+
+        this.createPlatform();
+        // Before the dancer, whose first dance is the first track's
+        this.setupSpatialAudio(audioListener, reverb, assets.tracks.filter((track) => track.buffer));
+        this.setupLightShow(visuals);
+        this.createDancer(assets);
+        this.setupAudioFacing();
+        this.createGroundShadows();
+        this.createPlacard(assets.placardTexture);
+    }
+
+    createPlatform() {
+        const group = new THREE.Group();
+
+        // Main platform cylinder (half size)
+        const platformGeometry = new THREE.CylinderGeometry(0.075, PLATFORM_RADIUS, 0.025, 32);
+        const platformMaterial = new THREE.MeshStandardMaterial({
+            color: 0x2c3e50,
+            metalness: 0.6,
+            roughness: 0.4
+        });
+        const platformMesh = new THREE.Mesh(platformGeometry, platformMaterial);
+        platformMesh.castShadow = true;
+        platformMesh.receiveShadow = true;
+        group.add(platformMesh);
+
+        // Top surface with different color (half size)
+        const topGeometry = new THREE.CylinderGeometry(0.075, 0.075, 0.005, 32);
+        const topMaterial = new THREE.MeshStandardMaterial({
+            color: 0x34495e,
+            metalness: 0.7,
+            roughness: 0.3
+        });
+        const topMesh = new THREE.Mesh(topGeometry, topMaterial);
+        topMesh.position.y = 0.015;
+        group.add(topMesh);
+
+        // Edge ring decoration (half size)
+        const ringGeometry = new THREE.TorusGeometry(0.075, 0.005, 16, 32);
+        const ringMaterial = new THREE.MeshStandardMaterial({
+            color: RING_COLOR,
+            metalness: 0.8,
+            roughness: 0.2,
+            emissive: RING_COLOR,
+            emissiveIntensity: RING_INTENSITY
+        });
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.rotation.x = Math.PI / 2;
+        ring.position.y = 0.0175;
+        group.add(ring);
+
+        // Lets a raycast hit on any child resolve back to its stage
+        group.userData.stage = this;
+        group.visible = false;
+        this.platform = group;
+        this.edgeRing = ring;
+        this.metalMaterials = [platformMaterial, topMaterial, ringMaterial];
+    }
+
+    createDancer(assets) {
+        const modelConfig = this.performer.model;
+        const gltf = assets.gltf;
+
+        if (!gltf) {
+            // Create a simple placeholder if model failed to load
+            console.warn(`Stage ${this.id}: ${modelConfig.url} did not load, showing a placeholder dancer`, assets.modelError);
+            this.createPlaceholderDancer();
+            return;
+        }
+
+        // SkeletonUtils keeps each clone's skinned meshes bound to its own bones
+        this.dancer = cloneSkinned(gltf.scene);
+
+        // Scale and offset the dancer to fit on the platform
+        this.dancer.scale.setScalar(modelConfig.scale);
+        this.dancer.position.fromArray(modelConfig.offset);
+
+        // Setup animations if available
+        if (gltf.animations && gltf.animations.length > 0) {
+            this.mixer = new THREE.AnimationMixer(this.dancer);
+            this.setupChoreography(gltf.animations);
+        } else {
+            // Add a simple rotation animation if no animations exist
+            this.dancer.userData.rotate = true;
+        }
+
+        this.platform.add(this.dancer);
+
+        // The clone's meshes traverse in the source model's order, which the LOD model's match
+        if (assets.lodGeometries) {
+            let index = 0;
+            this.dancer.traverse((object) => {
+                if (!object.isMesh) return;
+                this.lodMeshes.push({ mesh: object, full: object.geometry, reduced: assets.lodGeometries[index] });
+                index++;
+            });
+        }
+    }
+
+    setupChoreography(clips) {
+        const animationConfig = this.performer.animation || { clip: null, crossfade: 0.5, choreography: null };
+        this.choreography = new ChoreographyController(this.mixer, clips, {
+            crossfade: animationConfig.crossfade
+        });
+        this.choreography.onClipChange = (clipName) => {
+            console.log(`Stage ${this.id} now performing:`, clipName);
+        };
+
+        this.performTrackAnimation({ transition: 0 });
+    }
+
+    // Dance what the current track asks for (its own clip or choreography, else the performer's
+    // animation) on that track's beat grid
+    performTrackAnimation({ transition } = {}) {
+        const track = this.soundtrack ? this.soundtrack.track : null;
+        const animationConfig = (track && track.config.animation) || this.performer.animation ||
+            { clip: null, choreography: null };
+        const firstClip = this.choreography.clipNames[0];
+
+        this.choreography.setBeatClock(track ? track.beatClock : null);
+        try {
+            if (animationConfig.choreography) {
+                this.choreography.setSequence(animationConfig.choreography.steps, {
+                    loop: animationConfig.choreography.loop
+                });
+                this.choreography.start();
+            } else {
+                this.choreography.clearSequence();
+                this.choreography.play(animationConfig.clip || firstClip, { transition });
+            }
+        } catch (error) {
+            // A clip name in the manifest doesn't exist in this model - keep dancing with the first clip
+            console.error('Invalid animation setup in scene manifest:', error);
+            document.getElementById('status').textContent = error.message;
+            this.choreography.clearSequence();
+            this.choreography.play(firstClip, { transition: 0 });
+        }
+    }
+
+    createPlaceholderDancer() {
+        // Create a simple humanoid shape as fallback
+        const group = new THREE.Group();
+
+        // Body
+        const bodyGeom = new THREE.CapsuleGeometry(0.03, 0.08, 8, 16);
+        const bodyMat = new THREE.MeshStandardMaterial({ color: 0xff6b6b });
+        const body = new THREE.Mesh(bodyGeom, bodyMat);
+        body.position.y = 0.08;
+        group.add(body);
+
+        // Head
+        const headGeom = new THREE.SphereGeometry(0.025, 16, 16);
+        const head = new THREE.Mesh(headGeom, bodyMat);
+        head.position.y = 0.15;
+        group.add(head);
+
+        // Arms
+        const armGeom = new THREE.CapsuleGeometry(0.01, 0.05, 8, 16);
+        const leftArm = new THREE.Mesh(armGeom, bodyMat);
+        leftArm.position.set(-0.04, 0.1, 0);
+        leftArm.rotation.z = Math.PI / 4;
+        group.add(leftArm);
+
+        const rightArm = new THREE.Mesh(armGeom, bodyMat);
+        rightArm.position.set(0.04, 0.1, 0);
+        rightArm.rotation.z = -Math.PI / 4;
+        group.add(rightArm);
+
+        group.scale.set(0.075, 0.075, 0.075);
+        group.position.y = 0.025;
+        group.userData.rotate = true;
+
+        this.dancer = group;
+        this.platform.add(this.dancer);
+    }
+
+    // Over passthrough there is no virtual floor, so the real surface gets two stand-ins: an
+    // invisible plane that only shows the shadows cast onto it, and a soft contact shadow that
+    // grounds the platform even where the light casts nothing
+    createGroundShadows() {
+        this.ground = new THREE.Group();
+
+        const catcher = new THREE.Mesh(
+            new THREE.PlaneGeometry(SHADOW_CATCHER_SIZE, SHADOW_CATCHER_SIZE),
+            new THREE.ShadowMaterial({ opacity: 0.35 })
+        );
+        catcher.rotation.x = -Math.PI / 2;
+        catcher.receiveShadow = true;
+        this.ground.add(catcher);
+
+        const contact = new THREE.Mesh(
+            new THREE.PlaneGeometry(CONTACT_SHADOW_SIZE, CONTACT_SHADOW_SIZE),
+            new THREE.MeshBasicMaterial({
+                map: getContactShadowTexture(),
+                color: 0x000000,
+                transparent: true,
+                opacity: 0.5,
+                depthWrite: false
+            })
+        );
+        contact.rotation.x = -Math.PI / 2;
+        contact.position.y = 0.001; // Above the catcher, to keep the two from z-fighting
+        this.ground.add(contact);
+
+        // The platform is centred on the surface point, so the surface is at its local y = 0
+        this.ground.position.y = 0.001;
+        this.platform.add(this.ground);
+
+        // Pointing at the shadows beside the platform shouldn't count as pointing at the stage
+        for (const mesh of this.ground.children) {
+            mesh.raycast = () => {};
+        }
+
+        this.dancer.traverse((object) => {
+            if (object.isMesh) object.castShadow = true;
+        });
+    }
+
+    // Tilt the ground shadows to match the hit-tested surface (a quaternion whose Y axis is the
+    // surface normal), relative to however the platform itself is turned
+    alignToSurface(surfaceOrientation) {
+        this.ground.quaternion.copy(this.platform.quaternion).invert().multiply(surfaceOrientation);
+    }
+
+    // tracks: the performer's loaded tracks, { config, buffer, beatClock } each
+    // reverb: the app's RoomReverb, or null to play dry into the listener
+    setupSpatialAudio(audioListener, reverb, tracks) {
+        const audioConfig = this.performer.audio;
+        if (!audioConfig || tracks.length === 0) return;
+
+        // The sound leaves from the dancer's chest, on the platform so it moves with it
+        this.audioEmitter = new THREE.Object3D();
+        this.audioEmitter.position.y = AUDIO_EMITTER_HEIGHT;
+        this.platform.add(this.audioEmitter);
+
+        // Positional audio for the soundtrack; a second deck to hand over to when there is more
+        // than one track
+        const decks = [];
+        for (let i = 0; i < Math.min(tracks.length, 2); i++) {
+            const deck = new THREE.PositionalAudio(audioListener);
+            this.audioEmitter.add(deck);
+            decks.push(deck);
+        }
+
+        if (reverb) {
+            // Into the stage's dry/wet split instead of straight to the listener
+            this.reverbSend = reverb.createSend(audioConfig.reverb || {});
+            for (const deck of decks) {
+                deck.gain.disconnect();
+                deck.gain.connect(this.reverbSend.input);
+            }
+        }
+
+        this.soundtrack = new AudioController(decks, {
+            tracks,
+            volume: this.volume,
+            loop: audioConfig.loop,
+            shuffle: audioConfig.shuffle,
+            transition: audioConfig.transition,
+            crossfade: audioConfig.crossfade
+        });
+        this.soundtrack.addEventListener('trackchange', () => this.onTrackChange());
+        this.audioLoaded = true;
+
+        this.spatial = {
+            distanceModel: audioConfig.distanceModel,
+            refDistance: audioConfig.refDistance,
+            maxDistance: audioConfig.maxDistance,
+            rolloffFactor: audioConfig.rolloffFactor,
+            cone: audioConfig.cone
+        };
+        this.setSpatialModel({});
+        this.setCone(audioConfig.cone);
+    }
+
+    // visuals: the app's light show settings, shared by every stage; see LightShow
+    setupLightShow(visuals) {
+        if (!this.soundtrack || !visuals) return;
+        this.analysis = new AudioAnalysis(this.soundtrack.context);
+        for (const deck of this.soundtrack.decks) {
+            deck.setFilter(this.analysis.createTap());
+        }
+        this.lightShow = new LightShow(this.analysis, visuals);
+        this.platform.add(this.lightShow.group);
+    }
+
+    // The cone follows the dancer's root bone, so a dance that turns the body turns the sound
+    setupAudioFacing() {
+        if (!this.audioEmitter) return;
+        this.facingBone = this.dancer.getObjectByProperty('isBone', true) || null;
+        if (this.facingBone) {
+            // Called before the mixer first runs, so the bones are still at rest
+            quaternionWithin(this.facingBone, this.dancer, this.facingRest).invert();
+        }
+    }
+
+    // Change how the sound falls off with distance; any of
+    // { distanceModel, refDistance, maxDistance, rolloffFactor }, the rest kept
+    setSpatialModel(model) {
+        if (!this.soundtrack) return;
+        Object.assign(this.spatial, model);
+        for (const deck of this.soundtrack.decks) {
+            deck.setDistanceModel(this.spatial.distanceModel);
+            deck.setRefDistance(this.spatial.refDistance); // Distance at which volume is at max
+            deck.setMaxDistance(this.spatial.maxDistance);
+            deck.setRolloffFactor(this.spatial.rolloffFactor); // How quickly sound fades with distance
+        }
+    }
+
+    // { innerAngle, outerAngle, outerGain } in degrees and gain, or null to sound all ways
+    setCone(cone) {
+        if (!this.soundtrack) return;
+        this.spatial.cone = cone;
+        for (const deck of this.soundtrack.decks) {
+            if (cone) {
+                deck.setDirectionalCone(cone.innerAngle, cone.outerAngle, cone.outerGain);
+            } else {
+                deck.setDirectionalCone(360, 360, 1);
+            }
+        }
+    }
+
+    setConeEnabled(enabled) {
+        this.setCone(enabled ? this.performer.audio.cone || FALLBACK_CONE : null);
+    }
+
+    get coneEnabled() {
+        return Boolean(this.spatial && this.spatial.cone);
+    }
+
+    // { preset, url, mix }: which impulse response (neither for none) and how wet, 0..1
+    setReverb(reverb) {
+        if (this.reverbSend) this.reverbSend.set(reverb);
+    }
+
+    get reverb() {
+        const send = this.reverbSend;
+        return send ? { preset: send.preset, url: send.url, mix: send.mix } : null;
+    }
+
+    // Turn the emitter, and so the sound cone, to where the dancer faces on the platform: the
+    // dancer's own turn plus however far the dance has swung its root bone round from rest.
+    // Only the heading counts; a cone tipped by a bow or a flip would just sound odd.
+    updateAudioFacing() {
+        const facing = this.facingQuaternion.copy(this.dancer.quaternion);
+        if (this.facingBone) {
+            facing.multiply(quaternionWithin(this.facingBone, this.dancer, this.boneQuaternion)).multiply(this.facingRest);
+        }
+        this.facingDirection.set(0, 0, 1).applyQuaternion(facing);
+        this.audioEmitter.rotation.y = Math.atan2(this.facingDirection.x, this.facingDirection.z);
+    }
+
+    onTrackChange() {
+        console.log(`Stage ${this.id} now playing track:`, this.trackTitle);
+        // A synced dance starts over with the new track's clock on the next frame
+        this.lastAudioTime = null;
+        if (this.choreography) {
+            this.performTrackAnimation();
+        }
+    }
+
+    get trackTitle() {
+        return this.soundtrack ? this.soundtrack.track.config.title : null;
+    }
+
+    createPlacard(texture) {
+        const placardConfig = this.performer.placard;
+        if (!placardConfig || !texture) return;
+
+        // Create a plane geometry sized based on the texture aspect ratio
+        const aspectRatio = texture.image.width / texture.image.height;
+        const placardHeight = placardConfig.height;
+        const placardWidth = placardHeight * aspectRatio;
+
+        const geometry = new THREE.PlaneGeometry(placardWidth, placardHeight);
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            opacity: 0, // Start invisible for fade-in
+            side: THREE.DoubleSide
+        });
+
+        this.placard = new THREE.Mesh(geometry, material);
+
+        // Position relative to the platform as declared by the manifest
+        // Don't set rotation here - it will be calculated dynamically to face camera
+        this.placard.position.fromArray(placardConfig.position);
+        this.placard.visible = false; // Hidden until pointed at
+        this.platform.add(this.placard);
+    }
+
+    // Show the platform at a position in the reference space
+    placeAt(position) {
+        this.platform.position.copy(position);
+        this.platform.visible = true;
+        this.placementVersion++;
+    }
+
+    toPlacement() {
+        return {
+            position: this.platform.position.toArray(),
+            quaternion: this.platform.quaternion.toArray(),
+            scale: this.platform.scale.x,
+            anchorUuid: this.anchorUuid,
+            anchorTurn: this.anchorTurn ? this.anchorTurn.toArray() : null,
+            performerIndex: this.performerIndex
+        };
+    }
+
+    setSelected(selected) {
+        this.selected = selected;
+        this.updateEdgeRing();
+    }
+
+    setManipulationFeedback(mode) {
+        if (mode === this.manipulationMode) return;
+        this.manipulationMode = mode;
+        this.updateEdgeRing();
+    }
+
+    // Reflect an estimated room cube map in the platform's metal, or stop reflecting (null)
+    setEnvironmentMap(texture) {
+        for (const material of this.metalMaterials) {
+            material.envMap = texture;
+            material.needsUpdate = true;
+        }
+    }
+
+    // Level of detail, for the frame budget: 0 is full; at 1 the dancer casts no shadow and
+    // switches to its model's lower-poly LOD, if it has one; at 2 its skeleton is also posed
+    // every other frame
+    setDetail(level) {
+        if (level === this.detail) return;
+        this.detail = level;
+        this.dancer.traverse((object) => {
+            if (object.isMesh) object.castShadow = level === 0;
+        });
+        for (const { mesh, full, reduced } of this.lodMeshes) {
+            mesh.geometry = level === 0 ? full : reduced;
+        }
+    }
+
+    updateEdgeRing() {
+        const material = this.edgeRing.material;
+        if (this.manipulationMode) {
+            material.emissive.setHex(RING_MANIPULATION_COLORS[this.manipulationMode]);
+            material.emissiveIntensity = 1.0;
+        } else {
+            material.emissive.setHex(this.selected ? RING_SELECTED_COLOR : RING_COLOR);
+            material.emissiveIntensity = this.selected ? RING_SELECTED_INTENSITY : RING_INTENSITY;
+        }
+    }
+
+    // Start the soundtrack, or carry on with it. Holds (a paused stage, a hidden tab) still keep
+    // it quiet; it starts once they are all released.
+    playAudio() {
+        if (this.soundtrack && !this.soundtrack.wanted) {
+            this.soundtrack.play();
+            console.log(`Stage ${this.id} audio started playing`);
+        }
+    }
+
+    stopAudio() {
+        if (this.soundtrack) {
+            this.soundtrack.stop();
+        }
+        this.lastAudioTime = null;
+    }
+
+    // Keep the soundtrack quiet for a reason of the caller's until releaseAudio with the same one
+    holdAudio(reason) {
+        if (this.soundtrack) this.soundtrack.hold(reason);
+    }
+
+    releaseAudio(reason) {
+        if (this.soundtrack) this.soundtrack.release(reason);
+    }
+
+    // Previous (-1) or next (1) track of the playlist; false if there is none that way
+    skipTrack(direction) {
+        return this.soundtrack ? this.soundtrack.skip(direction) : false;
+    }
+
+    setShuffle(shuffle) {
+        if (this.soundtrack) this.soundtrack.setShuffle(shuffle);
+    }
+
+    get shuffle() {
+        return this.soundtrack ? this.soundtrack.playlist.shuffle : false;
+    }
+
+    // Seconds into the current track
+    get audioTime() {
+        return this.soundtrack ? this.soundtrack.currentTime : 0;
+    }
+
+    // Jump the soundtrack to a time in seconds; a synced dance follows it there
+    seekAudio(seconds) {
+        if (this.soundtrack) this.soundtrack.seek(seconds);
+    }
+
+    // Freeze the dancer and pause (not stop) the soundtrack, so both carry on where they left off
+    setPaused(paused) {
+        if (paused === this.paused) return;
+        this.paused = paused;
+        if (paused) {
+            this.holdAudio('paused');
+        } else {
+            this.releaseAudio('paused');
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        const audioConfig = this.performer.audio;
+        if (!this.audioLoaded || !audioConfig.sync) return;
+
+        // A synced dance follows the soundtrack, so the soundtrack sets the pace
+        this.soundtrack.setPlaybackRate(speed);
+    }
+
+    setVolume(volume) {
+        this.volume = THREE.MathUtils.clamp(volume, 0, 1);
+        this.applyVolume();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolume();
+    }
+
+    applyVolume() {
+        if (this.soundtrack) {
+            this.soundtrack.setVolume(this.muted ? 0 : this.volume);
+        }
+    }
+
+    showPlacard() {
+        if (this.placard && !this.placard.visible) {
+            this.placard.visible = true;
+            this.placardFadeStartTime = performance.now();
+        }
+    }
+
+    hidePlacard() {
+        if (this.placard && this.placard.visible) {
+            this.placard.visible = false;
+            this.placard.material.opacity = 0;
+            this.placardFadeStartTime = null;
+        }
+    }
+
+    // Seconds to advance the dancer this frame. In sync mode this follows the soundtrack's
+    // playback position so animation and music share one clock; otherwise the wall clock, at the
+    // dance speed.
+    getDanceDelta(clockDelta) {
+        const audioConfig = this.performer.audio;
+        if (audioConfig && audioConfig.sync && this.soundtrack && this.soundtrack.started &&
+            !this.soundtrack.isPlaying) {
+            // The soundtrack is held part way through; the dance waits for it
+            return 0;
+        }
+        if (!audioConfig || !audioConfig.sync || !this.soundtrack || !this.soundtrack.isPlaying) {
+            this.lastAudioTime = null;
+            return clockDelta * this.speed;
+        }
+
+        const audioTime = this.soundtrack.currentTime;
+        if (this.lastAudioTime === null || audioTime < this.lastAudioTime - 0.5) {
+            // Track just started or looped back to the top - start the dance over with it
+            this.restartDanceWithAudio(audioTime);
+            return 0;
+        }
+
+        const delta = Math.max(0, audioTime - this.lastAudioTime);
+        this.lastAudioTime = audioTime;
+        return delta;
+    }
+
+    restartDanceWithAudio(audioTime) {
+        this.lastAudioTime = audioTime;
+        if (this.choreography) {
+            this.choreography.syncTime(audioTime);
+            this.choreography.restart();
+        }
+    }
+
+    update(delta, camera) {
+        if (this.soundtrack) {
+            this.soundtrack.update();
+        }
+
+        // Paused, the soundtrack clock is left alone so a synced dance picks up where it stopped
+        const danceDelta = this.paused ? 0 : this.getDanceDelta(delta);
+
+        // Update animation mixer and advance the choreography timeline
+        this.frameCount++;
+        if (this.mixer) {
+            if (this.detail >= 2 && this.frameCount % 2 === 1) {
+                this.skippedMixerDelta += danceDelta;
+            } else {
+                this.mixer.update(this.skippedMixerDelta + danceDelta);
+                this.skippedMixerDelta = 0;
+            }
+        }
+        if (this.choreography) {
+            this.choreography.update(danceDelta);
+            if (this.lastAudioTime !== null) {
+                // Keep the timeline locked to the soundtrack rather than accumulated deltas
+                this.choreography.syncTime(this.lastAudioTime);
+            }
+        }
+
+        // Simple rotation animation for models without animations
+        if (this.dancer && this.dancer.userData.rotate && this.platform.visible) {
+            this.dancer.rotation.y += danceDelta * 0.5;
+        }
+        if (this.audioEmitter) {
+            this.updateAudioFacing();
+        }
+
+        if (this.lightShow) {
+            this.analysis.update(delta);
+            this.lightShow.update(delta);
+        }
+
+        // Pulse the edge ring while the stage is held, otherwise with the bass
+        if (this.manipulationMode) {
+            this.edgeRing.material.emissiveIntensity = 0.8 + Math.sin(performance.now() / 1000 * 8) * 0.4;
+        } else if (this.lightShow) {
+            this.edgeRing.material.emissiveIntensity =
+                (this.selected ? RING_SELECTED_INTENSITY : RING_INTENSITY) + this.lightShow.ringLevel;
+        }
+
+        if (this.placard && this.placard.visible) {
+            this.updatePlacard(camera);
+        }
+    }
+
+    updatePlacard(camera) {
+        // Fade in the placard
+        if (this.placardFadeStartTime !== null) {
+            const fadeInDuration = 1500; // 1.5 seconds fade in
+            const elapsed = performance.now() - this.placardFadeStartTime;
+            const progress = Math.min(elapsed / fadeInDuration, 1.0);
+
+            // Smooth easing function
+            const easeProgress = progress * (2 - progress); // ease-out
+
+            this.placard.material.opacity = easeProgress;
+
+            if (progress >= 1.0) {
+                this.placardFadeStartTime = null; // Stop animating once complete
+            }
+        }
+
+        // Make placard always face the camera
+        // Get camera position in world space
+        const cameraLocalPos = camera.getWorldPosition(this.placardDirection);
+
+        // Convert camera position to platform's local space
+        this.platform.worldToLocal(cameraLocalPos);
+
+        // Calculate direction from placard to camera in local space
+        const direction = cameraLocalPos.sub(this.placard.position);
+        direction.y = 0; // Keep placard upright
+        direction.normalize();
+
+        // Calculate rotation angle in local space
+        const angle = Math.atan2(direction.x, direction.z);
+
+        // Apply rotation with 180 degree offset around center
+        this.placard.rotation.y = angle + Math.PI;
+    }
+
+    // Release everything this stage owns. Shared assets (source model, audio buffer,
+    // placard texture) belong to the PerformerLibrary and stay loaded.
+    dispose() {
+        if (this.soundtrack) {
+            this.soundtrack.dispose();
+        }
+        if (this.reverbSend) {
+            this.reverbSend.dispose();
+        }
+        if (this.lightShow) {
+            this.analysis.dispose();
+            this.lightShow.dispose();
+        }
+        this.lastAudioTime = null;
+        if (this.anchor) {
+            this.anchor.delete();
+            this.anchor = null;
+        }
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.dancer);
+        }
+        if (this.platform.parent) {
+            this.platform.parent.remove(this.platform);
+        }
+
+        const ownedGeometry = [this.platform.children[0], this.platform.children[1], this.edgeRing, ...this.ground.children];
+        for (const mesh of ownedGeometry) {
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        }
+        if (this.placard) {
+            this.placard.geometry.dispose();
+            this.placard.material.dispose();
+        }
+    }
+}
@@ -0,0 +1,192 @@
+// The interaction state machine's transition table, run from plain Node: npm test
+
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ButtonEdges, HIT_TEST, InteractionStateMachine, STATES } from '../interactionState.js';
+
+// A machine in a session, moved along by the given events: [event, payload] pairs
+function inSession(...events) {
+    const machine = new InteractionStateMachine();
+    machine.send('sessionStarted');
+    for (const [event, payload] of events) {
+        machine.send(event, payload);
+    }
+    return machine;
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+describe('InteractionStateMachine', () => {
+    it('starts idle and searches once a session starts', () => {
+        const machine = new InteractionStateMachine();
+        assert.equal(machine.state, STATES.IDLE);
+        assert.equal(machine.isActive, false);
+
+        assert.equal(machine.send('sessionStarted'), true);
+        assert.equal(machine.state, STATES.SEARCHING);
+        assert.equal(machine.isHunting, true);
+    });
+
+    describe('placing', () => {
+        it('searches on while there is room for another stage', () => {
+            const machine = inSession(['stagePlaced', { full: false }]);
+            assert.equal(machine.state, STATES.SEARCHING);
+        });
+
+        it('rests once the stage limit is reached', () => {
+            const machine = inSession(['stagePlaced', { full: true }]);
+            assert.equal(machine.state, STATES.PLACED);
+            assert.equal(machine.isPlaced, true);
+            assert.equal(machine.isHunting, false);
+        });
+
+        it('settles restored stages the same way', () => {
+            assert.equal(inSession(['restored', { full: true }]).state, STATES.PLACED);
+            assert.equal(inSession(['restored', { full: false }]).state, STATES.SEARCHING);
+        });
+
+        it('ignores placements once every stage is down', () => {
+            const machine = inSession(['stagePlaced', { full: true }]);
+            assert.equal(machine.send('stagePlaced', { full: true }), false);
+            assert.equal(machine.send('previewShown'), false);
+            assert.equal(machine.state, STATES.PLACED);
+        });
+    });
+
+    describe('previewShown', () => {
+        it('previews from searching, and again while previewing', () => {
+            const machine = inSession(['previewShown']);
+            assert.equal(machine.state, STATES.PREVIEWING);
+            assert.equal(machine.send('previewShown'), true);
+            assert.equal(machine.state, STATES.PREVIEWING);
+        });
+
+        it('keeps previewing while a stage is still at the default spot', () => {
+            const machine = inSession(['previewShown'], ['stagePlaced', { full: false, hasPreview: true }]);
+            assert.equal(machine.state, STATES.PREVIEWING);
+        });
+
+        it('settles once the previewed stage is put down', () => {
+            assert.equal(inSession(['previewShown'], ['stagePlaced', { full: true }]).state, STATES.PLACED);
+            assert.equal(inSession(['previewShown'], ['stagePlaced', { full: false }]).state, STATES.SEARCHING);
+        });
+    });
+
+    describe('repositioning', () => {
+        for (const [name, events] of [
+            ['searching', []],
+            ['previewing', [['previewShown']]],
+            ['placed', [['stagePlaced', { full: true }]]]
+        ]) {
+            it(`lifts a stage while ${name}`, () => {
+                const machine = inSession(...events, ['repositionRequested']);
+                assert.equal(machine.state, STATES.REPOSITIONING);
+                assert.equal(machine.isHunting, true);
+            });
+        }
+
+        it('settles when the lifted stage is put down', () => {
+            const machine = inSession(['stagePlaced', { full: true }], ['repositionRequested']);
+            machine.send('stagePlaced', { full: true });
+            assert.equal(machine.state, STATES.PLACED);
+        });
+
+        it('keeps repositioning when another stage is removed', () => {
+            const machine = inSession(['stagePlaced', { full: true }], ['repositionRequested']);
+            machine.send('stageRemoved', { wasRepositioning: false, full: false });
+            assert.equal(machine.state, STATES.REPOSITIONING);
+        });
+
+        it('settles when the lifted stage itself is removed', () => {
+            const machine = inSession(['stagePlaced', { full: true }], ['repositionRequested']);
+            machine.send('stageRemoved', { wasRepositioning: true, full: false });
+            assert.equal(machine.state, STATES.SEARCHING);
+        });
+    });
+
+    describe('stage limit', () => {
+        it('searches again once a stage is removed from a full room', () => {
+            const machine = inSession(['stagePlaced', { full: true }], ['stageRemoved', { full: false }]);
+            assert.equal(machine.state, STATES.SEARCHING);
+        });
+
+        it('stays placed while the room is still full', () => {
+            const machine = inSession(['stagePlaced', { full: true }], ['stageRemoved', { full: true }]);
+            assert.equal(machine.state, STATES.PLACED);
+        });
+    });
+
+    describe('cancel', () => {
+        for (const [name, events] of [
+            ['searching', []],
+            ['previewing', [['previewShown']]],
+            ['placed', [['stagePlaced', { full: true }]]],
+            ['repositioning', [['repositionRequested']]]
+        ]) {
+            it(`goes idle when the session ends while ${name}`, () => {
+                const machine = inSession(...events);
+                machine.hitTestRequested();
+                assert.equal(machine.send('sessionEnded'), true);
+                assert.equal(machine.state, STATES.IDLE);
+                assert.equal(machine.hitTest, HIT_TEST.NONE);
+            });
+        }
+
+        it('accepts sessionEnded while already idle', () => {
+            const machine = new InteractionStateMachine();
+            assert.equal(machine.can('sessionEnded'), true);
+            assert.equal(machine.send('sessionEnded'), true);
+            assert.equal(machine.state, STATES.IDLE);
+        });
+
+        it('ignores events that do not apply, without changing state', () => {
+            const machine = new InteractionStateMachine();
+            for (const event of ['previewShown', 'stagePlaced', 'restored', 'repositionRequested', 'stageRemoved']) {
+                assert.equal(machine.can(event), false);
+                assert.equal(machine.send(event, { full: true }), false);
+                assert.equal(machine.state, STATES.IDLE);
+            }
+        });
+    });
+
+    it('reports each accepted event to onTransition', () => {
+        const machine = new InteractionStateMachine();
+        const transitions = [];
+        machine.onTransition = (from, to, event) => transitions.push([from, to, event]);
+
+        machine.send('sessionStarted');
+        machine.send('stagePlaced', { full: true });
+        machine.send('previewShown'); // Ignored
+        machine.send('sessionEnded');
+        assert.deepEqual(transitions, [
+            [STATES.IDLE, STATES.SEARCHING, 'sessionStarted'],
+            [STATES.SEARCHING, STATES.PLACED, 'stagePlaced'],
+            [STATES.PLACED, STATES.IDLE, 'sessionEnded']
+        ]);
+    });
+
+    it('asks for a hit-test source once per session, while hunting', () => {
+        const machine = new InteractionStateMachine();
+        assert.equal(machine.needsHitTestSource, false);
+        machine.send('sessionStarted');
+        assert.equal(machine.needsHitTestSource, true);
+        machine.hitTestRequested();
+        assert.equal(machine.needsHitTestSource, false);
+        machine.hitTestFailed();
+        assert.equal(machine.hitTest, HIT_TEST.UNAVAILABLE);
+        assert.equal(machine.needsHitTestSource, false);
+    });
+});
+
+describe('ButtonEdges', () => {
+    it('reports a held button once per push', () => {
+        const edges = new ButtonEdges();
+        assert.deepEqual([...edges.update(['x'])], ['x']);
+        assert.deepEqual([...edges.update(['x'])], []);
+        assert.deepEqual([...edges.update([])], []);
+        assert.deepEqual([...edges.update(['x', 'y'])], ['x', 'y']);
+    });
+});
@@ -0,0 +1,61 @@
+// Makes the lower-poly copy of a model that distant dancers switch to (a model's "lod" in the
+// scene manifest), with meshoptimizer's simplifier.
+//
+//   npm run make-lod -- riggedhuman1.glb riggedhuman1-lod.glb [ratio]
+//
+// The copy keeps the model's nodes, skin and meshes in the same order, so the app can swap each
+// mesh's geometry for its simplified one on the same skeleton; only the triangles are fewer
+// (ratio is the share kept, 0.25 by default). Textures, materials' maps and animations are
+// dropped, as the app keeps using the full model's.
+
+import { NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import { prune, simplify, weld } from '@gltf-transform/functions';
+import { MeshoptSimplifier } from 'meshoptimizer';
+
+const DEFAULT_RATIO = 0.25;
+const MAX_ERROR = 0.01; // Of the mesh's size: how far the simplified surface may stray
+
+const [input, output, ratioArgument] = process.argv.slice(2);
+if (!input || !output) {
+    console.error('Usage: npm run make-lod -- <model.glb> <model-lod.glb> [ratio]');
+    process.exit(1);
+}
+const ratio = ratioArgument === undefined ? DEFAULT_RATIO : Number(ratioArgument);
+if (!(ratio > 0 && ratio < 1)) {
+    console.error(`The ratio must be between 0 and 1, got '${ratioArgument}'`);
+    process.exit(1);
+}
+
+function countTriangles(document) {
+    let triangles = 0;
+    for (const mesh of document.getRoot().listMeshes()) {
+        for (const primitive of mesh.listPrimitives()) {
+            const indices = primitive.getIndices();
+            triangles += Math.floor((indices || primitive.getAttribute('POSITION')).getCount() / 3);
+        }
+    }
+    return triangles;
+}
+
+await MeshoptSimplifier.ready;
+const io = new NodeIO().registerExtensions(ALL_EXTENSIONS);
+const document = await io.read(input);
+const before = countTriangles(document);
+
+for (const animation of document.getRoot().listAnimations()) {
+    for (const sampler of animation.listSamplers()) sampler.dispose();
+    for (const channel of animation.listChannels()) channel.dispose();
+    animation.dispose();
+}
+for (const texture of document.getRoot().listTextures()) {
+    texture.dispose();
+}
+await document.transform(
+    weld(),
+    simplify({ simplifier: MeshoptSimplifier, ratio, error: MAX_ERROR }),
+    prune({ keepLeaves: true, keepAttributes: true })
+);
+
+await io.write(output, document);
+console.log(`${input}: ${before} triangles; ${output}: ${countTriangles(document)}`);
@@ -0,0 +1,82 @@
+// Renders the performers offline (offlineRender.js) in headless Chromium and checks each frame
+// against its baseline in baselines/, exiting non-zero if any differs, has no baseline or the
+// render fails.
+//
+//   npm run render                              a turntable of every performer
+//   npm run render -- still performer=0 size=256   any other ?render options, as key=value
+//   npm run render -- --record                  save the frames into baselines/ as the new baselines
+//
+// Chromium renders on SwiftShader, so frames come out the same on any machine without a GPU;
+// baselines recorded anywhere else won't match. It is Playwright's, installed once with
+// npx playwright install chromium.
+
+import { mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { chromium } from 'playwright';
+import { ROOT, serve } from './staticServer.mjs';
+
+const TIMEOUT = 10 * 60 * 1000; // Milliseconds for the whole render; SwiftShader is slow
+const BASELINES = join(ROOT, 'baselines');
+
+const args = process.argv.slice(2);
+const record = args.includes('--record');
+const params = new URLSearchParams();
+for (const arg of args.filter((candidate) => candidate !== '--record')) {
+    const [key, value] = arg.includes('=') ? arg.split('=', 2) : ['render', arg];
+    params.set(key, value);
+}
+if (!params.has('render')) params.set('render', 'turntable');
+if (record) params.set('save', '');
+
+const server = await serve();
+let browser = null;
+let exitCode = 1;
+
+try {
+    browser = await chromium.launch({ args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader'] });
+    const page = await browser.newPage({ acceptDownloads: true });
+    page.on('console', (message) => {
+        if (message.type() === 'error') console.error(`[page] ${message.text()}`);
+    });
+    page.on('pageerror', (error) => console.error(`[page] ${error.message}`));
+
+    // Each saved frame arrives as a download
+    const saves = [];
+    if (record) {
+        await mkdir(BASELINES, { recursive: true });
+        page.on('download', (download) => {
+            saves.push(download.saveAs(join(BASELINES, download.suggestedFilename())));
+        });
+    }
+
+    await page.goto(`${server.url}index.html?${params}`);
+    await page.waitForFunction(() => window.offlineRenderResults, null, { timeout: TIMEOUT, polling: 1000 });
+    const results = await page.evaluate(() => window.offlineRenderResults);
+    await Promise.all(saves);
+
+    if (results.error) {
+        console.error(`Offline render failed: ${results.error}`);
+    } else if (record) {
+        console.log(`Recorded ${saves.length} of ${results.frames.length} frames in ${BASELINES}`);
+        exitCode = saves.length === results.frames.length ? 0 : 1;
+    } else {
+        for (const frame of results.frames) {
+            const baseline = frame.baseline;
+            if (baseline === 'missing') {
+                console.log(`MISSING ${frame.name}: no baseline, record one with --record`);
+            } else if (baseline.passed) {
+                console.log(`PASS ${frame.name}`);
+            } else {
+                console.log(`FAIL ${frame.name}: ${baseline.reason || `${baseline.differentPixels} pixels differ`}`);
+            }
+        }
+        console.log(await page.textContent('#status'));
+        exitCode = results.passed === false ? 1 : 0;
+    }
+} catch (error) {
+    console.error('Render runner failed:', error);
+} finally {
+    if (browser) await browser.close();
+    await server.close();
+}
+process.exit(exitCode);
@@ -0,0 +1,51 @@
+// Runs the recorded XR scenarios (xrScenarios.js) in headless Chromium and exits non-zero if any
+// fails, or if the run never got going.
+//
+//   npm run scenarios                           every scenario
+//   npm run scenarios -- place-on-table,placard-reveal
+//
+// Chromium renders on SwiftShader, so no GPU is needed; it is Playwright's, installed once with
+// npx playwright install chromium.
+
+import { chromium } from 'playwright';
+import { serve } from './staticServer.mjs';
+
+const TIMEOUT = 5 * 60 * 1000; // Milliseconds for the whole run
+
+const names = process.argv[2] || 'all';
+const server = await serve();
+let browser = null;
+let exitCode = 1;
+
+try {
+    browser = await chromium.launch({ args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader'] });
+    const page = await browser.newPage();
+    page.on('console', (message) => {
+        if (message.type() === 'error') console.error(`[page] ${message.text()}`);
+    });
+    page.on('pageerror', (error) => console.error(`[page] ${error.message}`));
+
+    await page.goto(`${server.url}index.html?scenario=${encodeURIComponent(names)}`);
+    await page.waitForFunction(() => window.xrScenarioResults, null, { timeout: TIMEOUT, polling: 500 });
+    const results = await page.evaluate(() => window.xrScenarioResults);
+
+    if (results.error) {
+        console.error(`Scenarios failed to run: ${results.error}`);
+    } else {
+        for (const result of results) {
+            console.log(`${result.passed ? 'PASS' : 'FAIL'} ${result.name}`);
+            for (const failure of result.failures) {
+                console.log(`  step ${failure.step}: ${failure.message}`);
+            }
+        }
+        const passed = results.filter((result) => result.passed).length;
+        console.log(`Scenarios: ${passed}/${results.length} passed`);
+        exitCode = passed === results.length ? 0 : 1;
+    }
+} catch (error) {
+    console.error('Scenario runner failed:', error);
+} finally {
+    if (browser) await browser.close();
+    await server.close();
+}
+process.exit(exitCode);
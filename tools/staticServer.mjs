@@ -0,0 +1,55 @@
+// Serves the repository as static files on a free local port, for the headless runners to load
+// index.html from. The app needs nothing more than that; three comes from the CDN in the import
+// map, so the browser still needs the network.
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json',
+    '.ktx2': 'image/ktx2',
+    '.wasm': 'application/wasm',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.mp4': 'video/mp4',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg'
+};
+
+// Resolves to { url, close } once listening; url ends in a slash
+export function serve(root = ROOT) {
+    const server = createServer(async (request, response) => {
+        const path = normalize(join(root, decodeURIComponent(new URL(request.url, 'http://localhost').pathname)));
+        if (!path.startsWith(root.endsWith(sep) ? root : root + sep)) {
+            response.writeHead(403).end();
+            return;
+        }
+        const file = path.endsWith(sep) ? join(path, 'index.html') : path;
+        try {
+            const body = await readFile(file);
+            response.writeHead(200, { 'Content-Type': TYPES[extname(file)] || 'application/octet-stream' });
+            response.end(body);
+        } catch (error) {
+            response.writeHead(error.code === 'ENOENT' || error.code === 'EISDIR' ? 404 : 500).end();
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/`,
+                close: () => new Promise((done) => server.close(done))
+            });
+        });
+    });
+}
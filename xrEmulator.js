@@ -0,0 +1,397 @@
+import * as THREE from 'three';
+
+// A scripted stand-in for navigator.xr, for exercising the XR paths of the app on a desktop
+// (or headless) browser without a headset.
+//
+// It implements the slice of WebXR the app uses: session support checks, local-floor and
+// viewer reference spaces, viewer and controller poses, gamepad buttons, select/squeeze events
+// and hit testing against a list of flat surfaces, which plane-detection also reports as
+// planes. There is no XRWebGLLayer: emulated sessions are flagged with `emulated: true`, and
+// the app renders them with its own camera.
+//
+// Everything is in local-floor coordinates. Poses are given as a position plus a point to look
+// at, e.g. { position: [0, 1.6, 0], lookAt: [0, 0.75, -1] }. Surfaces are horizontal rectangles:
+// { height, center: [x, z], size: [width, depth] }.
+
+const DEFAULT_FEATURES = ['viewer', 'local', 'local-floor', 'hit-test', 'plane-detection', 'dom-overlay'];
+const FRAME_TIME = 1000 / 72; // Milliseconds; Quest's default refresh rate
+const DEFAULT_VIEWER = { position: [0, 1.6, 0], lookAt: [0, 1.6, -1] };
+
+// xr-standard gamepad button indices
+const BUTTONS = { trigger: 0, squeeze: 1, thumbstick: 3, x: 4, a: 4, y: 5, b: 5 };
+
+function poseMatrix({ position, lookAt }) {
+    const eye = new THREE.Vector3().fromArray(position);
+    const matrix = new THREE.Matrix4();
+    if (lookAt) {
+        // Matrix4.lookAt points -Z at the target, which is the forward axis of WebXR poses
+        matrix.lookAt(eye, new THREE.Vector3().fromArray(lookAt), new THREE.Vector3(0, 1, 0));
+    }
+    return matrix.setPosition(eye);
+}
+
+class EmulatedRigidTransform {
+    constructor(matrix) {
+        const position = new THREE.Vector3();
+        const orientation = new THREE.Quaternion();
+        matrix.decompose(position, orientation, new THREE.Vector3());
+
+        this.position = { x: position.x, y: position.y, z: position.z, w: 1 };
+        this.orientation = { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w };
+        this.matrix = new Float32Array(matrix.elements);
+        this.sourceMatrix = matrix;
+    }
+
+    get inverse() {
+        return new EmulatedRigidTransform(this.sourceMatrix.clone().invert());
+    }
+}
+
+// A space is anything with a pose in local-floor; getMatrix reads it from the emulator state
+class EmulatedSpace {
+    constructor(getMatrix) {
+        this.getMatrix = getMatrix;
+    }
+
+    getOffsetReferenceSpace() {
+        throw new Error('Offset reference spaces are not emulated');
+    }
+}
+
+class EmulatedXREvent extends Event {
+    constructor(type, fields) {
+        super(type);
+        Object.assign(this, fields);
+    }
+}
+
+class EmulatedXRFrame {
+    constructor(session, time) {
+        this.session = session;
+        this.predictedDisplayTime = time;
+    }
+
+    getPose(space, baseSpace) {
+        const matrix = baseSpace.getMatrix().clone().invert().multiply(space.getMatrix());
+        return { transform: new EmulatedRigidTransform(matrix), emulatedPosition: false };
+    }
+
+    getViewerPose(referenceSpace) {
+        const pose = this.getPose(this.session.viewerSpace, referenceSpace);
+        const projection = new THREE.PerspectiveCamera(90, 1, 0.01, 100).projectionMatrix;
+        pose.views = [{ eye: 'none', transform: pose.transform, projectionMatrix: new Float32Array(projection.elements) }];
+        return pose;
+    }
+
+    // Cast the source's -Z ray at the emulated surfaces; the nearest hit comes back Y-up like
+    // a real horizontal plane
+    getHitTestResults(hitTestSource) {
+        if (hitTestSource.cancelled) return [];
+
+        const matrix = hitTestSource.space.getMatrix();
+        const origin = new THREE.Vector3().setFromMatrixPosition(matrix);
+        const direction = new THREE.Vector3(0, 0, -1).transformDirection(matrix);
+        const ray = new THREE.Ray(origin, direction);
+
+        let nearest = null;
+        for (const surface of this.session.emulator.surfaces) {
+            const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -surface.height);
+            const point = ray.intersectPlane(plane, new THREE.Vector3());
+            if (!point) continue;
+
+            const [cx, cz] = surface.center || [0, 0];
+            const [width, depth] = surface.size || [Infinity, Infinity];
+            if (Math.abs(point.x - cx) > width / 2 || Math.abs(point.z - cz) > depth / 2) continue;
+
+            const distance = origin.distanceTo(point);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { point, distance };
+            }
+        }
+        if (!nearest) return [];
+
+        const hitSpace = new EmulatedSpace(() => new THREE.Matrix4().setPosition(nearest.point));
+        return [{ getPose: (baseSpace) => this.getPose(hitSpace, baseSpace) }];
+    }
+
+    get detectedPlanes() {
+        if (!this.session.enabledFeatures.includes('plane-detection')) return undefined;
+        return new Set(this.session.emulator.planes);
+    }
+}
+
+class EmulatedXRSession extends EventTarget {
+    constructor(emulator, mode, enabledFeatures) {
+        super();
+        this.emulated = true;
+        this.emulator = emulator;
+        this.mode = mode;
+        this.enabledFeatures = enabledFeatures;
+        this.environmentBlendMode = mode === 'immersive-ar' ? 'alpha-blend' : 'opaque';
+        this.visibilityState = 'visible';
+        this.renderState = { baseLayer: null, depthNear: 0.1, depthFar: 1000 };
+        this.inputSources = [];
+        this.ended = false;
+        this.viewerSpace = new EmulatedSpace(() => emulator.viewerMatrix);
+        this.frameCallbacks = new Map();
+        this.nextFrameHandle = 1;
+    }
+
+    async updateRenderState(state) {
+        Object.assign(this.renderState, state);
+    }
+
+    async requestReferenceSpace(type) {
+        if (!this.enabledFeatures.includes(type)) {
+            throw new DOMException(`Reference space '${type}' is not enabled`, 'NotSupportedError');
+        }
+        if (type === 'viewer') return this.viewerSpace;
+        return new EmulatedSpace(() => new THREE.Matrix4());
+    }
+
+    async requestHitTestSource({ space }) {
+        if (!this.enabledFeatures.includes('hit-test')) {
+            throw new DOMException('hit-test is not enabled for this session', 'NotSupportedError');
+        }
+        return {
+            space,
+            cancelled: false,
+            cancel() {
+                this.cancelled = true;
+            }
+        };
+    }
+
+    requestAnimationFrame(callback) {
+        const handle = this.nextFrameHandle++;
+        this.frameCallbacks.set(handle, callback);
+        return handle;
+    }
+
+    cancelAnimationFrame(handle) {
+        this.frameCallbacks.delete(handle);
+    }
+
+    async end() {
+        if (this.ended) return;
+        this.ended = true;
+        this.frameCallbacks.clear();
+        this.emulator.onSessionEnded(this);
+        this.dispatchEvent(new EmulatedXREvent('end', { session: this }));
+    }
+
+    // Run one frame: callbacks registered during it wait for the next, as in a real session
+    runFrame(time) {
+        const callbacks = Array.from(this.frameCallbacks.values());
+        this.frameCallbacks.clear();
+        const frame = new EmulatedXRFrame(this, time);
+        for (const callback of callbacks) {
+            callback(time, frame);
+        }
+    }
+
+    dispatchInputEvent(type, inputSource) {
+        const frame = new EmulatedXRFrame(this, this.emulator.time);
+        this.dispatchEvent(new EmulatedXREvent(type, { frame, inputSource }));
+    }
+}
+
+class EmulatedXRSystem extends EventTarget {
+    constructor(emulator) {
+        super();
+        this.emulator = emulator;
+    }
+
+    async isSessionSupported(mode) {
+        return this.emulator.modes.includes(mode);
+    }
+
+    async requestSession(mode, { requiredFeatures = [], optionalFeatures = [] } = {}) {
+        const emulator = this.emulator;
+        if (emulator.session) {
+            throw new DOMException('There is already an active, immersive XRSession.', 'InvalidStateError');
+        }
+        if (!emulator.modes.includes(mode)) {
+            throw new DOMException(`Session mode '${mode}' is not supported`, 'NotSupportedError');
+        }
+
+        const missing = requiredFeatures.filter((feature) => !emulator.features.includes(feature));
+        if (missing.length > 0) {
+            throw new DOMException(`Required features not supported: ${missing.join(', ')}`, 'NotSupportedError');
+        }
+
+        const enabled = ['viewer', 'local', ...requiredFeatures,
+            ...optionalFeatures.filter((feature) => emulator.features.includes(feature))];
+        emulator.session = new EmulatedXRSession(emulator, mode, Array.from(new Set(enabled)));
+        emulator.session.inputSources = emulator.getInputSources();
+        emulator.startPump();
+        console.log(`Emulated ${mode} session started`);
+        return emulator.session;
+    }
+}
+
+export class XREmulator {
+    // autoStep: run frames off the page's animation loop. Scripted runs turn it off and call
+    // step() themselves so every frame is accounted for.
+    constructor({ modes = ['immersive-ar', 'immersive-vr'], features = DEFAULT_FEATURES, autoStep = true } = {}) {
+        this.modes = modes;
+        this.features = features;
+        this.autoStep = autoStep;
+        this.xr = new EmulatedXRSystem(this);
+        this.session = null;
+        this.time = 0;
+        this.pumpHandle = null;
+        this.reset();
+    }
+
+    // Back to a lone user with no controllers in an empty room
+    reset() {
+        this.viewerMatrix = poseMatrix(DEFAULT_VIEWER);
+        this.surfaces = [];
+        this.planes = [];
+        this.controllers = new Map(); // handedness -> { inputSource, matrix }
+        if (this.session) {
+            this.session.inputSources = [];
+        }
+    }
+
+    setViewerPose(pose) {
+        this.viewerMatrix = poseMatrix(pose);
+    }
+
+    setSurfaces(surfaces) {
+        this.surfaces = surfaces;
+
+        // Each surface as a horizontal XRPlane: the outline is in plane space, around its centre
+        this.planes = surfaces.map((surface) => {
+            const [cx, cz] = surface.center || [0, 0];
+            const [width, depth] = surface.size || [100, 100];
+            const matrix = new THREE.Matrix4().makeTranslation(cx, surface.height, cz);
+            return {
+                planeSpace: new EmulatedSpace(() => matrix),
+                orientation: 'horizontal',
+                semanticLabel: surface.label || 'table',
+                lastChangedTime: this.time,
+                polygon: [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, z]) => (
+                    { x: x * width / 2, y: 0, z: z * depth / 2, w: 1 }
+                ))
+            };
+        });
+    }
+
+    // Moves a controller, connecting it first if this hand has none yet
+    setControllerPose(handedness, pose) {
+        let controller = this.controllers.get(handedness);
+        if (!controller) {
+            controller = this.connectController(handedness);
+        }
+        controller.matrix = poseMatrix(pose);
+    }
+
+    connectController(handedness) {
+        const controller = { matrix: new THREE.Matrix4(), inputSource: null };
+        const space = new EmulatedSpace(() => controller.matrix);
+        controller.inputSource = {
+            handedness,
+            targetRayMode: 'tracked-pointer',
+            targetRaySpace: space,
+            gripSpace: space,
+            profiles: ['generic-trigger-squeeze-thumbstick'],
+            hand: null,
+            gamepad: {
+                mapping: 'xr-standard',
+                buttons: Array.from({ length: 6 }, () => ({ pressed: false, touched: false, value: 0 })),
+                axes: [0, 0, 0, 0]
+            }
+        };
+        this.controllers.set(handedness, controller);
+
+        if (this.session) {
+            this.session.inputSources = this.getInputSources();
+            this.session.dispatchEvent(new EmulatedXREvent('inputsourceschange', {
+                session: this.session,
+                added: [controller.inputSource],
+                removed: []
+            }));
+        }
+        return controller;
+    }
+
+    getInputSources() {
+        return Array.from(this.controllers.values(), (controller) => controller.inputSource);
+    }
+
+    getInputSource(handedness) {
+        const controller = this.controllers.get(handedness);
+        if (!controller) {
+            throw new Error(`No emulated ${handedness} controller; give it a pose first`);
+        }
+        return controller.inputSource;
+    }
+
+    // button: an xr-standard index or one of trigger, squeeze, thumbstick, x, y, a, b. The
+    // trigger and squeeze also fire the session's select*/squeeze* events.
+    setButton(handedness, button, pressed) {
+        const inputSource = this.getInputSource(handedness);
+        const index = typeof button === 'number' ? button : BUTTONS[button];
+        if (index === undefined) {
+            throw new Error(`Unknown button '${button}'`);
+        }
+
+        const state = inputSource.gamepad.buttons[index];
+        if (state.pressed === pressed) return;
+        state.pressed = pressed;
+        state.touched = pressed;
+        state.value = pressed ? 1 : 0;
+
+        const action = index === 0 ? 'select' : index === 1 ? 'squeeze' : null;
+        if (action && this.session) {
+            if (pressed) {
+                this.session.dispatchInputEvent(`${action}start`, inputSource);
+            } else {
+                this.session.dispatchInputEvent(action, inputSource);
+                this.session.dispatchInputEvent(`${action}end`, inputSource);
+            }
+        }
+    }
+
+    // A full trigger press and release
+    click(handedness) {
+        this.setButton(handedness, 'trigger', true);
+        this.setButton(handedness, 'trigger', false);
+    }
+
+    setThumbstick(handedness, x, y = 0) {
+        const axes = this.getInputSource(handedness).gamepad.axes;
+        axes[2] = x;
+        axes[3] = y;
+    }
+
+    step(frames = 1) {
+        for (let i = 0; i < frames && this.session; i++) {
+            this.time += FRAME_TIME;
+            this.session.runFrame(this.time);
+        }
+    }
+
+    startPump() {
+        if (!this.autoStep || this.pumpHandle !== null) return;
+
+        const pump = () => {
+            if (!this.session) {
+                this.pumpHandle = null;
+                return;
+            }
+            this.step();
+            this.pumpHandle = window.requestAnimationFrame(pump);
+        };
+        this.pumpHandle = window.requestAnimationFrame(pump);
+    }
+
+    onSessionEnded(session) {
+        if (this.session === session) {
+            this.session = null;
+        }
+        console.log('Emulated session ended');
+    }
+}
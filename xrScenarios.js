@@ -0,0 +1,395 @@
+// Recorded XR sessions, replayed against the XREmulator to check how placement, X-button
+// repositioning and the placard reveal move the app between states.
+//
+// Open index.html?scenario=all (or ?scenario=place-on-table,placard-reveal) in any browser with
+// WebGL. Each scenario starts from an empty room with nothing saved, aiming the reticle with the
+// head unless it says { aim: 'controller' }, then runs its steps:
+//   { startSession: true }, { endSession: true }
+//   { aimMode: 'gaze' | 'controller' }
+//   { viewer: { position, lookAt } }
+//   { controller: 'right', position, lookAt }          connects the controller on first use
+//   { surfaces: [{ height, center: [x, z], size: [width, depth] }] }
+//   { click: 'right' }                                  trigger press and release
+//   { press: 'left', button: 'x' }, { release: 'left', button: 'x' }
+//   { pointAtPanel: 'right', position, action: 'playPause' }  aims a controller at a panel button
+//   { frames: n }                                       run n XR frames
+//   { expect: { state, isPlaced, reticleVisible, reticleValid, placardVisible, stageCount,
+//               stagesOnSurfaces, aimedWithController, panelVisible, dancersPaused } }
+// Results are logged, shown in the status line and returned as
+// [{ name, passed, failures: [{ step, message }] }], which index.html stores on
+// window.xrScenarioResults for a headless runner (tools/run-scenarios.mjs) to read;
+// a run that couldn't get going stores { error } there instead.
+
+import * as THREE from 'three';
+import { PLATFORM_RADIUS } from './stage.js';
+import { PlacementStore } from './placementStore.js';
+
+const TABLE = { height: 0.75, center: [0, -1], size: [1.2, 0.8] };
+const STOOL = { height: 0.45, center: [0, -1], size: [0.12, 0.12] };
+const LOOK_AT_TABLE = { position: [0, 1.6, 0], lookAt: [0, 0.75, -1] };
+const LOOK_AT_TABLE_EDGE = { position: [0, 1.6, 0], lookAt: [0.3, 0.75, -1.1] };
+const LOOK_OVER_TABLE_EDGE = { position: [0, 1.6, 0], lookAt: [0.58, 0.75, -0.62] };
+const LOOK_AT_STOOL = { position: [0, 1.6, 0], lookAt: [0, 0.45, -1] };
+const POINT_AT_STAGE = { position: [0.15, 1.1, -0.4], lookAt: [0, 0.76, -1] };
+const POINT_AT_CEILING = { position: [0.15, 1.1, -0.4], lookAt: [0.15, 2.5, -0.6] };
+const POINT_AT_TABLE = { position: [0.2, 1.1, -0.3], lookAt: [-0.3, 0.75, -1.2] };
+const LOOK_AHEAD = { position: [0, 1.6, 0], lookAt: [0, 1.6, -1] };
+const HOLD_UP_LEFT = { position: [-0.15, 1.25, -0.35], lookAt: [-0.15, 1.25, -1] };
+const DRAG_TO_TABLE_EDGE = { position: [0.15, 1.1, -0.4], lookAt: [0.58, 0.75, -1] };
+const DRAG_OFF_TABLE = { position: [0.15, 1.1, -0.4], lookAt: [1.4, 0.75, -1] };
+
+// Place the dancer on the table with the right trigger
+const PLACE_ON_TABLE = [
+    { startSession: true },
+    { frames: 10 },
+    { controller: 'right', ...POINT_AT_CEILING },
+    { click: 'right' },
+    { frames: 2 }
+];
+
+export const SCENARIOS = {
+    'place-on-table': {
+        description: 'The reticle finds the table and a click puts the dancer there',
+        surfaces: [TABLE],
+        viewer: LOOK_AT_TABLE,
+        steps: [
+            { startSession: true },
+            { expect: { state: 'previewing', isPlaced: false, reticleVisible: false, stageCount: 1 } },
+            { frames: 10 },
+            { expect: { isPlaced: false, reticleVisible: true, placardVisible: false } },
+            { controller: 'right', ...POINT_AT_CEILING },
+            { click: 'right' },
+            { frames: 2 },
+            { expect: { state: 'placed', isPlaced: true, reticleVisible: false, placardVisible: false, stageCount: 1 } }
+        ]
+    },
+
+    'no-surface-fallback': {
+        description: 'With nothing to hit, the dancer waits in front of the user and placement stays open',
+        surfaces: [],
+        viewer: LOOK_AT_TABLE,
+        steps: [
+            { startSession: true },
+            { frames: 10 },
+            { expect: { isPlaced: false, reticleVisible: false, stageCount: 1 } },
+            { controller: 'right', ...POINT_AT_CEILING },
+            { click: 'right' },
+            { frames: 2 },
+            { expect: { state: 'previewing', isPlaced: false, reticleVisible: false, stageCount: 1 } }
+        ]
+    },
+
+    'hit-test-unsupported': {
+        description: 'A runtime without hit-test still shows the dancer at the default spot',
+        features: ['viewer', 'local', 'local-floor', 'dom-overlay'],
+        surfaces: [TABLE],
+        viewer: LOOK_AT_TABLE,
+        steps: [
+            { startSession: true },
+            { frames: 10 },
+            { expect: { isPlaced: false, reticleVisible: false, stageCount: 1 } }
+        ]
+    },
+
+    'reposition-with-x': {
+        description: 'X picks the placed dancer back up, and the next click puts it down elsewhere',
+        surfaces: [TABLE],
+        viewer: LOOK_AT_TABLE,
+        steps: [
+            ...PLACE_ON_TABLE,
+            { expect: { isPlaced: true, reticleVisible: false } },
+            { controller: 'left', ...POINT_AT_CEILING },
+            { press: 'left', button: 'x' },
+            { frames: 1 },
+            { release: 'left', button: 'x' },
+            { expect: { state: 'repositioning', isPlaced: false } },
+            { viewer: LOOK_AT_TABLE_EDGE },
+            { frames: 5 },
+            { expect: { isPlaced: false, reticleVisible: true, placardVisible: false } },
+            { click: 'right' },
+            { frames: 2 },
+            { expect: { isPlaced: true, reticleVisible: false, stageCount: 1 } }
+        ]
+    },
+
+    'placard-reveal': {
+        description: 'Pointing a controller at the placed dancer shows its placard; pointing away hides it',
+        surfaces: [TABLE],
+        viewer: LOOK_AT_TABLE,
+        steps: [
+            ...PLACE_ON_TABLE,
+            { expect: { placardVisible: false } },
+            { controller: 'right', ...POINT_AT_STAGE },
+            { frames: 3 },
+            { expect: { isPlaced: true, placardVisible: true } },
+            { controller: 'right', ...POINT_AT_CEILING },
+            { frames: 3 },
+            { expect: { isPlaced: true, placardVisible: false } }
+        ]
+    },
+
+    'snap-in-from-edge': {
+        description: 'Aiming at a table corner puts the dancer flush with the edges, not hanging over',
+        surfaces: [TABLE],
+        viewer: LOOK_OVER_TABLE_EDGE,
+        steps: [
+            { startSession: true },
+            { frames: 5 },
+            { expect: { reticleVisible: true, reticleValid: true } },
+            { controller: 'right', ...POINT_AT_CEILING },
+            { click: 'right' },
+            { frames: 2 },
+            { expect: { isPlaced: true, stagesOnSurfaces: true } }
+        ]
+    },
+
+    'surface-too-small': {
+        description: 'A stool too small for the platform turns the reticle red and a click places nothing',
+        surfaces: [STOOL],
+        viewer: LOOK_AT_STOOL,
+        steps: [
+            { startSession: true },
+            { frames: 5 },
+            { expect: { reticleVisible: true, reticleValid: false } },
+            { controller: 'right', ...POINT_AT_CEILING },
+            { click: 'right' },
+            { frames: 2 },
+            { expect: { state: 'previewing', isPlaced: false, reticleValid: false } }
+        ]
+    },
+
+    'aim-with-controller': {
+        description: 'The reticle follows the controller ray rather than the head, until gaze is picked',
+        aim: 'controller',
+        surfaces: [TABLE],
+        viewer: LOOK_AHEAD,
+        steps: [
+            { startSession: true },
+            { frames: 5 },
+            { expect: { reticleVisible: false, aimedWithController: false } },
+            { controller: 'right', ...POINT_AT_TABLE },
+            { frames: 3 },
+            { expect: { reticleVisible: true, reticleValid: true, aimedWithController: true } },
+            { aimMode: 'gaze' },
+            { frames: 2 },
+            { expect: { reticleVisible: false, aimedWithController: false } },
+            { aimMode: 'controller' },
+            { frames: 2 },
+            { click: 'right' },
+            { frames: 2 },
+            { expect: { isPlaced: true, stagesOnSurfaces: true } }
+        ]
+    },
+
+    'control-panel': {
+        description: 'The left thumbstick opens the panel; a click on it pauses the dancer and places nothing',
+        surfaces: [TABLE],
+        viewer: LOOK_AT_TABLE,
+        steps: [
+            ...PLACE_ON_TABLE,
+            { controller: 'left', ...HOLD_UP_LEFT },
+            { press: 'left', button: 'x' },
+            { frames: 1 },
+            { release: 'left', button: 'x' },
+            { frames: 2 },
+            { expect: { state: 'repositioning', reticleVisible: true, panelVisible: false } },
+            { press: 'left', button: 'thumbstick' },
+            { frames: 1 },
+            { release: 'left', button: 'thumbstick' },
+            { frames: 1 },
+            { expect: { panelVisible: true } },
+            { pointAtPanel: 'right', position: [0.15, 1.1, -0.2], action: 'playPause' },
+            { frames: 1 },
+            { click: 'right' },
+            { frames: 2 },
+            { expect: { state: 'repositioning', dancersPaused: true, stageCount: 1 } }
+        ]
+    },
+
+    'drag-stays-on-table': {
+        description: 'Dragging the dancer over the table edge stops it there, and it is never let go in midair',
+        surfaces: [TABLE],
+        viewer: LOOK_AT_TABLE,
+        steps: [
+            ...PLACE_ON_TABLE,
+            { controller: 'right', ...POINT_AT_STAGE },
+            { frames: 2 },
+            { press: 'right', button: 'squeeze' },
+            { frames: 2 },
+            { controller: 'right', ...DRAG_TO_TABLE_EDGE },
+            { frames: 2 },
+            { expect: { stagesOnSurfaces: true } },
+            { controller: 'right', ...DRAG_OFF_TABLE },
+            { frames: 2 },
+            { expect: { stagesOnSurfaces: true } },
+            { release: 'right', button: 'squeeze' },
+            { frames: 2 },
+            { expect: { isPlaced: true, stagesOnSurfaces: true } }
+        ]
+    },
+
+    'restore-saved-spot': {
+        description: 'The next session puts the dancer straight back where it was left',
+        surfaces: [TABLE],
+        viewer: LOOK_AT_TABLE,
+        steps: [
+            ...PLACE_ON_TABLE,
+            { expect: { isPlaced: true } },
+            { endSession: true },
+            { expect: { state: 'idle', reticleVisible: false, placardVisible: false } },
+            { startSession: true },
+            { frames: 5 },
+            { expect: { isPlaced: true, reticleVisible: false, stageCount: 1 } }
+        ]
+    }
+};
+
+// What an expectation can look at
+const PROBES = {
+    state: (app) => app.interaction.state,
+    isPlaced: (app) => app.interaction.isPlaced,
+    reticleVisible: (app) => app.reticle.visible,
+    reticleValid: (app) => app.placementTarget !== null,
+    aimedWithController: (app) => app.aimingInput !== null && app.controllerRay.visible,
+    panelVisible: (app) => app.controlPanel.visible,
+    dancersPaused: (app) => app.stages.length > 0 && app.stages.every((stage) => stage.paused),
+    placardVisible: (app) => app.stages.some((stage) => stage.placard !== null && stage.placard.visible),
+    stageCount: (app) => app.stages.length,
+    // Every non-provisional platform stands wholly on one of the emulated surfaces
+    stagesOnSurfaces: (app, emulator) => app.stages.filter((stage) => !stage.provisional).every((stage) => {
+        const { position, scale } = stage.platform;
+        const radius = PLATFORM_RADIUS * scale.x;
+        return emulator.surfaces.some(({ height, center: [cx, cz], size: [width, depth] }) =>
+            Math.abs(position.y - height) < 0.01 &&
+            Math.abs(position.x - cx) <= width / 2 - radius + 1e-3 &&
+            Math.abs(position.z - cz) <= depth / 2 - radius + 1e-3);
+    })
+};
+
+// Let promise chains started by a step (hit-test source requests, anchoring) settle
+function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+async function resetApp(app, emulator, scenario, defaultFeatures) {
+    if (app.xrSession) {
+        await app.xrSession.end();
+    }
+    app.placementStore.clear();
+    app.removeAllStages({ persist: false });
+
+    emulator.reset();
+    emulator.features = scenario.features || defaultFeatures;
+    app.aim.setMode(scenario.aim || 'gaze');
+    emulator.setSurfaces(scenario.surfaces || []);
+    if (scenario.viewer) {
+        emulator.setViewerPose(scenario.viewer);
+    }
+}
+
+async function runStep(app, emulator, step, index, failures) {
+    if (step.startSession) {
+        await app.startXRSession();
+        if (!app.xrSession) {
+            throw new Error(`Session did not start: ${document.getElementById('status').textContent}`);
+        }
+    } else if (step.endSession) {
+        await app.xrSession.end();
+    } else if (step.aimMode) {
+        app.aim.setMode(step.aimMode);
+    } else if (step.pointAtPanel) {
+        const button = app.controlPanel.getButton(step.action);
+        const target = button.mesh.getWorldPosition(new THREE.Vector3());
+        emulator.setControllerPose(step.pointAtPanel, { position: step.position, lookAt: target.toArray() });
+    } else if (step.viewer) {
+        emulator.setViewerPose(step.viewer);
+    } else if (step.controller) {
+        emulator.setControllerPose(step.controller, step);
+    } else if (step.surfaces) {
+        emulator.setSurfaces(step.surfaces);
+    } else if (step.click) {
+        emulator.click(step.click);
+    } else if (step.press) {
+        emulator.setButton(step.press, step.button, true);
+    } else if (step.release) {
+        emulator.setButton(step.release, step.button, false);
+    } else if (step.frames) {
+        for (let i = 0; i < step.frames; i++) {
+            emulator.step();
+            await settle();
+        }
+    } else if (step.expect) {
+        for (const [key, expected] of Object.entries(step.expect)) {
+            const probe = PROBES[key];
+            if (!probe) {
+                throw new Error(`Unknown expectation '${key}'`);
+            }
+            const actual = probe(app, emulator);
+            if (actual !== expected) {
+                failures.push({ step: index, message: `expected ${key} to be ${expected}, got ${actual}` });
+            }
+        }
+    } else {
+        throw new Error(`Unknown step: ${JSON.stringify(step)}`);
+    }
+    await settle();
+}
+
+async function runScenario(app, emulator, name, defaultFeatures) {
+    const scenario = SCENARIOS[name];
+    if (!scenario) {
+        return { name, passed: false, failures: [{ step: null, message: `Unknown scenario '${name}'` }] };
+    }
+
+    const failures = [];
+    await resetApp(app, emulator, scenario, defaultFeatures);
+    for (const [index, step] of scenario.steps.entries()) {
+        try {
+            await runStep(app, emulator, step, index, failures);
+        } catch (error) {
+            // Later steps depend on this one; stop the scenario here
+            failures.push({ step: index, message: error.message });
+            break;
+        }
+    }
+
+    const passed = failures.length === 0;
+    if (passed) {
+        console.log(`PASS ${name}`);
+    } else {
+        console.error(`FAIL ${name}: ${scenario.description}`);
+        for (const failure of failures) {
+            console.error(`  step ${failure.step}: ${failure.message}`);
+        }
+    }
+    return { name, passed, failures };
+}
+
+// names: 'all', or a comma-separated list of scenario names
+export async function runScenarios(app, emulator, names) {
+    const selected = names === 'all' ? Object.keys(SCENARIOS) : names.split(',').map((name) => name.trim());
+    const defaultFeatures = emulator.features;
+    const defaultAim = app.aim.mode;
+    // Each scenario starts with nothing saved, so the run saves and clears placements of its own
+    const placementStore = app.placementStore;
+    app.placementStore = new PlacementStore(app.manifest.name, 'scenarios');
+
+    const results = [];
+    for (const name of selected) {
+        results.push(await runScenario(app, emulator, name, defaultFeatures));
+    }
+
+    if (app.xrSession) {
+        await app.xrSession.end();
+    }
+    emulator.features = defaultFeatures;
+    app.aim.setMode(defaultAim);
+    app.placementStore.clear();
+    app.placementStore = placementStore;
+
+    const passedCount = results.filter((result) => result.passed).length;
+    const summary = `Scenarios: ${passedCount}/${results.length} passed`;
+    console.log(summary);
+    document.getElementById('status').textContent = summary;
+    return results;
+}